@@ -1,5 +1,8 @@
 // background.js
 
+// デフォルト設定、設定の永続化レイヤー、プリセットライブラリ、音量の範囲 (dynamics.js)、URL ルールを読み込む
+importScripts('messaging.js', 'settings.js', 'settings-store.js', 'presets.js', 'dynamics.js', 'url-rules.js', 'ducking.js');
+
 // 拡張機能アイコンクリック時の処理
 chrome.action.onClicked.addListener(async (tab) => {
   console.log('Extension icon clicked on tab:', tab.id);
@@ -27,33 +30,100 @@ async function hasOffscreenDocument(path) {
 }
 
 
-// 音声キャプチャと処理の状態を管理する Map (キー: tabId, 値: { status: 'active' | 'inactive' | 'starting' | 'stopping' })
+// 音声キャプチャと処理の状態を管理する Map (キー: tabId, 値: { status: 'active' | 'inactive' | 'starting' | 'reconnecting' | 'stopping' })
+// 'reconnecting' はタブのストリームが途中で終わり、キャプチャを開始し直している状態
+// Service Worker が停止しても失われないよう、変更するたびに chrome.storage.session に保存する (saveCaptureState)
 const capturingTabs = new Map();
-// 各タブのフィルター設定を管理する Map (キー: tabId, 値: settingsObject)
-const tabSettings = new Map();
-
-// デフォルトのフィルター設定
-const defaultSettings = {
-  voiceEnhancementEnabled: true, // デフォルトでボイスエンハンスを有効にするか？
-  noiseCancelEnabled: true, // デフォルトでノイズキャンセルを有効にするか？
-  normalizeEnabled: true,   // デフォルトでノーマライズを有効にするか？
-  eq1Gain: 0,
-  eq2Gain: 0,
-  eq3Gain: 0,
-  eq4Gain: 0,
-  eq5Gain: 0,
-  eq6Gain: 0,
-  eq7Gain: 0,
-  eq8Gain: 0,
-  eq9Gain: 0,
-  eq10Gain: 0,
-};
 
-// 指定されたタブの設定を取得する関数 (なければデフォルトを返す)
-function getSettingsForTab(tabId) {
-  return tabSettings.get(tabId) || { ...defaultSettings }; // デフォルトのコピーを返す
+function setCaptureStatus(tabId, status) {
+  capturingTabs.set(tabId, { status });
+  saveCaptureState();
+}
+// タブの URL から origin を取得する関数 (取得できなければ null)
+async function getTabOrigin(tabId) {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    return getOriginFromUrl(tab.url || tab.pendingUrl);
+  } catch (error) {
+    console.warn(`Could not get URL for tab ${tabId}:`, error);
+    return null;
+  }
+}
+
+// 指定されたタブの設定を解決する関数
+// タブごとの設定 -> サイトごとの設定 -> グローバルデフォルト の順に探し、タブごとの音量があれば masterVolumeDb を置き換える
+// 戻り値: { settings, source: 'tab' | 'site' | 'default', origin }
+async function resolveSettingsForTab(tabId) {
+  const resolved = await resolveStoredSettingsForTab(tabId);
+  const volumeDb = await loadTabVolume(tabId);
+  if (volumeDb === null) {
+    return resolved;
+  }
+  return { ...resolved, settings: { ...resolved.settings, masterVolumeDb: volumeDb } };
+}
+
+// タブごとの音量を含めずに、保存されている設定を解決する
+async function resolveStoredSettingsForTab(tabId) {
+  const origin = await getTabOrigin(tabId);
+
+  const tabOverride = await loadTabSettings(tabId);
+  if (tabOverride) {
+    return { settings: { ...defaultSettings, ...tabOverride }, source: 'tab', origin };
+  }
+
+  if (origin) {
+    const siteSettings = await loadSiteSettings(origin);
+    if (siteSettings) {
+      return { settings: { ...defaultSettings, ...siteSettings }, source: 'site', origin };
+    }
+  }
+
+  // 保存されていない項目は defaultSettings で補う (設定項目が増えた場合にも対応)
+  const globalDefaults = await loadGlobalDefaults();
+  return { settings: { ...defaultSettings, ...globalDefaults }, source: 'default', origin };
+}
+
+// 指定されたタブの設定を取得する関数 (なければサイト設定、さらになければデフォルトを返す)
+async function getSettingsForTab(tabId) {
+  const { settings } = await resolveSettingsForTab(tabId);
+  return settings;
+}
+
+// 設定を解決元 (タブ or サイト) に保存する関数
+// サイト設定を使っているタブの変更はサイト設定に書き戻し、それ以外はタブごとの設定として保存する
+// 音量 (ポップアップのスライダー・ミキサーのフェーダー・ショートカット) は解決元に関係なくタブごとの音量として保存する
+// (同じサイトのほかのタブの音量を変えず、このタブもサイト設定を使い続けるように)
+async function storeSettingsForTab(tabId, settings) {
+  const { settings: stored, source, origin } = await resolveStoredSettingsForTab(tabId);
+  if (settings.masterVolumeDb === stored.masterVolumeDb) {
+    await removeTabVolume(tabId);
+  } else {
+    await saveTabVolume(tabId, settings.masterVolumeDb);
+  }
+  const sourceSettings = { ...settings, masterVolumeDb: stored.masterVolumeDb };
+  if (source === 'site') {
+    await saveSiteSettings(origin, sourceSettings);
+  } else {
+    await saveTabSettings(tabId, sourceSettings);
+  }
+}
+
+// アクティブなタブの Offscreen Document に設定を反映する関数
+// ツールチップのプリセット名も更新する (非アクティブなタブも含む)
+function forwardSettingsToOffscreen(tabId, settings) {
+  updateActionState(tabId);
+  if (capturingTabs.get(tabId)?.status !== 'active') {
+    return;
+  }
+  sendRequest(MESSAGE_TARGETS.offscreen, { type: 'update-settings', tabId: tabId, settings: settings })
+    .catch(e => console.warn(`Failed to send settings update to offscreen for tab ${tabId}: ${e}`));
 }
 
+// Offscreen Document の処理の開始・停止を待つ時間 (ミリ秒)
+// 開始は getUserMedia と AudioWorklet の読み込み、停止は録音の保存を含むので長めにする
+const START_PROCESSING_TIMEOUT_MS = 15000;
+const STOP_PROCESSING_TIMEOUT_MS = 15000;
+
 // 音声キャプチャの開始/停止を切り替える関数
 async function toggleCapture(tabId) {
   if (capturingTabs.has(tabId) && capturingTabs.get(tabId).status !== 'inactive') {
@@ -68,24 +138,25 @@ async function toggleCapture(tabId) {
 }
 
 // 音声キャプチャを開始する関数 (Offscreen Document を利用)
-async function startCapture(tabId) {
+// reconnect: ストリームが終わったタブのキャプチャを開始し直す (状態は 'reconnecting' のまま処理開始を待つ)
+async function startCapture(tabId, { reconnect = false } = {}) {
   // すでに開始中またはアクティブなら何もしない
-  if (capturingTabs.has(tabId) && capturingTabs.get(tabId).status !== 'inactive') {
+  if (!reconnect && capturingTabs.has(tabId) && capturingTabs.get(tabId).status !== 'inactive') {
     console.log(`Capture already active or starting for tab ${tabId}`);
     return;
   }
 
-  capturingTabs.set(tabId, { status: 'starting' });
-  // 仮のアイコンを設定 (開始中を示すなど) - アイコンファイルがまだないのでコメントアウト
-  // chrome.action.setIcon({ path: "images/icon_starting.png", tabId: tabId });
+  setCaptureStatus(tabId, reconnect ? 'reconnecting' : 'starting');
+  lastErrors.delete(tabId);
+  updateActionState(tabId);
 
   try {
-    // Offscreen Document を作成または取得
-    const offscreenDocumentPath = 'offscreen.html';
-    if (!(await hasOffscreenDocument(offscreenDocumentPath))) {
+    // Offscreen Document を作成または取得 (閉じている途中なら閉じ終わるのを待つ)
+    await closingOffscreenDocument;
+    if (!(await hasOffscreenDocument(OFFSCREEN_DOCUMENT_PATH))) {
       console.log('Creating offscreen document');
       await chrome.offscreen.createDocument({
-        url: offscreenDocumentPath,
+        url: OFFSCREEN_DOCUMENT_PATH,
         reasons: [chrome.offscreen.Reason.USER_MEDIA, chrome.offscreen.Reason.AUDIO_PLAYBACK], // USER_MEDIA と AUDIO_PLAYBACK を理由とする
         justification: 'Audio processing and playback require an Offscreen Document.',
       });
@@ -98,36 +169,75 @@ async function startCapture(tabId) {
     const streamId = await chrome.tabCapture.getMediaStreamId({ targetTabId: tabId });
     console.log(`Obtained stream ID ${streamId} for tab ${tabId}`);
 
-    // 2. 現在の設定を取得 (なければデフォルト)
-    const currentSettings = getSettingsForTab(tabId);
-    // 設定を保存 (まだなければデフォルトが保存される)
-    if (!tabSettings.has(tabId)) {
-        tabSettings.set(tabId, { ...currentSettings });
-    }
+    // 2. 現在の設定を取得 (タブ -> サイト -> グローバルデフォルトの順に解決)
+    // URL ルールに一致すれば、そのプリセットと設定を先に適用する
+    await applyUrlRuleForTab(tabId);
+    const currentSettings = await getSettingsForTab(tabId);
 
     // 3. Offscreen Document に処理開始を依頼 (tabId, streamId, settings を渡す)
-    console.log(`Sending start-processing message with streamId and settings for tab ${tabId} to offscreen document.`);
-    chrome.runtime.sendMessage({
+    // 状態は 'starting' のまま、パイプラインができるまで応答を待つ (失敗すればエラーが返る)
+    console.log(`Sending start-processing request with streamId and settings for tab ${tabId} to offscreen document.`);
+    await sendRequest(MESSAGE_TARGETS.offscreen, {
       type: 'start-processing',
-      target: 'offscreen',
       tabId: tabId,
       streamId: streamId,
       settings: currentSettings // 現在の設定を追加
-    });
-
-    // 状態は 'starting' のまま (Offscreenからの応答を待つ)
-    console.log(`Capture request sent for tab ${tabId}`);
+    }, { timeoutMs: START_PROCESSING_TIMEOUT_MS });
+    handleProcessingStarted(tabId);
 
   } catch (error) {
     console.error(`Error starting capture for tab ${tabId}:`, error);
-    // getMediaStreamId でエラーが発生した場合なども考慮
-    capturingTabs.set(tabId, { status: 'inactive' }); // エラー時は非アクティブに
-    // エラーアイコンを設定 - アイコンファイルがまだないのでコメントアウト
-    // chrome.action.setIcon({ path: "images/icon_error.png", tabId: tabId });
-    // 必要であれば Offscreen Document を閉じる処理も検討
+    // getMediaStreamId や Offscreen Document でエラーが発生した場合
+    if (capturingTabs.has(tabId)) {
+      setCaptureStatus(tabId, 'inactive'); // エラー時は非アクティブに
+      clearMixerState(tabId);
+    }
+    lastErrors.set(tabId, reconnect ? `The tab audio stream ended and could not be restarted: ${error.message}` : error.message);
+    updateActionState(tabId);
+    sendPopupStatusUpdate(tabId, 'inactive');
+    closeOffscreenDocumentIfIdle();
   }
 }
 
+// Offscreen Document で処理が始まったタブを 'active' にする
+function handleProcessingStarted(tabId) {
+  const status = capturingTabs.get(tabId)?.status;
+  if (status !== 'starting' && status !== 'reconnecting') {
+    // 開始を待っている間に停止された (またはタブが閉じられた)。始まった処理を止める
+    console.log(`Capture for tab ${tabId} was stopped while starting`);
+    sendRequest(MESSAGE_TARGETS.offscreen, { type: 'stop-processing', tabId: tabId }, { timeoutMs: STOP_PROCESSING_TIMEOUT_MS })
+      .catch(e => console.warn(`Failed to stop processing for tab ${tabId}: ${e}`))
+      .finally(() => closeOffscreenDocumentIfIdle());
+    return;
+  }
+  setCaptureStatus(tabId, 'active');
+  console.log(`Processing started for tab ${tabId}`);
+  // ソロ中のタブがあれば、新しいタブもミキサーの状態に合わせて消音する
+  applyMixerMutes();
+  // オートダッキングの役割も引き継ぐ (新しいタブは 'none')
+  applyDucking();
+  // 開始し直したタブはバイパスの状態も引き継ぐ
+  if (getMixerState(tabId).bypass) {
+    sendRequest(MESSAGE_TARGETS.offscreen, { type: 'set-bypass', tabId: tabId, bypass: true })
+      .catch(e => console.warn(`Failed to send bypass to offscreen for tab ${tabId}: ${e}`));
+  }
+  updateActionState(tabId);
+  sendPopupStatusUpdate(tabId, 'active');
+}
+
+// Offscreen Document で処理が止まったタブを 'inactive' にする
+function handleProcessingStopped(tabId) {
+  if (capturingTabs.has(tabId)) {
+    setCaptureStatus(tabId, 'inactive');
+    console.log(`Processing stopped for tab ${tabId}`);
+    clearMixerState(tabId);
+    updateActionState(tabId);
+    sendPopupStatusUpdate(tabId, 'inactive');
+  }
+  // 他に処理中のタブがなければ Offscreen Document を閉じる
+  closeOffscreenDocumentIfIdle();
+}
+
 // 音声キャプチャを停止する関数
 async function stopCapture(tabId) {
     if (!capturingTabs.has(tabId) || capturingTabs.get(tabId).status === 'inactive') {
@@ -136,224 +246,769 @@ async function stopCapture(tabId) {
     }
 
     console.log(`Requesting stop processing for tab ${tabId}`);
-    capturingTabs.set(tabId, { status: 'stopping' }); // 停止中状態に
-    // 停止中アイコンを設定 - アイコンファイルがまだないのでコメントアウト
-    // chrome.action.setIcon({ path: "images/icon_stopping.png", tabId: tabId });
-
-    // Offscreen Document に処理停止を依頼
-    chrome.runtime.sendMessage({
-      type: 'stop-processing',
-      target: 'offscreen',
-      tabId: tabId
-    });
+    setCaptureStatus(tabId, 'stopping'); // 停止中状態に
+    updateActionState(tabId);
+
+    // Offscreen Document に処理停止を依頼し、応答を待って状態を inactive にする
+    // 応答がなくても (Offscreen Document が閉じているなど) 処理は止まっているものとして扱う
+    try {
+      await sendRequest(MESSAGE_TARGETS.offscreen, { type: 'stop-processing', tabId: tabId }, { timeoutMs: STOP_PROCESSING_TIMEOUT_MS });
+    } catch (error) {
+      console.warn(`Failed to stop processing for tab ${tabId}:`, error);
+    }
+
+    // ほかに処理中のタブがなければ Offscreen Document も閉じる
+    handleProcessingStopped(tabId);
+}
+
+// ポップアップ・ミキサー・オプションページと Offscreen Document からのリクエスト (messaging.js)
+// 応答は各ハンドラーの戻り値。投げたエラーは送信元に構造化されたエラーとして返る
+// Service Worker の起動直後は、保存した状態の復元と Offscreen Document との照合が終わってから処理する
+addRequestHandlers(MESSAGE_TARGETS.background, {
+  // --- Offscreen Document からの通知 ---
+  'processing-stopped': ({ tabId, reason }) => {
+    // 停止を頼んでいないのにタブのストリームが終わった
+    if (reason === 'stream-ended' && capturingTabs.get(tabId)?.status === 'active') {
+      // 設定はそのままでキャプチャを開始し直す
+      setCaptureStatus(tabId, 'reconnecting');
+      updateActionState(tabId);
+      sendPopupStatusUpdate(tabId, 'reconnecting');
+      reconnectCapture(tabId);
+    } else {
+      handleProcessingStopped(tabId);
+    }
+  },
+  'recording-ready': async ({ tabId, url, fileName }) => {
+    // 録音が終わった (停止操作、または処理の停止やタブを閉じたとき)。ダウンロードとして保存する
+    await downloadRecording(tabId, url, fileName);
+  },
+  'ducking-changed': ({ speakingTabIds }) => {
+    // オートダッキングの primary のタブで音を検出し始めた・止んだ (ミキサーの表示用)
+    setSpeakingTabs(speakingTabIds);
+  },
+
+  // --- プリセット・URL ルール・ミキサー (タブに依存しない) ---
+  'get-presets': async () => ({ presets: await listPresets() }),
+  'save-preset': async ({ name, settings }) => ({ preset: await createUserPreset(name, settings) }),
+  'rename-preset': async ({ presetId, name }) => ({ preset: await renameUserPreset(presetId, name) }),
+  'overwrite-preset': async ({ presetId, settings }) => ({ preset: await overwriteUserPreset(presetId, settings) }),
+  'delete-preset': async ({ presetId }) => {
+    await deleteUserPreset(presetId);
+    return { success: true };
+  },
+  'get-url-rules': async () => ({ rules: await loadUrlRules() }),
+  'save-url-rules': async (message) => {
+    // オプションページのエディタ。並べ替えや有効/無効も含めて一覧ごと保存する
+    const rules = validateUrlRules(message.rules, await listPresets());
+    await saveUrlRules(rules);
+    console.log(`Saved ${rules.length} URL rules`);
+    return { rules };
+  },
+  // ミキサーページ: 処理中のすべてのタブ
+  'get-mixer-state': async () => ({ tabs: await getMixerTabs(), ducking: await loadDuckingSettings() }),
+  'save-ducking-settings': async (message) => {
+    const settings = normalizeDuckingSettings(message.settings);
+    await saveDuckingSettings(settings);
+    console.log('Saved auto-ducking settings:', settings);
+    applyDucking();
+    sendMixerUpdate();
+    return { settings };
+  },
+
+  // --- タブの状態と設定 ---
+  'get-status': ({ tabId }) => {
+    const currentStatus = capturingTabs.get(tabId)?.status || 'inactive';
+    console.log(`Sending status for tab ${tabId}: ${currentStatus}`);
+    return { status: currentStatus, error: lastErrors.get(tabId) || null, bypass: getMixerState(tabId).bypass };
+  },
+  'toggle-capture': ({ tabId }) => {
+    // 開始/停止の完了を待たずに応答する。toggleCapture は同期的に状態を 'starting' または 'stopping' にし、
+    // 完了 (または失敗) は status-update で通知する
+    toggleCapture(tabId);
+    const immediateStatus = capturingTabs.get(tabId)?.status || 'inactive';
+    console.log(`Toggle requested for tab ${tabId}. Immediate status: ${immediateStatus}`);
+    return { newStatus: immediateStatus, error: lastErrors.get(tabId) || null };
+  },
+  'stop-capture': async ({ tabId }) => {
+    // ミキサーの停止ボタン (toggle-capture と違い、停止中のタブを開始し直さない)
+    await stopCapture(tabId);
+    return { newStatus: capturingTabs.get(tabId)?.status || 'inactive' };
+  },
+  'get-settings': async ({ tabId }) => {
+    const resolved = await resolveSettingsForTab(tabId);
+    console.log(`Sending settings for tab ${tabId} (source: ${resolved.source}):`, resolved.settings);
+    return resolved;
+  },
+  'update-settings': async ({ tabId, settings }) => {
+    console.log(`Updating settings for tab ${tabId}:`, settings);
+    // 設定を保存 (タブ設定またはサイト設定)
+    await storeSettingsForTab(tabId, settings);
+    // Offscreen Document にも設定更新を通知 (フィルターがアクティブな場合のみ)
+    forwardSettingsToOffscreen(tabId, settings);
+    return { success: true };
+  },
+  'apply-preset': async ({ tabId, presetId }) => {
+    // プリセットを現在の設定に適用して保存・反映する
+    const preset = await findPreset(presetId);
+    if (!preset) {
+      throw new MessagingError(MESSAGING_ERROR_CODES.notFound, `Preset not found: ${presetId}`);
+    }
+    const settings = applyPresetToSettings(preset, await getSettingsForTab(tabId));
+    await storeSettingsForTab(tabId, settings);
+    forwardSettingsToOffscreen(tabId, settings);
+    console.log(`Applied preset "${preset.name}" to tab ${tabId}`);
+    // ミキサーから適用した場合に備えて、開いているポップアップにも通知する
+    sendSettingsUpdate(tabId, settings);
+    return resolveSettingsForTab(tabId);
+  },
+  'remember-site': async ({ tabId, remember }) => {
+    // 「このサイトで記憶する」のオン/オフ
+    const { settings, origin } = await resolveSettingsForTab(tabId);
+    if (!origin) {
+      throw new MessagingError(MESSAGING_ERROR_CODES.handlerError, "This page has no site origin to remember settings for");
+    }
+    if (remember) {
+      // 現在の設定をサイト設定として保存し、タブごとの設定は破棄する
+      await saveSiteSettings(origin, settings);
+      await removeTabSettings(tabId);
+      console.log(`Remembered settings for site ${origin}`);
+    } else {
+      // サイト設定を削除し、現在の設定はこのタブだけに残す
+      await saveTabSettings(tabId, settings);
+      await removeSiteSettings(origin);
+      console.log(`Forgot settings for site ${origin}`);
+    }
+    return resolveSettingsForTab(tabId);
+  },
+  'save-default-settings': async ({ tabId }) => {
+    // 現在の設定をグローバルデフォルトとして保存
+    // 適用済みの URL ルールは記録しない (ほかのタブでルールが適用されなくなるため)
+    const settings = { ...(await getSettingsForTab(tabId)), urlRuleId: null };
+    await saveGlobalDefaults(settings);
+    console.log('Saved global default settings:', settings);
+    return { success: true };
+  },
+  'reset-settings': async ({ tabId }) => {
+    // タブ設定とサイト設定を破棄してグローバルデフォルトに戻す
+    const origin = await getTabOrigin(tabId);
+    await removeTabSettings(tabId);
+    if (origin) {
+      await removeSiteSettings(origin);
+    }
+    const resolved = await resolveSettingsForTab(tabId);
+    console.log(`Reset settings for tab ${tabId}:`, resolved.settings);
+    forwardSettingsToOffscreen(tabId, resolved.settings);
+    return resolved;
+  },
+  'set-master-volume': async ({ tabId, volumeDb }) => {
+    // ミキサーのフェーダー。音量だけを変更し、開いているポップアップにも反映する
+    await changeSettingsForTab(tabId, settings => ({ ...settings, masterVolumeDb: volumeDb }));
+    return { success: true };
+  },
+  'preview-master-volume': async ({ tabId, volumeDb }) => {
+    // ミキサーのフェーダーをドラッグしている間の音量。保存や通知はせず、Offscreen Document の音量だけを変える
+    // (フェーダーを離したときに set-master-volume で保存する)
+    requireActiveCapture(tabId);
+    await sendRequest(MESSAGE_TARGETS.offscreen, { type: 'set-master-volume', tabId: tabId, volumeDb: volumeDb });
+    return { success: true };
+  },
+  // ミュート/ソロは処理中のタブだけが対象 (設定には保存しない)
+  'set-mixer-mute': ({ tabId, muted }) => setMixerState(tabId, { muted }),
+  'set-mixer-solo': ({ tabId, solo }) => setMixerState(tabId, { solo }),
+  'set-ducking-role': ({ tabId, role }) => {
+    if (!DUCKING_ROLES.includes(role)) {
+      throw new MessagingError(MESSAGING_ERROR_CODES.invalidMessage, `Unknown ducking role: ${role}`);
+    }
+    const result = setMixerState(tabId, { role });
+    applyDucking();
+    return result;
+  },
+  // ポップアップの A/B ボタン (ショートカットの toggle-bypass と同じ)
+  'set-bypass': ({ tabId, bypass }) => {
+    requireActiveCapture(tabId);
+    setBypass(tabId, bypass);
+    return { bypass };
+  },
+
+  // --- 処理中のタブへの操作 ---
+  // ノイズプロファイルと録音の操作は Offscreen Document に転送する (結果はメーターのフレームで届く)
+  'learn-noise-profile': forwardToOffscreen,
+  'clear-noise-profile': forwardToOffscreen,
+  'start-recording': forwardToOffscreen,
+  'pause-recording': forwardToOffscreen,
+  'resume-recording': forwardToOffscreen,
+  'stop-recording': forwardToOffscreen,
+}, { ready: () => captureStateReady });
+
+// 処理中でないタブへの操作はエラーにする
+function requireActiveCapture(tabId) {
+  if (capturingTabs.get(tabId)?.status !== 'active') {
+    throw new MessagingError(MESSAGING_ERROR_CODES.notActive, "Audio processing is not active for this tab");
+  }
+}
+
+// ミキサーのミュート/ソロを変更する
+function setMixerState(tabId, change) {
+  requireActiveCapture(tabId);
+  mixerStates.set(tabId, { ...getMixerState(tabId), ...change });
+  saveCaptureState();
+  console.log(`Mixer state for tab ${tabId}:`, mixerStates.get(tabId));
+  applyMixerMutes();
+  sendMixerUpdate();
+  return { success: true };
+}
+
+// ポップアップからの操作を Offscreen Document に転送する (Offscreen 側のエラーもそのまま返す)
+async function forwardToOffscreen(message) {
+  requireActiveCapture(message.tabId);
+  console.log(`Forwarding ${message.type} to offscreen for tab ${message.tabId}`);
+  const { type, tabId } = message;
+  const payload = type === 'start-recording' ? { format: message.format } : {};
+  await sendRequest(MESSAGE_TARGETS.offscreen, { type, tabId, ...payload });
+  return { success: true };
+}
+
+// ダウンロード中の録音 (キー: Offscreen Document の Blob URL, 値: downloadId。ダウンロードを開始するまでは null)
+// 残っている間は Offscreen Document を閉じない (Blob URL が無効になるため)
+const pendingRecordingDownloads = new Map();
+
+// Offscreen Document が作った録音の Blob URL をダウンロードする関数
+async function downloadRecording(tabId, url, fileName) {
+  pendingRecordingDownloads.set(url, null);
+  saveCaptureState();
+  try {
+    const downloadId = await chrome.downloads.download({ url: url, filename: fileName, saveAs: false });
+    pendingRecordingDownloads.set(url, downloadId);
+    saveCaptureState();
+    console.log(`Saving recording for tab ${tabId} as ${fileName} (download ${downloadId})`);
+  } catch (error) {
+    console.error(`Failed to save recording for tab ${tabId}:`, error);
+    finishRecordingDownload(tabId, url);
+  }
+}
 
-    // Offscreen Document からの応答を待って状態を inactive にする (onMessage で処理)
-    console.log(`Stop request sent for tab ${tabId}`);
+// ダウンロードが終わった (または失敗した) 録音を片付ける
+function finishRecordingDownload(tabId, url) {
+  pendingRecordingDownloads.delete(url);
+  saveCaptureState();
+  releaseRecordingUrl(tabId, url);
+  closeOffscreenDocumentIfIdle();
+}
 
-    // Offscreen Document が不要になったら閉じるかどうかの判断は保留
-    // (他のタブで使われている可能性、または常に一つ保持する戦略など)
+// ダウンロードが終わった Blob URL を Offscreen Document に解放してもらう関数
+function releaseRecordingUrl(tabId, url) {
+  sendRequest(MESSAGE_TARGETS.offscreen, { type: 'release-recording', tabId: tabId, url: url })
+    .catch(e => console.warn(`Failed to release recording URL: ${e}`));
 }
 
-// ポップアップや Offscreen Document からのメッセージを受信
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  const tabId = message.tabId;
+chrome.downloads.onChanged.addListener(async (delta) => {
+  if (!delta.state || delta.state.current === 'in_progress') {
+    return;
+  }
+  await captureStateReady;
+  const url = [...pendingRecordingDownloads].find(([, downloadId]) => downloadId === delta.id)?.[0];
+  if (!url) {
+    return;
+  }
+  console.log(`Recording download ${delta.id} ${delta.state.current}`);
+  finishRecordingDownload(null, url);
+});
+
+// --- Service Worker の再起動への対応 ---
+// Service Worker は停止されることがあるが、Offscreen Document は処理を続ける
+// 状態を chrome.storage.session に保存しておき、起動時に復元して Offscreen Document の実際の処理と照合する
+const OFFSCREEN_DOCUMENT_PATH = 'offscreen.html';
+const CAPTURE_STATE_KEY = 'captureState';
+// 復元と照合が終わったか (終わるまではメッセージやイベントの処理を待たせる)
+let captureStateRestored = false;
+// 閉じている途中の Offscreen Document (startCapture は閉じ終わるのを待ってから作り直す)
+let closingOffscreenDocument = null;
+
+// capturingTabs・ミキサーの状態・ダウンロード中の録音を保存する
+function saveCaptureState() {
+  if (!captureStateRestored) {
+    // 復元前の空の状態で上書きしない (復元が終わると保存し直す)
+    return;
+  }
+  chrome.storage.session.set({
+    [CAPTURE_STATE_KEY]: {
+      capturingTabs: [...capturingTabs],
+      mixerStates: [...mixerStates],
+      pendingRecordingDownloads: [...pendingRecordingDownloads]
+    }
+  }).catch(e => console.warn('Failed to save capture state:', e));
+}
 
-  // Offscreen Document からのメッセージ処理
-  if (sender.url?.endsWith('/offscreen.html')) {
-    console.log('Message received in background from offscreen:', message);
-    if (!tabId) {
-      console.warn("Received message from offscreen without tabId:", message);
-      return false; // sendResponse を呼ばないので false
+// 起動時に保存した状態を復元し、Offscreen Document と照合する
+async function restoreCaptureState() {
+  try {
+    const saved = await loadStoredValue(chrome.storage.session, CAPTURE_STATE_KEY);
+    if (saved) {
+      saved.capturingTabs.forEach(([tabId, entry]) => capturingTabs.set(tabId, entry));
+      saved.mixerStates.forEach(([tabId, state]) => mixerStates.set(tabId, state));
+      saved.pendingRecordingDownloads.forEach(([url, downloadId]) => pendingRecordingDownloads.set(url, downloadId));
+      console.log(`Restored state of ${capturingTabs.size} tabs after service worker restart`);
     }
+    await reconcileWithOffscreenDocument();
+  } catch (error) {
+    console.error('Failed to restore capture state:', error);
+  } finally {
+    captureStateRestored = true;
+    saveCaptureState();
+  }
+  closeOffscreenDocumentIfIdle();
+}
+
+// Offscreen Document に処理中のタブ (audioResources) を問い合わせ、capturingTabs を実際の状態に合わせる
+// - 処理中のタブは 'active' にする (閉じられたタブは処理を止める)
+// - 処理していないタブは 'inactive' にする (停止後に Service Worker が止まった場合や、開始の途中で止まった場合)
+async function reconcileWithOffscreenDocument() {
+  let processingTabIds = [];
+  if (await hasOffscreenDocument(OFFSCREEN_DOCUMENT_PATH)) {
+    const response = await sendRequest(MESSAGE_TARGETS.offscreen, { type: 'get-processing-tabs' });
+    processingTabIds = response.tabIds;
+    speakingTabs = new Set(response.speakingTabIds);
+  }
+  console.log('Tabs processed by the offscreen document:', processingTabIds);
+
+  const tabIds = new Set([...capturingTabs.keys(), ...processingTabIds]);
+  for (const tabId of tabIds) {
+    const tabExists = await chrome.tabs.get(tabId).then(() => true, () => false);
+    const processing = processingTabIds.includes(tabId);
+    if (!tabExists) {
+      if (processing) {
+        sendRequest(MESSAGE_TARGETS.offscreen, { type: 'stop-processing', tabId: tabId }, { timeoutMs: STOP_PROCESSING_TIMEOUT_MS })
+          .catch(e => console.warn(`Failed to stop processing for closed tab ${tabId}: ${e}`));
+      }
+      capturingTabs.delete(tabId);
+      mixerStates.delete(tabId);
+      continue;
+    }
+    const status = processing ? 'active' : 'inactive';
+    if (capturingTabs.get(tabId)?.status !== status) {
+      console.log(`Reconciled tab ${tabId}: ${capturingTabs.get(tabId)?.status || 'unknown'} -> ${status}`);
+    }
+    capturingTabs.set(tabId, { status });
+    if (!processing) {
+      mixerStates.delete(tabId);
+    }
+    updateActionState(tabId);
+  }
+}
+
+// 処理中 (開始中・停止中を含む) のタブかダウンロード中の録音があれば、Offscreen Document は使用中
+function isOffscreenDocumentInUse() {
+  return [...capturingTabs.values()].some(entry => entry.status !== 'inactive') || pendingRecordingDownloads.size > 0;
+}
+
+// 処理中のタブもダウンロード中の録音もなければ Offscreen Document を閉じる
+async function closeOffscreenDocumentIfIdle() {
+  if (isOffscreenDocumentInUse() || closingOffscreenDocument || !(await hasOffscreenDocument(OFFSCREEN_DOCUMENT_PATH))) {
+    return;
+  }
+  // 確認している間に別のタブのキャプチャが始まっていないか確かめ直す
+  if (isOffscreenDocumentInUse() || closingOffscreenDocument) {
+    return;
+  }
+  console.log('No active tabs, closing offscreen document.');
+  closingOffscreenDocument = chrome.offscreen.closeDocument()
+    .catch(e => console.warn("Error closing offscreen doc:", e))
+    .finally(() => { closingOffscreenDocument = null; });
+  await closingOffscreenDocument;
+}
 
-    let newStatus = null;
-    switch (message.type) {
-      case 'processing-started':
-        if (capturingTabs.has(tabId)) {
-          capturingTabs.set(tabId, { status: 'active' });
-          newStatus = 'active';
-          console.log(`Processing started for tab ${tabId}`);
-          // オン状態のアイコンを設定 - アイコンファイルがまだないのでコメントアウト
-          // chrome.action.setIcon({ path: "images/icon_on.png", tabId: tabId });
-        }
-        break;
-      case 'processing-stopped':
-        // stopCapture が呼ばれた結果としてここに来る場合と、
-        // Offscreen 側でストリームが終了した場合がある
-        if (capturingTabs.has(tabId)) {
-          capturingTabs.set(tabId, { status: 'inactive' });
-          newStatus = 'inactive';
-          console.log(`Processing stopped for tab ${tabId}`);
-          // オフ状態のアイコンを設定 - アイコンファイルがまだないのでコメントアウト
-          // chrome.action.setIcon({ path: "images/icon_off.png", tabId: tabId });
-
-          // 他にアクティブ/開始中のタブがなければ Offscreen Document を閉じるか検討
-          // let activeOrStartingTabs = 0;
-          // capturingTabs.forEach(value => {
-          //   if (value.status === 'active' || value.status === 'starting') {
-          //     activeOrStartingTabs++;
-          //   }
-          // });
-          // if (activeOrStartingTabs === 0) {
-          //   console.log('No active/starting tabs, closing offscreen document.');
-          //   chrome.offscreen.closeDocument().catch(e => console.warn("Error closing offscreen doc:", e));
-          // }
-        }
-        break;
-      case 'error':
-        console.error(`Error from offscreen document for tab ${tabId}:`, message.error);
-        if (capturingTabs.has(tabId)) {
-          capturingTabs.set(tabId, { status: 'inactive' }); // エラー時は非アクティブに
-          newStatus = 'inactive'; // エラー発生後も inactive 状態として通知
-          // エラーアイコンを設定 - アイコンファイルがまだないのでコメントアウト
-          // chrome.action.setIcon({ path: "images/icon_error.png", tabId: tabId });
-        }
-        break;
-      default:
-        console.warn("Unknown message type received from offscreen:", message.type);
+// --- ページ移動とストリームの終了 ---
+// 開始し直した直後にまたストリームが終わったときは、繰り返さずに止める (ミリ秒)
+const RECONNECT_MIN_INTERVAL_MS = 10000;
+// 最後にキャプチャを開始し直した時刻 (キー: tabId)
+const lastReconnects = new Map();
+
+// ストリームが終わったタブのキャプチャを開始し直す
+async function reconnectCapture(tabId) {
+  const now = Date.now();
+  const tabExists = await chrome.tabs.get(tabId).then(() => true, () => false);
+  if (!tabExists || now - (lastReconnects.get(tabId) ?? 0) < RECONNECT_MIN_INTERVAL_MS) {
+    console.log(`Not restarting capture for tab ${tabId} (${tabExists ? 'stream ended again' : 'tab closed'})`);
+    if (capturingTabs.has(tabId)) {
+      setCaptureStatus(tabId, 'inactive');
+      clearMixerState(tabId);
+      if (tabExists) lastErrors.set(tabId, 'The tab audio stream ended');
+      updateActionState(tabId);
+      sendPopupStatusUpdate(tabId, 'inactive');
     }
+    return;
+  }
+  lastReconnects.set(tabId, now);
+  console.log(`Audio stream for tab ${tabId} ended unexpectedly, restarting capture`);
+  await startCapture(tabId, { reconnect: true });
+}
 
-    // ポップアップに状態更新を通知
-    if (newStatus) {
-      sendPopupStatusUpdate(tabId, newStatus);
+// キャプチャ中のタブのページ移動 (SPA のルート変更を含む)
+// タブのストリームはページをまたいで続くので処理は止めず、移動先の URL ルールとサイト設定を反映する
+// タブごとの設定はそのまま引き継がれる
+async function handleCapturedTabNavigation(tabId, url) {
+  await applyUrlRuleForTab(tabId, url);
+  if (capturingTabs.get(tabId)?.status !== 'active') {
+    return;
+  }
+  const { settings, source } = await resolveSettingsForTab(tabId);
+  console.log(`Tab ${tabId} navigated to ${url}, keeping capture (settings source: ${source})`);
+  forwardSettingsToOffscreen(tabId, settings);
+  sendSettingsUpdate(tabId, settings);
+}
+
+// --- URL ルール (url-rules.js) ---
+// タブの URL に一致するルールがあれば、そのプリセットと設定をタブの設定として保存し、反映する
+// 同じルールを適用済みのタブには再適用しない (ルールの適用後にユーザーが変えた設定を残すため)
+// 戻り値: 適用したルール (適用しなかったときは null)
+async function applyUrlRuleForTab(tabId, url = null) {
+  try {
+    if (!url) {
+      const tab = await chrome.tabs.get(tabId);
+      url = tab.url || tab.pendingUrl;
     }
-    return false; // Offscreen からのメッセージには応答しないので false
-  }
-  // ポップアップ (または他のコンテキスト) からのメッセージ処理
-  else {
-    console.log('Message received in background (likely from popup):', message);
-    if (!tabId) {
-      console.warn("Received message without tabId:", message);
-      // tabId がないリクエストには応答できない
-      sendResponse({ error: "tabId is required" });
-      return false;
+    const rule = findMatchingUrlRule(await loadUrlRules(), url);
+    const current = await getSettingsForTab(tabId);
+    if (!rule || current.urlRuleId === rule.id) {
+      return null;
     }
+    const preset = rule.presetId ? await findPreset(rule.presetId) : null;
+    const settings = applyUrlRuleToSettings(rule, preset, current);
+    // サイトの設定は書き換えず、このタブだけの設定として保存する
+    // 音量も保存した設定に含まれる (ルールで上書きした音量が使われるように、タブごとの音量は外す)
+    await saveTabSettings(tabId, settings);
+    await removeTabVolume(tabId);
+    forwardSettingsToOffscreen(tabId, settings);
+    sendSettingsUpdate(tabId, settings);
+    console.log(`Applied URL rule "${getUrlRuleLabel(rule)}" to tab ${tabId} (${url})`);
+    return rule;
+  } catch (error) {
+    console.warn(`Failed to apply URL rules to tab ${tabId}:`, error);
+    return null;
+  }
+}
+
+// --- ミキサー (mixer.html) ---
+// ミュート/ソロ/バイパス/オートダッキングの役割 (キー: tabId, 値: { muted, solo, bypass, role })。処理が止まったタブの状態は破棄する
+const mixerStates = new Map();
+// オートダッキングの primary のタブのうち、音を検出しているタブ (Offscreen Document から届く。保存はせず、再起動時は照合で問い合わせる)
+let speakingTabs = new Set();
+
+function getMixerState(tabId) {
+  return { muted: false, solo: false, bypass: false, role: 'none', ...mixerStates.get(tabId) };
+}
+
+function clearMixerState(tabId) {
+  if (mixerStates.delete(tabId)) {
+    saveCaptureState();
+    // ソロのタブがなくなれば、ほかのタブの消音を解除する
+    applyMixerMutes();
+  }
+}
+
+// タブの音が聞こえるかどうか (ミュートしておらず、ソロのタブがあればそのひとつであること)
+function isTabAudible(tabId) {
+  const state = getMixerState(tabId);
+  const anySolo = [...mixerStates].some(([id, other]) => other.solo && capturingTabs.get(id)?.status === 'active');
+  return !state.muted && (!anySolo || state.solo);
+}
+
+// 処理中のすべてのタブの消音状態を Offscreen Document に反映する
+function applyMixerMutes() {
+  capturingTabs.forEach((entry, tabId) => {
+    if (entry.status !== 'active') return;
+    sendRequest(MESSAGE_TARGETS.offscreen, {
+      type: 'set-mixer-mute',
+      tabId: tabId,
+      muted: !isTabAudible(tabId)
+    }).catch(e => console.warn(`Failed to send mixer mute to offscreen for tab ${tabId}: ${e}`));
+  });
+}
+
+// 処理中のすべてのタブのオートダッキングの役割と設定を Offscreen Document に反映する (ducking.js)
+async function applyDucking() {
+  const roles = [...capturingTabs]
+    .filter(([tabId, entry]) => entry.status === 'active' && getMixerState(tabId).role !== 'none')
+    .map(([tabId]) => ({ tabId, role: getMixerState(tabId).role }));
+  if (![...capturingTabs.values()].some(entry => entry.status === 'active')) {
+    return;
+  }
+  try {
+    const settings = await loadDuckingSettings();
+    await sendRequest(MESSAGE_TARGETS.offscreen, { type: 'set-ducking', roles: roles, settings: settings });
+  } catch (e) {
+    console.warn(`Failed to send auto-ducking roles to offscreen: ${e}`);
+  }
+}
+
+function setSpeakingTabs(tabIds) {
+  speakingTabs = new Set(tabIds);
+  sendMixerUpdate();
+}
+
+// background のタブが今下げられているか (primary のタブのどれかで音を検出している)
+function isTabDucked(tabId) {
+  return getMixerState(tabId).role === 'background' && speakingTabs.size > 0;
+}
+
+// ミキサーに表示するタブの一覧 (開始中・停止中のタブも含む)
+// 戻り値: [{ tabId, status, title, favIconUrl, muted, solo, bypass, role, audible, speaking, ducked, volumeDb, presetId }]
+async function getMixerTabs() {
+  const entries = [...capturingTabs].filter(([, entry]) => entry.status !== 'inactive');
+  return Promise.all(entries.map(async ([tabId, entry]) => {
+    const tab = await chrome.tabs.get(tabId).catch(() => null);
+    const settings = await getSettingsForTab(tabId);
+    return {
+      tabId: tabId,
+      status: entry.status,
+      title: tab?.title || `Tab ${tabId}`,
+      favIconUrl: tab?.favIconUrl || null,
+      ...getMixerState(tabId),
+      audible: isTabAudible(tabId),
+      speaking: speakingTabs.has(tabId),
+      ducked: isTabDucked(tabId),
+      volumeDb: settings.masterVolumeDb,
+      presetId: settings.presetId
+    };
+  }));
+}
+
+// 開いているミキサーに再読み込みを促す
+function sendMixerUpdate() {
+  sendNotification({ type: 'mixer-update' });
+}
 
-    switch (message.type) {
-      case 'get-status':
-        const currentStatus = capturingTabs.get(tabId)?.status || 'inactive';
-        console.log(`Sending status for tab ${tabId}: ${currentStatus}`);
-        sendResponse({ status: currentStatus });
-        break; // 同期的に応答するので break
-
-      case 'get-settings':
-        const settings = getSettingsForTab(tabId);
-        console.log(`Sending settings for tab ${tabId}:`, settings);
-        sendResponse(settings); // 設定オブジェクトをそのまま返す
-        break; // 同期的に応答
-
-      case 'update-settings':
-        if (message.settings) {
-          console.log(`Updating settings for tab ${tabId}:`, message.settings);
-          // 設定を保存
-          tabSettings.set(tabId, message.settings);
-          // Offscreen Document にも設定更新を通知 (フィルターがアクティブな場合のみ)
-          if (capturingTabs.get(tabId)?.status === 'active') {
-            chrome.runtime.sendMessage({
-              type: 'update-settings',
-              target: 'offscreen',
-              tabId: tabId,
-              settings: message.settings
-            }).catch(e => console.warn(`Failed to send settings update to offscreen for tab ${tabId}: ${e}`));
-          }
-          // ポップアップには応答不要 (または成功したことを示す応答を返しても良い)
-          sendResponse({ success: true });
-        } else {
-          console.warn(`Received update-settings message without settings for tab ${tabId}`);
-          sendResponse({ error: "Settings object is missing" });
-        }
-        break; // 同期的に応答
-
-      case 'toggle-capture':
-        // toggleCapture は非同期なので、sendResponse を非同期で呼ぶ必要がある
-        (async () => {
-          await toggleCapture(tabId);
-          // toggleCapture は内部で capturingTabs の状態を 'starting' または 'stopping' に設定する
-          const immediateStatus = capturingTabs.get(tabId)?.status || 'inactive'; // 念のため確認
-          console.log(`Toggle requested for tab ${tabId}. Immediate status: ${immediateStatus}`);
-          // ポップアップには、処理が開始/停止 *しようとしている* 状態を返す
-          sendResponse({ newStatus: immediateStatus });
-        })();
-        return true; // 非同期で応答することを示す
-
-      default:
-        console.warn("Unknown message type received:", message.type);
-        sendResponse({ error: `Unknown message type: ${message.type}` });
-        break; // 不明なタイプにも応答
+// 保存されている設定を変更して保存し、Offscreen Document と開いているポップアップに反映する
+// update は現在の設定を受け取って新しい設定を返す関数。戻り値は新しい設定
+async function changeSettingsForTab(tabId, update) {
+  const settings = update(await getSettingsForTab(tabId));
+  await storeSettingsForTab(tabId, settings);
+  forwardSettingsToOffscreen(tabId, settings);
+  sendSettingsUpdate(tabId, settings);
+  return settings;
+}
+
+// ポップアップ以外から変更した設定を、開いているポップアップ (とミキサー) に通知する
+function sendSettingsUpdate(tabId, settings) {
+  sendNotification({ type: 'settings-update', tabId: tabId, settings: settings });
+}
+
+// --- キーボードショートカット (manifest.json の commands) ---
+// ショートカットは chrome://extensions/shortcuts で変更できる
+const VOLUME_STEP_DB = 2;
+// バッジでのフィードバックを表示する時間 (ミリ秒)
+const COMMAND_FEEDBACK_MS = 1500;
+const COMMAND_FEEDBACK_COLOR = '#1a73e8';
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  await captureStateReady;
+  // tab はショートカットを押したときのアクティブなタブ (古い Chrome では渡されない)
+  const tabId = tab?.id ?? (await chrome.tabs.query({ active: true, currentWindow: true }))[0]?.id;
+  if (!tabId) {
+    console.warn(`No active tab for command ${command}`);
+    return;
+  }
+  console.log(`Command ${command} for tab ${tabId}`);
+  try {
+    const feedback = await runCommand(command, tabId);
+    if (feedback) {
+      showCommandFeedback(tabId, feedback);
     }
-    // get-status, get-settings, update-settings, default は同期的に sendResponse を呼ぶので、ここでは return false
-    // toggle-capture は return true する
-    return false; // toggle-capture 以外は false を返す
+  } catch (error) {
+    console.error(`Failed to run command ${command} for tab ${tabId}:`, error);
+    showCommandFeedback(tabId, 'ERR');
   }
 });
 
+// コマンドを実行し、バッジに表示するテキスト (4 文字程度) を返す
+async function runCommand(command, tabId) {
+  switch (command) {
+    case 'toggle-filter': {
+      await toggleCapture(tabId);
+      const status = capturingTabs.get(tabId)?.status || 'inactive';
+      sendPopupStatusUpdate(tabId, status);
+      return status === 'starting' || status === 'active' ? 'ON' : 'OFF';
+    }
+    case 'toggle-voice-enhancement': {
+      // ポップアップのチェックボックスと同じく、ノイズキャンセルとノーマライズも合わせて切り替える
+      const settings = await changeSettingsForTab(tabId, current => {
+        const enabled = !current.voiceEnhancementEnabled;
+        return { ...current, voiceEnhancementEnabled: enabled, noiseCancelEnabled: enabled, normalizeEnabled: enabled };
+      });
+      return settings.voiceEnhancementEnabled ? 'VE' : 'VE-';
+    }
+    case 'next-preset':
+    case 'previous-preset':
+      return cyclePreset(tabId, command === 'next-preset' ? 1 : -1);
+    case 'volume-up':
+    case 'volume-down': {
+      const step = command === 'volume-up' ? VOLUME_STEP_DB : -VOLUME_STEP_DB;
+      const settings = await changeSettingsForTab(tabId, current => {
+        const volumeDb = Math.min(MASTER_VOLUME_MAX_DB, Math.max(MASTER_VOLUME_MIN_DB, (Number(current.masterVolumeDb) || 0) + step));
+        return { ...current, masterVolumeDb: volumeDb };
+      });
+      if (settings.masterVolumeDb <= MASTER_VOLUME_MIN_DB) return 'MUTE';
+      return `${settings.masterVolumeDb > 0 ? '+' : ''}${settings.masterVolumeDb}`;
+    }
+    case 'toggle-bypass':
+      return toggleBypass(tabId);
+    default:
+      console.warn("Unknown command:", command);
+      return null;
+  }
+}
+
+// プリセットの一覧を順に切り替える (プリセット未選択のときは先頭または末尾から)
+async function cyclePreset(tabId, direction) {
+  const presets = await listPresets();
+  if (presets.length === 0) return null;
+  const current = await getSettingsForTab(tabId);
+  const index = presets.findIndex(preset => preset.id === current.presetId);
+  const nextIndex = index === -1
+    ? (direction > 0 ? 0 : presets.length - 1)
+    : (index + direction + presets.length) % presets.length;
+  const preset = presets[nextIndex];
+  await changeSettingsForTab(tabId, settings => applyPresetToSettings(preset, settings));
+  console.log(`Switched tab ${tabId} to preset "${preset.name}"`);
+  // バッジには一覧での番号を表示する
+  return `P${nextIndex + 1}`;
+}
+
+// 処理前の音と処理後の音を即座に切り替える (設定には保存しない)
+function toggleBypass(tabId) {
+  if (capturingTabs.get(tabId)?.status !== 'active') {
+    return 'OFF';
+  }
+  const bypass = !getMixerState(tabId).bypass;
+  setBypass(tabId, bypass);
+  return bypass ? 'BYP' : 'FX';
+}
+
+// バイパスを設定し、Offscreen Document (クロスフェード)・ミキサー・ポップアップ・バッジに反映する
+function setBypass(tabId, bypass) {
+  mixerStates.set(tabId, { ...getMixerState(tabId), bypass });
+  saveCaptureState();
+  sendRequest(MESSAGE_TARGETS.offscreen, { type: 'set-bypass', tabId: tabId, bypass: bypass })
+    .catch(e => console.warn(`Failed to send bypass to offscreen for tab ${tabId}: ${e}`));
+  sendMixerUpdate();
+  updateActionState(tabId);
+}
+
+// コマンドの結果をバッジに短時間表示し、処理状態のバッジに戻す (キー: tabId, 値: タイマー)
+const commandFeedbackTimers = new Map();
+async function showCommandFeedback(tabId, text) {
+  clearTimeout(commandFeedbackTimers.get(tabId));
+  commandFeedbackTimers.set(tabId, setTimeout(() => {
+    commandFeedbackTimers.delete(tabId);
+    updateActionState(tabId);
+  }, COMMAND_FEEDBACK_MS));
+  await chrome.action.setBadgeBackgroundColor({ tabId, color: COMMAND_FEEDBACK_COLOR });
+  await chrome.action.setBadgeText({ tabId, text });
+}
+
+// --- ツールバーのアイコン (タブごとのバッジとツールチップ) ---
+// 処理状態ごとのバッジ。'error' は直近の開始/処理でエラーが起きて止まった状態
+const ACTION_BADGES = {
+  inactive: { text: '', color: '#9e9e9e', label: 'Off' },
+  starting: { text: '…', color: '#9e9e9e', label: 'Starting...' },
+  reconnecting: { text: '…', color: '#f9a825', label: 'Reconnecting...' },
+  active: { text: 'ON', color: '#2e7d32', label: 'On' },
+  bypassed: { text: 'BYP', color: '#f9a825', label: 'On (bypassed)' },
+  stopping: { text: '…', color: '#9e9e9e', label: 'Stopping...' },
+  error: { text: '!', color: '#d32f2f', label: 'Error' },
+};
+
+// 直近のエラー (キー: tabId, 値: メッセージ)。次に開始したときに消す
+const lastErrors = new Map();
+
+// タブのバッジとツールチップを現在の状態に合わせる
+async function updateActionState(tabId) {
+  const status = capturingTabs.get(tabId)?.status || 'inactive';
+  let state = status;
+  if (status === 'inactive' && lastErrors.has(tabId)) {
+    state = 'error';
+  } else if (status === 'active' && getMixerState(tabId).bypass) {
+    state = 'bypassed';
+  }
+  const badge = ACTION_BADGES[state];
+
+  try {
+    // ツールチップ: 状態・プリセット・直近のエラー
+    const lines = [`Tab Audio Arranger: ${badge.label}`];
+    const settings = await getSettingsForTab(tabId);
+    const preset = settings.presetId ? await findPreset(settings.presetId) : null;
+    lines.push(`Preset: ${preset ? `${preset.name}${isPresetModified(preset, settings) ? ' (modified)' : ''}` : 'Custom'}`);
+    const rule = settings.urlRuleId ? (await loadUrlRules()).find(item => item.id === settings.urlRuleId) : null;
+    if (rule) {
+      lines.push(`Rule: ${getUrlRuleLabel(rule)}`);
+    }
+    if (lastErrors.has(tabId)) {
+      lines.push(`Last error: ${lastErrors.get(tabId)}`);
+    }
+    await chrome.action.setTitle({ tabId, title: lines.join('\n') });
+
+    // ショートカットのフィードバックを表示している間はバッジを変えない (表示が終わったら呼ばれる)
+    if (commandFeedbackTimers.has(tabId)) return;
+    await chrome.action.setBadgeBackgroundColor({ tabId, color: badge.color });
+    await chrome.action.setBadgeText({ tabId, text: badge.text });
+  } catch (error) {
+    // タブが閉じられた後などは設定できない
+    console.warn(`Could not update the action state for tab ${tabId}:`, error);
+  }
+}
+
 // ポップアップに状態更新を通知するヘルパー関数
 function sendPopupStatusUpdate(tabId, status) {
   console.log(`Sending status update to popup for tab ${tabId}: ${status}`);
-  chrome.runtime.sendMessage({ type: 'status-update', tabId: tabId, status: status })
-    .catch(error => {
-      // ポップアップが開いていない場合などにエラーが発生するが、これは正常な動作
-      if (error.message.includes("Receiving end does not exist")) {
-        // console.log("Popup is not open, skipping status update.");
-      } else {
-        console.warn(`Error sending status update to popup for tab ${tabId}:`, error);
-      }
-    });
+  // 止まった理由をポップアップに表示できるよう、直近のエラーも送る
+  // ポップアップが開いていなければ受信側がないが、これは正常な動作
+  sendNotification({ type: 'status-update', tabId: tabId, status: status, error: lastErrors.get(tabId) || null });
 }
 
 // タブが閉じられたときのクリーンアップ
-chrome.tabs.onRemoved.addListener((tabId) => {
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  await captureStateReady;
+  lastErrors.delete(tabId);
+  lastReconnects.delete(tabId);
   if (capturingTabs.has(tabId) && capturingTabs.get(tabId).status !== 'inactive') {
     console.log(`Tab ${tabId} removed, stopping capture.`);
-    // stopCapture を呼ぶのではなく、Offscreen に直接停止メッセージを送る方が良い場合もある
-    chrome.runtime.sendMessage({
-        type: 'stop-processing',
-        target: 'offscreen',
-        tabId: tabId
-    });
+    // stopCapture は呼ばず、Offscreen に直接停止を依頼する (停止したら Offscreen Document を閉じるか確認する)
+    sendRequest(MESSAGE_TARGETS.offscreen, { type: 'stop-processing', tabId: tabId }, { timeoutMs: STOP_PROCESSING_TIMEOUT_MS })
+        .catch(e => console.warn(`Failed to stop processing for removed tab ${tabId}: ${e}`))
+        .finally(() => closeOffscreenDocumentIfIdle());
     capturingTabs.delete(tabId); // 状態マップから削除
-    tabSettings.delete(tabId); // 設定マップからも削除
+    saveCaptureState();
+    clearMixerState(tabId);
+    sendPopupStatusUpdate(tabId, 'inactive'); // ミキサーから外す
+    removeTabSettings(tabId).catch(e => console.warn(`Failed to remove settings for tab ${tabId}:`, e)); // タブごとの設定も削除 (サイト設定は残す)
     console.log(`Cleaned up state and settings for removed tab ${tabId}`);
-    // Offscreen Document を閉じる判断はメッセージ受信時に行う
   } else {
       // 状態管理マップからも削除 (念のため)
-      capturingTabs.delete(tabId);
-      tabSettings.delete(tabId); // 設定マップからも削除
+      if (capturingTabs.delete(tabId)) saveCaptureState();
+      removeTabSettings(tabId).catch(e => console.warn(`Failed to remove settings for tab ${tabId}:`, e));
   }
 });
 
-// タブが更新されたときのクリーンアップ (例: リロード)
-chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-  // ページの URL が変わった場合や、リロードが完了した場合など
-  if (capturingTabs.has(tabId) && capturingTabs.get(tabId).status !== 'inactive') {
-      if (changeInfo.status === 'loading' || changeInfo.url) {
-          console.log(`Tab ${tabId} updated (${changeInfo.status || 'URL changed'}), stopping capture.`);
-          // stopCapture を呼ぶか、直接メッセージ送信
-          chrome.runtime.sendMessage({
-              type: 'stop-processing',
-              target: 'offscreen',
-              tabId: tabId
-          });
-          // 状態を inactive に設定 (Offscreenからの応答を待たずに)
-          capturingTabs.set(tabId, { status: 'inactive' });
-          // 設定は保持しても良いが、混乱を避けるため削除する方が安全かもしれない
-          tabSettings.delete(tabId);
-          console.log(`Cleaned up state and settings for updated tab ${tabId}`);
-          // オフ状態のアイコンを設定 - アイコンファイルがまだないのでコメントアウト
-          // chrome.action.setIcon({ path: "images/icon_off.png", tabId: tabId });
-      }
+// タブのページ移動 (リロード・別ページへの移動・SPA のルート変更)
+// キャプチャは止めない。タブのストリームが終わった場合は processing-stopped (reason: 'stream-ended') で開始し直す
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo) => {
+  if (!changeInfo.url) {
+    return;
+  }
+  await captureStateReady;
+  if (capturingTabs.has(tabId)) {
+    handleCapturedTabNavigation(tabId, changeInfo.url)
+      .catch(error => console.warn(`Failed to update settings after navigation in tab ${tabId}:`, error));
   }
 });
 
-// 拡張機能インストール時や更新時に初期アイコンを設定
+// 拡張機能インストール時や更新時
+// 初期状態 (オフ) はバッジのないデフォルトのアイコンなので、タブごとの設定は不要
 chrome.runtime.onInstalled.addListener(() => {
   console.log('Extension installed or updated.');
-  // 全タブのアイコンを初期状態 (オフ) に設定 - アイコンファイルがまだないのでコメントアウト
-  // chrome.tabs.query({}, (tabs) => {
-  //   tabs.forEach(tab => {
-  //     chrome.action.setIcon({ path: "images/icon_off.png", tabId: tab.id });
-  //   });
-  // });
 });
 
+// Service Worker の起動時に状態を復元する (メッセージやイベントの処理はこれを待つ)
+const captureStateReady = restoreCaptureState();
+
 console.log("Background service worker started.");
\ No newline at end of file
@@ -0,0 +1,56 @@
+// ducking.js
+
+// タブ間のオートダッキング (通話や会話のタブが鳴っている間、音楽などのほかのタブを下げる)
+// background.js (importScripts)・offscreen.html・mixer.html (<script>) から読み込む。settings.js は不要
+// - タブの役割 (ミキサーで選ぶ。ミュート/ソロと同じく処理が止まると破棄する)
+//   'primary': サイドチェーン検出 (worklets/sidechain-detector-processor.js) で音を検出する側
+//   'background': primary のタブのどれかで音を検出している間、depthDb だけ下げられる側
+//   'none': ダッキングに関係しない
+// - ダッキングの設定 { depthDb, attackMs, releaseMs } はすべてのタブで共通。chrome.storage.local に保存
+
+const DUCKING_ROLES = ['none', 'primary', 'background'];
+
+const DUCKING_SETTINGS_KEY = 'duckingSettings';
+
+// 設定できる範囲 (depthDb: 下げる量, attackMs: 下げ始めてからほぼ下がりきるまで, releaseMs: 戻し始めてからほぼ戻りきるまで)
+const DUCKING_RANGES = {
+  depthDb: { min: 0, max: 40 },
+  attackMs: { min: 10, max: 1000 },
+  releaseMs: { min: 50, max: 5000 },
+};
+
+const defaultDuckingSettings = {
+  depthDb: 12,
+  attackMs: 100,
+  releaseMs: 800,
+};
+
+// 設定を範囲内に収める (不明な値は既定値にする)
+function normalizeDuckingSettings(settings) {
+  const normalized = {};
+  Object.entries(DUCKING_RANGES).forEach(([key, { min, max }]) => {
+    const value = Number(settings?.[key]);
+    normalized[key] = Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : defaultDuckingSettings[key];
+  });
+  return normalized;
+}
+
+// 下げている間の GainNode のゲイン (リニア値)
+function getDuckingGain(settings) {
+  return Math.pow(10, -settings.depthDb / 20);
+}
+
+// setTargetAtTime の時定数 (秒)。時定数の 3 倍で約 95% 変化するので、attack / release の 1/3 にする
+function getDuckingTimeConstant(settings, ducking) {
+  return (ducking ? settings.attackMs : settings.releaseMs) / 1000 / 3;
+}
+
+// --- 保存 (chrome.storage.local) ---
+async function loadDuckingSettings() {
+  const items = await chrome.storage.local.get(DUCKING_SETTINGS_KEY);
+  return normalizeDuckingSettings(items[DUCKING_SETTINGS_KEY] ?? defaultDuckingSettings);
+}
+
+function saveDuckingSettings(settings) {
+  return chrome.storage.local.set({ [DUCKING_SETTINGS_KEY]: settings });
+}
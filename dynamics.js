@@ -0,0 +1,114 @@
+// dynamics.js
+
+// ゲート・コンプレッサー・リミッター・マスター音量のパラメータ (offscreen.html / popup.html で共有)
+// offscreen.js の applySettings はここで決めた値をゲート、DynamicsCompressorNode とリミッター、出力の GainNode に設定する
+
+// 設定できる範囲 (コンプレッサーは DynamicsCompressorNode の AudioParam の範囲に合わせる)
+// attack / hold / release の単位は秒、それ以外は dB (ratio を除く)
+const DYNAMICS_RANGES = {
+  gateThreshold: { min: -80, max: 0 },
+  gateRange: { min: 0, max: 80 },
+  gateRatio: { min: 1, max: 20 },
+  gateAttack: { min: 0.0005, max: 0.1 },
+  gateHold: { min: 0, max: 1 },
+  gateRelease: { min: 0.01, max: 2 },
+  deEsserLowFrequency: { min: 2000, max: 12000 }, // Hz
+  deEsserHighFrequency: { min: 3000, max: 16000 }, // Hz
+  deEsserThreshold: { min: -60, max: 0 },
+  deEsserReduction: { min: 0, max: 24 },
+  plosiveThreshold: { min: -60, max: 0 },
+  plosiveReduction: { min: 0, max: 30 },
+  compressorThreshold: { min: -100, max: 0 },
+  compressorKnee: { min: 0, max: 40 },
+  compressorRatio: { min: 1, max: 20 },
+  compressorAttack: { min: 0, max: 1 },
+  compressorRelease: { min: 0, max: 1 },
+  compressorMakeup: { min: 0, max: 24 },
+  limiterCeiling: { min: -12, max: 0 },
+  limiterRelease: { min: 0.01, max: 1 },
+};
+
+// マスター音量の範囲 (dB)。最小値はミュートとして扱う
+const MASTER_VOLUME_MIN_DB = -60;
+const MASTER_VOLUME_MAX_DB = 24;
+
+// コンプレッサー無効時の値 (圧縮しない)
+const COMPRESSOR_BYPASS_PARAMS = { threshold: 0, knee: 0, ratio: 1, attack: 0.003, release: 0.25, makeup: 0 };
+
+function clampDynamicsSetting(settings, key) {
+  const { min, max } = DYNAMICS_RANGES[key];
+  const value = Number(settings[key]);
+  return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : defaultSettings[key];
+}
+
+// ゲート / エキスパンダー (worklets/gate-processor.js) のパラメータ
+// 戻り値: { enabled, thresholdDb, rangeDb, ratio, attack, hold, release, sidechainHpf }
+function getGateParams(settings) {
+  return {
+    enabled: !!settings.gateEnabled,
+    thresholdDb: clampDynamicsSetting(settings, 'gateThreshold'),
+    rangeDb: clampDynamicsSetting(settings, 'gateRange'),
+    ratio: clampDynamicsSetting(settings, 'gateRatio'),
+    attack: clampDynamicsSetting(settings, 'gateAttack'),
+    hold: clampDynamicsSetting(settings, 'gateHold'),
+    release: clampDynamicsSetting(settings, 'gateRelease'),
+    sidechainHpf: !!settings.gateSidechainHpf,
+  };
+}
+
+// ディエッサーの帯域の最小の幅 (Hz)
+const DEESSER_MIN_BANDWIDTH = 500;
+
+// ディエッサーと破裂音の抑制 (worklets/deesser-processor.js) のパラメータ
+// 戻り値: { deEsser: { enabled, lowFrequency, highFrequency, thresholdDb, reductionDb }, plosive: { enabled, thresholdDb, reductionDb } }
+function getDeEsserParams(settings) {
+  const lowFrequency = clampDynamicsSetting(settings, 'deEsserLowFrequency');
+  return {
+    deEsser: {
+      enabled: !!settings.deEsserEnabled,
+      lowFrequency: lowFrequency,
+      highFrequency: Math.max(lowFrequency + DEESSER_MIN_BANDWIDTH, clampDynamicsSetting(settings, 'deEsserHighFrequency')),
+      thresholdDb: clampDynamicsSetting(settings, 'deEsserThreshold'),
+      reductionDb: clampDynamicsSetting(settings, 'deEsserReduction'),
+    },
+    plosive: {
+      enabled: !!settings.plosiveEnabled,
+      thresholdDb: clampDynamicsSetting(settings, 'plosiveThreshold'),
+      reductionDb: clampDynamicsSetting(settings, 'plosiveReduction'),
+    },
+  };
+}
+
+// コンプレッサーのパラメータ
+// 戻り値: { threshold, knee, ratio, attack, release, makeup }
+function getCompressorParams(settings) {
+  if (!settings.compressorEnabled) {
+    return COMPRESSOR_BYPASS_PARAMS;
+  }
+  return {
+    threshold: clampDynamicsSetting(settings, 'compressorThreshold'),
+    knee: clampDynamicsSetting(settings, 'compressorKnee'),
+    ratio: clampDynamicsSetting(settings, 'compressorRatio'),
+    attack: clampDynamicsSetting(settings, 'compressorAttack'),
+    release: clampDynamicsSetting(settings, 'compressorRelease'),
+    makeup: clampDynamicsSetting(settings, 'compressorMakeup'),
+  };
+}
+
+// マスター音量 (出力の GainNode のゲイン, リニア値)。最小値以下はミュート (0)
+// EQ のプリアンプ (equalizer.js の getEqPreampDb) もここでかける
+function getMasterVolumeGain(settings) {
+  const volumeDb = Math.min(MASTER_VOLUME_MAX_DB, Number(settings.masterVolumeDb) || 0);
+  return volumeDb <= MASTER_VOLUME_MIN_DB ? 0 : Math.pow(10, (volumeDb + getEqPreampDb(settings)) / 20);
+}
+
+// リミッターのパラメータ
+// マスター音量で 0 dB を超えて持ち上げているときは、クリップを防ぐため設定に関係なく有効にする
+// 戻り値: { enabled, ceilingDb, release }
+function getLimiterParams(settings) {
+  return {
+    enabled: !!settings.limiterEnabled || getMasterVolumeGain(settings) > 1,
+    ceilingDb: clampDynamicsSetting(settings, 'limiterCeiling'),
+    release: clampDynamicsSetting(settings, 'limiterRelease'),
+  };
+}
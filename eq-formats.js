@@ -0,0 +1,407 @@
+// eq-formats.js
+
+// EQ 設定のインポート/エクスポート (popup.html / options.html で共有)
+// - Equalizer APO / AutoEQ の ParametricEQ.txt 形式 ("Preamp: -6.2 dB", "Filter 1: ON PK Fc 105 Hz Gain -2.4 dB Q 0.70")
+// - この拡張機能のバージョン付き JSON 形式
+// settings.js, equalizer.js, presets.js を先に読み込んでおくこと
+
+const SETTINGS_FILE_FORMAT = 'tab-audio-arranger-settings';
+const SETTINGS_FILE_VERSION = 1;
+
+// Equalizer APO のフィルタータイプ -> BiquadFilterNode.type
+const APO_FILTER_TYPES = {
+  PK: 'peaking',
+  PEQ: 'peaking',
+  LS: 'lowshelf',
+  LSC: 'lowshelf',
+  HS: 'highshelf',
+  HSC: 'highshelf',
+  LP: 'lowpass',
+  LPQ: 'lowpass',
+  HP: 'highpass',
+  HPQ: 'highpass',
+  NO: 'notch',
+  BP: 'bandpass',
+  AP: 'allpass',
+};
+
+// BiquadFilterNode.type -> Equalizer APO のフィルタータイプ (エクスポート用)
+const BIQUAD_TO_APO_FILTER_TYPES = {
+  peaking: 'PK',
+  lowshelf: 'LSC',
+  highshelf: 'HSC',
+  lowpass: 'LPQ',
+  highpass: 'HPQ',
+  notch: 'NO',
+  bandpass: 'BP',
+  allpass: 'AP',
+};
+
+// Q が省略されたときの値 (Equalizer APO と同じく 12 dB/oct のバターワース相当)
+const APO_DEFAULT_Q = 0.707;
+
+// グラフィック EQ のバンドに対応付けるときの許容誤差
+const GRAPHIC_EQ_FREQUENCY_TOLERANCE_OCTAVES = 1 / 6;
+const GRAPHIC_EQ_Q_TOLERANCE = 0.25; // 相対誤差
+
+// --- ParametricEQ.txt の解析 ---
+
+// 帯域幅 (オクターブ) を Q に変換する
+function bandwidthToQ(octaves) {
+  const ratio = Math.pow(2, octaves);
+  return Math.sqrt(ratio) / (ratio - 1);
+}
+
+// "Filter N: ..." 行を解析する。解析できなければ Error を投げる
+function parseApoFilterLine(text, lineNumber) {
+  const match = text.match(/^Filter\s*(\d*)\s*:\s*(ON|OFF)\s+([A-Z]+)(?:\s+\d+(?:\.\d+)?\s*dB\b)?(.*)$/i);
+  if (!match) {
+    throw new Error('Malformed filter line');
+  }
+  const [, number, state, apoType, rest] = match;
+  const type = APO_FILTER_TYPES[apoType.toUpperCase()];
+  if (!type) {
+    throw new Error(`Unknown filter type "${apoType}"`);
+  }
+
+  const readParam = (pattern) => {
+    const paramMatch = rest.match(pattern);
+    return paramMatch ? Number(paramMatch[1]) : null;
+  };
+  const frequency = readParam(/\bFc\s+(-?\d+(?:\.\d+)?)\s*Hz/i);
+  const gain = readParam(/\bGain\s+(-?\d+(?:\.\d+)?)\s*dB/i);
+  const q = readParam(/\bQ\s+(\d+(?:\.\d+)?)/i);
+  const bandwidth = readParam(/\bBW\s+Oct\s+(\d+(?:\.\d+)?)/i);
+
+  if (frequency === null || !(frequency > 0)) {
+    throw new Error('Missing or invalid "Fc" frequency');
+  }
+  if (type === 'peaking' && gain === null) {
+    throw new Error('Missing "Gain" for peaking filter');
+  }
+
+  let Q = q ?? (bandwidth !== null ? bandwidthToQ(bandwidth) : null);
+  if (Q === null) {
+    if (type === 'peaking' || type === 'notch' || type === 'bandpass') {
+      throw new Error(`Missing "Q" for ${apoType.toUpperCase()} filter`);
+    }
+    Q = APO_DEFAULT_Q;
+  }
+  if (!(Q > 0)) {
+    throw new Error('Q must be greater than 0');
+  }
+
+  return {
+    line: lineNumber,
+    text: text,
+    number: number ? Number(number) : null,
+    enabled: state.toUpperCase() === 'ON',
+    apoType: apoType.toUpperCase(),
+    type: type,
+    frequency: frequency,
+    gain: gain ?? 0,
+    Q: Q,
+  };
+}
+
+// ParametricEQ.txt を解析する
+// 戻り値: { preamp, filters: [...], issues: [{ line, text, reason }] }
+function parseParametricEq(text) {
+  const filters = [];
+  const issues = [];
+  let preamp = 0;
+
+  text.split(/\r?\n/).forEach((rawLine, i) => {
+    const line = rawLine.trim();
+    const lineNumber = i + 1;
+    if (!line || line.startsWith('#')) {
+      return; // 空行とコメントは無視
+    }
+
+    const preampMatch = line.match(/^Preamp\s*:\s*(-?\d+(?:\.\d+)?)\s*dB$/i);
+    if (preampMatch) {
+      preamp += Number(preampMatch[1]); // Equalizer APO と同じく複数行は合算
+      return;
+    }
+
+    if (/^Filter\s*\d*\s*:/i.test(line)) {
+      try {
+        filters.push(parseApoFilterLine(line, lineNumber));
+      } catch (error) {
+        issues.push({ line: lineNumber, text: line, reason: error.message });
+      }
+      return;
+    }
+
+    const directive = line.split(':')[0];
+    issues.push({ line: lineNumber, text: line, reason: `Unsupported directive "${directive}"` });
+  });
+
+  return { preamp, filters, issues };
+}
+
+// 解析済みのフィルターを EQ の設定に対応付ける
+// eqMode: 'parametric' (フィルターをそのままバンドにする) または 'graphic' (10 バンドに合わせる)
+// 対応付けられないフィルターは rejected に理由付きで報告する (黙って捨てない)
+// 戻り値: { settings, applied: [{ filter, bandIndex }], rejected: [{ line, text, reason }], warnings: [] }
+function mapParametricEqToSettings(parsed, eqMode = 'parametric') {
+  const result = eqMode === 'graphic' ? mapToGraphicEq(parsed) : mapToParametricEq(parsed);
+  // プリアンプは EQ のプリアンプに取り込む (ブーストの多いカーブは負のプリアンプがないとクリップする)
+  const preamp = clamp(parsed.preamp, EQ_PREAMP_MIN, EQ_PREAMP_MAX);
+  if (preamp !== parsed.preamp) {
+    result.warnings.unshift(`Preamp ${formatDecibels(parsed.preamp)} was clamped to ${formatDecibels(preamp)}.`);
+  }
+  result.settings.eqPreampDb = preamp;
+  result.rejected.sort((a, b) => a.line - b.line); // ファイルの行順に並べる
+  return result;
+}
+
+// ゲインを EQ の範囲に収める (収めた場合は warnings に記録する)
+function clampImportedGain(filter, warnings) {
+  const gain = clamp(filter.gain, EQ_GAIN_MIN, EQ_GAIN_MAX);
+  if (gain !== filter.gain) {
+    warnings.push(`Line ${filter.line}: gain ${formatDecibels(filter.gain)} was clamped to ${formatDecibels(gain)}.`);
+  }
+  return gain;
+}
+
+// パラメトリック EQ のバンドとして取り込む
+function mapToParametricEq(parsed) {
+  const parametricBands = [];
+  const applied = [];
+  const rejected = [...parsed.issues];
+  const warnings = [];
+
+  parsed.filters.forEach(filter => {
+    const reject = (reason) => rejected.push({ line: filter.line, text: filter.text, reason });
+
+    if (!filter.enabled) {
+      reject('Filter is OFF');
+      return;
+    }
+    if (!PARAMETRIC_FILTER_TYPES.includes(filter.type)) {
+      reject(`${filter.apoType} filters are not supported by the parametric EQ`);
+      return;
+    }
+    if (parametricBands.length >= MAX_PARAMETRIC_BANDS) {
+      reject(`Too many filters (the parametric EQ has at most ${MAX_PARAMETRIC_BANDS} bands)`);
+      return;
+    }
+    if (filter.frequency < EQ_FREQUENCY_MIN || filter.frequency > EQ_FREQUENCY_MAX) {
+      reject(`Frequency ${filter.frequency} Hz is outside ${EQ_FREQUENCY_MIN}-${EQ_FREQUENCY_MAX} Hz`);
+      return;
+    }
+    if (!Q_FILTER_TYPES.includes(filter.type) && Math.abs(filter.Q - APO_DEFAULT_Q) > 0.01) {
+      warnings.push(`Line ${filter.line}: Q ${filter.Q.toFixed(2)} is ignored for shelf filters (fixed slope).`);
+    } else if (filter.Q < EQ_Q_MIN || filter.Q > EQ_Q_MAX) {
+      warnings.push(`Line ${filter.line}: Q ${filter.Q.toFixed(2)} was clamped to ${EQ_Q_MIN}-${EQ_Q_MAX}.`);
+    }
+
+    const band = normalizeEqBand({ ...filter, gain: clampImportedGain(filter, warnings) });
+    applied.push({ filter, bandIndex: parametricBands.length });
+    parametricBands.push(band);
+  });
+
+  return { settings: { eqMode: 'parametric', parametricBands }, applied, rejected, warnings };
+}
+
+// 10 バンドのグラフィック EQ に合わせて取り込む
+function mapToGraphicEq(parsed) {
+  const settings = { eqMode: 'graphic' };
+  GRAPHIC_EQ_FREQUENCIES.forEach((frequency, i) => {
+    settings[`eq${i + 1}Gain`] = 0;
+  });
+  const applied = [];
+  const rejected = [...parsed.issues];
+  const warnings = [];
+  const usedBands = new Map(); // bandIndex -> 行番号
+
+  parsed.filters.forEach(filter => {
+    const reject = (reason) => rejected.push({ line: filter.line, text: filter.text, reason });
+
+    if (!filter.enabled) {
+      reject('Filter is OFF');
+      return;
+    }
+    if (filter.type !== 'peaking') {
+      reject(`${filter.apoType} filters are not supported by the 10-band graphic EQ (peaking bands only)`);
+      return;
+    }
+
+    // 対数周波数で最も近いバンドを探す
+    let bandIndex = 0;
+    GRAPHIC_EQ_FREQUENCIES.forEach((frequency, i) => {
+      const distance = Math.abs(Math.log2(filter.frequency / frequency));
+      if (distance < Math.abs(Math.log2(filter.frequency / GRAPHIC_EQ_FREQUENCIES[bandIndex]))) {
+        bandIndex = i;
+      }
+    });
+    const bandFrequency = GRAPHIC_EQ_FREQUENCIES[bandIndex];
+    if (Math.abs(Math.log2(filter.frequency / bandFrequency)) > GRAPHIC_EQ_FREQUENCY_TOLERANCE_OCTAVES) {
+      reject(`No band at ${filter.frequency} Hz (nearest band: ${bandFrequency} Hz)`);
+      return;
+    }
+    if (Math.abs(filter.Q - GRAPHIC_EQ_Q) / GRAPHIC_EQ_Q > GRAPHIC_EQ_Q_TOLERANCE) {
+      reject(`Q ${filter.Q.toFixed(2)} does not match the band Q of ${GRAPHIC_EQ_Q}`);
+      return;
+    }
+    if (usedBands.has(bandIndex)) {
+      reject(`Band ${bandFrequency} Hz is already set by line ${usedBands.get(bandIndex)}`);
+      return;
+    }
+
+    settings[`eq${bandIndex + 1}Gain`] = clampImportedGain(filter, warnings);
+    usedBands.set(bandIndex, filter.line);
+    applied.push({ filter, bandIndex });
+  });
+
+  return { settings, applied, rejected, warnings };
+}
+
+// --- ParametricEQ.txt への書き出し ---
+
+function formatDecibels(value) {
+  return `${value.toFixed(1)} dB`;
+}
+
+// 設定を Equalizer APO の ParametricEQ.txt 形式の文字列にする
+function serializeParametricEq(settings, name = null) {
+  const lines = [`# Tab Audio Arranger${name ? ` - ${name}` : ''}`];
+  lines.push(`Preamp: ${formatDecibels(getEqPreampDb(settings))}`);
+  getEqBandsForSettings(settings).forEach((band, i) => {
+    let line = `Filter ${i + 1}: ON ${BIQUAD_TO_APO_FILTER_TYPES[band.type]} Fc ${band.frequency} Hz`;
+    if (GAIN_FILTER_TYPES.includes(band.type)) {
+      line += ` Gain ${formatDecibels(band.gain)}`;
+    }
+    line += ` Q ${band.Q.toFixed(2)}`;
+    lines.push(line);
+  });
+  return lines.join('\n') + '\n';
+}
+
+// --- JSON 形式 ---
+
+// 設定をバージョン付き JSON 文字列にする
+function serializeSettingsJson(settings, name = null) {
+  return JSON.stringify({
+    format: SETTINGS_FILE_FORMAT,
+    version: SETTINGS_FILE_VERSION,
+    name: name,
+    settings: extractPresetSettings(settings),
+  }, null, 2) + '\n';
+}
+
+// バージョン付き JSON を解析・検証する。形式自体が不正な場合は Error を投げる
+// 戻り値: { name, settings, rejected: [{ line, text, reason }], warnings: [] }
+function parseSettingsJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+  if (!data || typeof data !== 'object' || data.format !== SETTINGS_FILE_FORMAT) {
+    throw new Error('Not a Tab Audio Arranger settings file');
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new Error('Settings file has no valid version');
+  }
+  if (data.version > SETTINGS_FILE_VERSION) {
+    throw new Error(`Settings file version ${data.version} is newer than supported (${SETTINGS_FILE_VERSION})`);
+  }
+  if (!data.settings || typeof data.settings !== 'object' || Array.isArray(data.settings)) {
+    throw new Error('Settings file has no "settings" object');
+  }
+
+  const settings = {};
+  const rejected = [];
+  const warnings = [];
+  Object.entries(data.settings).forEach(([key, value]) => {
+    const reject = (reason) => rejected.push({ line: null, text: key, reason });
+
+    if (!(key in defaultSettings) || NON_PRESET_SETTING_KEYS.includes(key)) {
+      reject(`Unknown setting "${key}"`);
+      return;
+    }
+    if (key === 'eqMode') {
+      if (value !== 'graphic' && value !== 'parametric') {
+        reject(`"eqMode" must be "graphic" or "parametric"`);
+        return;
+      }
+      settings[key] = value;
+      return;
+    }
+    if (key === 'parametricBands') {
+      if (!Array.isArray(value) || value.some(band => !band || typeof band !== 'object')) {
+        reject('"parametricBands" must be an array of bands');
+        return;
+      }
+      if (value.length > MAX_PARAMETRIC_BANDS) {
+        warnings.push(`Only the first ${MAX_PARAMETRIC_BANDS} of ${value.length} parametric bands were imported.`);
+      }
+      settings[key] = value.slice(0, MAX_PARAMETRIC_BANDS).map(normalizeEqBand);
+      return;
+    }
+    const expectedType = typeof defaultSettings[key];
+    if (typeof value !== expectedType || (expectedType === 'number' && !Number.isFinite(value))) {
+      reject(`Expected a ${expectedType} for "${key}"`);
+      return;
+    }
+    if (/^eq\d+Gain$/.test(key) && (value < EQ_GAIN_MIN || value > EQ_GAIN_MAX)) {
+      const clamped = clamp(value, EQ_GAIN_MIN, EQ_GAIN_MAX);
+      warnings.push(`"${key}" ${formatDecibels(value)} was clamped to ${formatDecibels(clamped)}.`);
+      value = clamped;
+    }
+    if (key === 'eqPreampDb' && (value < EQ_PREAMP_MIN || value > EQ_PREAMP_MAX)) {
+      const clamped = clamp(value, EQ_PREAMP_MIN, EQ_PREAMP_MAX);
+      warnings.push(`"${key}" ${formatDecibels(value)} was clamped to ${formatDecibels(clamped)}.`);
+      value = clamped;
+    }
+    settings[key] = value;
+  });
+
+  return { name: typeof data.name === 'string' ? data.name : null, settings, rejected, warnings };
+}
+
+// --- ファイル入出力 ---
+
+// ファイルの内容から形式を判定して読み込む
+// eqMode: ParametricEQ.txt を取り込む先の EQ モード ('parametric' または 'graphic')
+// 戻り値: { format: 'json' | 'apo', name, settings, rejected, warnings }
+function importSettingsFile(text, fileName, eqMode = 'parametric') {
+  const baseName = fileName.replace(/\.[^.]+$/, '');
+  if (text.trim().startsWith('{')) {
+    const result = parseSettingsJson(text);
+    return { format: 'json', ...result, name: result.name || baseName };
+  }
+  const parsed = parseParametricEq(text);
+  if (parsed.filters.length === 0 && parsed.preamp === 0) {
+    throw new Error('No "Preamp:" or "Filter:" lines found');
+  }
+  return { format: 'apo', name: baseName, ...mapParametricEqToSettings(parsed, eqMode) };
+}
+
+// ファイル名に使えない文字を置き換える
+function toFileName(name) {
+  return (name || 'settings').replace(/[^\w\- ]+/g, '_').trim() || 'settings';
+}
+
+// テキストをファイルとしてダウンロードさせる
+function downloadTextFile(fileName, text, mimeType) {
+  const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000); // ダウンロード開始後に解放
+}
+
+// 設定を ParametricEQ.txt としてダウンロードする
+function exportParametricEq(settings, name) {
+  downloadTextFile(`${toFileName(name)} ParametricEQ.txt`, serializeParametricEq(settings, name), 'text/plain');
+}
+
+// 設定を JSON としてダウンロードする
+function exportSettingsJson(settings, name) {
+  downloadTextFile(`${toFileName(name)}.json`, serializeSettingsJson(settings, name), 'application/json');
+}
@@ -0,0 +1,69 @@
+// equalizer.js
+
+// イコライザーのバンド構成 (offscreen.html / popup.html / options.html で共有)
+// offscreen.js の startAudioProcessing はここで定義したバンドから BiquadFilterNode を作る
+// - グラフィックモード: 固定の 10 バンド (ゲインのみ変更可能)
+// - パラメトリックモード: 可変数のバンド (タイプ・周波数・Q・ゲインを変更可能)
+
+// グラフィック EQ (10 バンド Peaking Filter) の中心周波数 (Hz)
+const GRAPHIC_EQ_FREQUENCIES = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+// グラフィック EQ の各バンドの Q
+const GRAPHIC_EQ_Q = 1;
+// EQ ゲインの範囲 (dB)。ポップアップのスライダーと同じ
+const EQ_GAIN_MIN = -15;
+const EQ_GAIN_MAX = 15;
+// EQ のプリアンプの範囲 (dB)。ブーストの多いカーブを取り込むとき、クリップしないよう大きく下げられるようにする
+const EQ_PREAMP_MIN = -30;
+const EQ_PREAMP_MAX = 15;
+
+// パラメトリック EQ で選べるフィルタータイプ (BiquadFilterNode.type)
+const PARAMETRIC_FILTER_TYPES = ['peaking', 'lowshelf', 'highshelf', 'lowpass', 'highpass', 'notch'];
+// ゲインを持つフィルタータイプ (それ以外のタイプでは gain は無視される)
+const GAIN_FILTER_TYPES = ['peaking', 'lowshelf', 'highshelf'];
+// Q を使うフィルタータイプ (Web Audio のシェルフは傾きが固定で Q を無視する)
+const Q_FILTER_TYPES = ['peaking', 'lowpass', 'highpass', 'notch'];
+// パラメトリック EQ のバンド数の上限
+const MAX_PARAMETRIC_BANDS = 20;
+// パラメトリック EQ の周波数と Q の範囲
+const EQ_FREQUENCY_MIN = 10;
+const EQ_FREQUENCY_MAX = 22000;
+const EQ_Q_MIN = 0.1;
+const EQ_Q_MAX = 30;
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+// EQ のプリアンプ (dB)
+function getEqPreampDb(settings) {
+  return clamp(Number(settings.eqPreampDb) || 0, EQ_PREAMP_MIN, EQ_PREAMP_MAX);
+}
+
+// パラメトリック EQ のバンドを有効な値に整える
+function normalizeEqBand(band) {
+  return {
+    type: PARAMETRIC_FILTER_TYPES.includes(band.type) ? band.type : 'peaking',
+    frequency: clamp(Number(band.frequency) || 1000, EQ_FREQUENCY_MIN, EQ_FREQUENCY_MAX),
+    Q: clamp(Number(band.Q) || 1, EQ_Q_MIN, EQ_Q_MAX),
+    gain: clamp(Number(band.gain) || 0, EQ_GAIN_MIN, EQ_GAIN_MAX),
+  };
+}
+
+// グラフィック EQ の 10 バンド
+function getGraphicEqBands(settings) {
+  return GRAPHIC_EQ_FREQUENCIES.map((frequency, i) => ({
+    type: 'peaking',
+    frequency: frequency,
+    Q: GRAPHIC_EQ_Q,
+    gain: settings[`eq${i + 1}Gain`] ?? 0,
+  }));
+}
+
+// 設定からイコライザーのバンド一覧を作る
+// 戻り値: [{ type, frequency, Q, gain }] (BiquadFilterNode のパラメータと同じ形)
+function getEqBandsForSettings(settings) {
+  if (settings.eqMode === 'parametric') {
+    return (settings.parametricBands || []).slice(0, MAX_PARAMETRIC_BANDS).map(normalizeEqBand);
+  }
+  return getGraphicEqBands(settings);
+}
@@ -0,0 +1,81 @@
+// filter-chain.js
+
+// 音声処理チェーンの BiquadFilterNode のパラメータ (offscreen.html / popup.html で共有)
+// offscreen.js の applySettings と、ポップアップの周波数特性グラフが同じ値を使うようにする
+// settings.js と equalizer.js を先に読み込んでおくこと
+
+// ノイズキャンセル無効時にフィルターを可聴域外へ逃がすための値
+const VOICE_FILTER_BYPASS_FREQUENCY = 10;
+const VOICE_FILTER_BYPASS_Q = 0.01;
+
+// ハム除去のノッチの数の上限 (基本波を含む)。offscreen.js はこの数の BiquadFilterNode を常に用意しておく
+const HUM_MAX_HARMONICS = 8;
+// 電源周波数 ('auto' は Offscreen Document が入力のスペクトルから 50 Hz か 60 Hz かを判定する)
+const HUM_FREQUENCIES = ['auto', '50', '60'];
+// 設定できる範囲 (humDepth: ノッチの深さ dB, humQ: ノッチの鋭さ)
+const HUM_RANGES = {
+  humHarmonics: { min: 1, max: HUM_MAX_HARMONICS },
+  humDepth: { min: 6, max: 60 },
+  humQ: { min: 5, max: 100 },
+};
+
+function clampHumSetting(settings, key) {
+  const { min, max } = HUM_RANGES[key];
+  const value = Number(settings[key]);
+  return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : defaultSettings[key];
+}
+
+// ハム除去のフィルター (基本波と倍音の peaking、深さは負のゲイン) のパラメータ
+// ノイズキャンセルとは独立。自動検出でまだ周波数がわからないとき (detectedFrequency が null) は何もしない
+// (周波数特性グラフは検出結果を知らないので、自動のときはハム除去を描かない)
+// 戻り値: HUM_MAX_HARMONICS 個の { type, frequency, Q, gain }。使わない分はゲイン 0 (素通し)
+function getHumFilterParams(settings, sampleRate, detectedFrequency = null) {
+  const fundamental = settings.humFrequency === 'auto' ? detectedFrequency : Number(settings.humFrequency);
+  const enabled = !!settings.humRemovalEnabled && fundamental > 0;
+  const harmonics = enabled ? Math.round(clampHumSetting(settings, 'humHarmonics')) : 0;
+  const Q = clampHumSetting(settings, 'humQ');
+  const depth = clampHumSetting(settings, 'humDepth');
+  return Array.from({ length: HUM_MAX_HARMONICS }, (_, i) => {
+    const frequency = (fundamental || 50) * (i + 1);
+    const active = i < harmonics && frequency < sampleRate / 2;
+    return { type: 'peaking', frequency: Math.min(frequency, sampleRate / 2 - 1), Q, gain: active ? -depth : 0 };
+  });
+}
+
+// ノイズキャンセル用のフィルター (bandpass / lowpass) のパラメータ
+// ダイアログモードでは音楽や効果音をこもらせないよう、バンドパスとローパスは使わない
+// 戻り値: { bandpass, lowpass } (それぞれ { type, frequency, Q, gain })
+function getVoiceFilterParams(settings, sampleRate) {
+  if (!(settings.voiceEnhancementEnabled && settings.noiseCancelEnabled) || settings.dialogueEnabled) {
+    // 無効時はバンドパスを可聴域外に移動して広げ、ローパスのカットオフをナイキスト周波数にする
+    return {
+      bandpass: { type: 'bandpass', frequency: VOICE_FILTER_BYPASS_FREQUENCY, Q: VOICE_FILTER_BYPASS_Q, gain: 0 },
+      lowpass: { type: 'lowpass', frequency: sampleRate / 2 - 1, Q: 1, gain: 0 },
+    };
+  }
+  return {
+    bandpass: { type: 'bandpass', frequency: 1850, Q: 0.8, gain: 0 }, // Voice bandpass center
+    lowpass: { type: 'lowpass', frequency: 4000, Q: 1, gain: 0 }, // Cut high freq noise
+  };
+}
+
+// EQ バンド ({ type, frequency, Q, gain }) を BiquadFilterNode に設定する値に変換する
+// Web Audio の lowpass / highpass は Q を dB (共振の大きさ) として扱うので、通常の Q から変換する
+function toBiquadParams(band) {
+  if (band.type === 'lowpass' || band.type === 'highpass') {
+    return { ...band, Q: 20 * Math.log10(band.Q) };
+  }
+  return band;
+}
+
+// チェーン全体 (ハム除去 -> bandpass -> lowpass -> EQ バンド...) の BiquadFilterNode パラメータの一覧
+// humFrequency: 自動検出したハムの周波数 (わからなければ null)
+function getFilterChainForSettings(settings, sampleRate, humFrequency = null) {
+  const voiceFilters = getVoiceFilterParams(settings, sampleRate);
+  return [
+    ...getHumFilterParams(settings, sampleRate, humFrequency),
+    voiceFilters.bandpass,
+    voiceFilters.lowpass,
+    ...getEqBandsForSettings(settings).map(toBiquadParams),
+  ];
+}
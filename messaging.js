@@ -0,0 +1,254 @@
+// messaging.js
+
+// 拡張機能内のメッセージのプロトコル (background.js は importScripts、各ページは <script> で読み込む)
+// - リクエスト: { protocol, id, target, type, ...payload }
+//   宛先 (target) のコンテキストだけが処理し、必ず応答を返す
+//   応答: { protocol, replyTo, ok: true, result } または { protocol, replyTo, ok: false, error: { code, message } }
+//   送信側は応答を待ち、エラーの応答・タイムアウト・受信側がない場合は MessagingError で reject する
+// - 通知: { protocol, target: 'ui', type, ...payload }
+//   バックグラウンドからポップアップ・ミキサーへのブロードキャスト。応答はなく、開いているページがなくてもエラーにしない
+// メッセージの種類ごとのペイロードの形は MESSAGE_SCHEMAS で決め、送信時と受信時の両方で検証する
+
+// ペイロードや応答の形を変えたら上げる (古い Offscreen Document などからのメッセージを拒否する)
+const PROTOCOL_VERSION = 1;
+
+// 応答を待つ時間のデフォルト (ミリ秒)
+const DEFAULT_REQUEST_TIMEOUT_MS = 5000;
+
+const MESSAGE_TARGETS = {
+  background: 'background',
+  offscreen: 'offscreen',
+  ui: 'ui', // ポップアップ・ミキサー (通知のみ)
+};
+
+// 宛先ごとのメッセージの種類と、ペイロードの各項目の型
+// 型: 'number' | 'string' | 'boolean' | 'object' | 'array'。末尾に '?' が付く項目は省略できる (null も可)
+const MESSAGE_SCHEMAS = {
+  background: {
+    // プリセット・URL ルール・ミキサー (タブに依存しない)
+    'get-presets': {},
+    'save-preset': { name: 'string', settings: 'object' },
+    'rename-preset': { presetId: 'string', name: 'string' },
+    'overwrite-preset': { presetId: 'string', settings: 'object' },
+    'delete-preset': { presetId: 'string' },
+    'get-url-rules': {},
+    'save-url-rules': { rules: 'array' },
+    'get-mixer-state': {},
+    // タブの状態と設定
+    'get-status': { tabId: 'number' },
+    'toggle-capture': { tabId: 'number' },
+    'stop-capture': { tabId: 'number' },
+    'get-settings': { tabId: 'number' },
+    'update-settings': { tabId: 'number', settings: 'object' },
+    'apply-preset': { tabId: 'number', presetId: 'string' },
+    'remember-site': { tabId: 'number', remember: 'boolean' },
+    'save-default-settings': { tabId: 'number' },
+    'reset-settings': { tabId: 'number' },
+    'set-master-volume': { tabId: 'number', volumeDb: 'number' },
+    'preview-master-volume': { tabId: 'number', volumeDb: 'number' },
+    'set-mixer-mute': { tabId: 'number', muted: 'boolean' },
+    'set-mixer-solo': { tabId: 'number', solo: 'boolean' },
+    'set-bypass': { tabId: 'number', bypass: 'boolean' },
+    'set-ducking-role': { tabId: 'number', role: 'string' },
+    'save-ducking-settings': { settings: 'object' },
+    // 処理中のタブへの操作 (Offscreen Document に転送する)
+    'learn-noise-profile': { tabId: 'number' },
+    'clear-noise-profile': { tabId: 'number' },
+    'start-recording': { tabId: 'number', format: 'string' },
+    'pause-recording': { tabId: 'number' },
+    'resume-recording': { tabId: 'number' },
+    'stop-recording': { tabId: 'number' },
+    // Offscreen Document で起きたこと
+    'processing-stopped': { tabId: 'number', reason: 'string' },
+    'recording-ready': { tabId: 'number', url: 'string', fileName: 'string', size: 'number' },
+    'ducking-changed': { speakingTabIds: 'array' },
+  },
+  offscreen: {
+    'start-processing': { tabId: 'number', streamId: 'string', settings: 'object' },
+    'stop-processing': { tabId: 'number' },
+    'get-processing-tabs': {},
+    'update-settings': { tabId: 'number', settings: 'object' },
+    'set-master-volume': { tabId: 'number', volumeDb: 'number' },
+    'set-mixer-mute': { tabId: 'number', muted: 'boolean' },
+    'set-bypass': { tabId: 'number', bypass: 'boolean' },
+    'set-ducking': { roles: 'array', settings: 'object' },
+    'learn-noise-profile': { tabId: 'number', seconds: 'number?' },
+    'clear-noise-profile': { tabId: 'number' },
+    'start-recording': { tabId: 'number', format: 'string' },
+    'pause-recording': { tabId: 'number' },
+    'resume-recording': { tabId: 'number' },
+    'stop-recording': { tabId: 'number' },
+    'release-recording': { tabId: 'number?', url: 'string' },
+  },
+  ui: {
+    'status-update': { tabId: 'number', status: 'string', error: 'string?' },
+    'settings-update': { tabId: 'number', settings: 'object' },
+    'mixer-update': {},
+  },
+};
+
+// エラーの種類 (応答の error.code)
+const MESSAGING_ERROR_CODES = {
+  invalidMessage: 'invalid-message', // ペイロードがスキーマに合わない
+  unknownType: 'unknown-type', // 宛先が知らない種類のメッセージ
+  protocolMismatch: 'protocol-mismatch',
+  noReceiver: 'no-receiver', // 宛先のコンテキストがない (Offscreen Document が閉じているなど)
+  timeout: 'timeout',
+  notActive: 'not-active', // 処理中でないタブへの操作
+  notFound: 'not-found',
+  handlerError: 'handler-error', // 受信側の処理で起きたその他のエラー
+};
+
+// 応答で返ってきたエラー (code で種類を判定できる)
+class MessagingError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'MessagingError';
+    this.code = code;
+  }
+}
+
+// 値の型名 (スキーマの型と比較する)
+function getPayloadType(value) {
+  return Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+}
+
+// メッセージを検証する。問題があれば MessagingError を投げる
+function validateMessage(target, message) {
+  if (!message || typeof message.type !== 'string') {
+    throw new MessagingError(MESSAGING_ERROR_CODES.invalidMessage, 'Message must have a type');
+  }
+  const schemas = MESSAGE_SCHEMAS[target];
+  if (!schemas || !(message.type in schemas)) {
+    throw new MessagingError(MESSAGING_ERROR_CODES.unknownType, `Unknown message type for ${target}: ${message.type}`);
+  }
+  Object.entries(schemas[message.type]).forEach(([field, fieldType]) => {
+    const optional = fieldType.endsWith('?');
+    const expected = optional ? fieldType.slice(0, -1) : fieldType;
+    const value = message[field];
+    if (value === undefined || value === null) {
+      if (!optional) {
+        throw new MessagingError(MESSAGING_ERROR_CODES.invalidMessage, `Missing ${field} in ${message.type} message`);
+      }
+      return;
+    }
+    if (getPayloadType(value) !== expected || (expected === 'number' && !Number.isFinite(value))) {
+      throw new MessagingError(MESSAGING_ERROR_CODES.invalidMessage, `${field} in ${message.type} message must be a ${expected}`);
+    }
+  });
+}
+
+// 応答用にエラーを { code, message } にまとめる
+function serializeMessagingError(error) {
+  return {
+    code: error instanceof MessagingError ? error.code : MESSAGING_ERROR_CODES.handlerError,
+    message: error?.message || String(error),
+  };
+}
+
+// --- 送信側 ---
+
+// リクエストを送り、応答の result で resolve する
+// message: { type, ...payload }。options.timeoutMs: 応答を待つ時間
+async function sendRequest(target, message, { timeoutMs = DEFAULT_REQUEST_TIMEOUT_MS } = {}) {
+  validateMessage(target, message);
+  const id = crypto.randomUUID();
+  const request = { ...message, protocol: PROTOCOL_VERSION, id: id, target: target };
+
+  let timer = null;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      reject(new MessagingError(MESSAGING_ERROR_CODES.timeout, `No reply to ${message.type} within ${timeoutMs} ms`));
+    }, timeoutMs);
+  });
+
+  let reply;
+  try {
+    reply = await Promise.race([chrome.runtime.sendMessage(request), timeout]);
+  } catch (error) {
+    if (error instanceof MessagingError) throw error;
+    // "Receiving end does not exist" など (宛先のコンテキストが開いていない)
+    throw new MessagingError(MESSAGING_ERROR_CODES.noReceiver, `Could not deliver ${message.type} to ${target}: ${error.message}`);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (!reply || reply.replyTo !== id) {
+    throw new MessagingError(MESSAGING_ERROR_CODES.noReceiver, `No reply to ${message.type} from ${target}`);
+  }
+  if (reply.protocol !== PROTOCOL_VERSION) {
+    throw new MessagingError(MESSAGING_ERROR_CODES.protocolMismatch, `${target} replied with protocol ${reply.protocol} (expected ${PROTOCOL_VERSION})`);
+  }
+  if (!reply.ok) {
+    throw new MessagingError(reply.error.code, reply.error.message);
+  }
+  return reply.result;
+}
+
+// ポップアップ・ミキサーに通知する (開いているページがなければ何もしない)
+function sendNotification(message) {
+  validateMessage(MESSAGE_TARGETS.ui, message);
+  chrome.runtime.sendMessage({ ...message, protocol: PROTOCOL_VERSION, target: MESSAGE_TARGETS.ui }).catch(() => {
+    // 受信するページがない
+  });
+}
+
+// --- 受信側 ---
+
+// target 宛てのリクエストを処理する。handlers: { [type]: (message, sender) => result または Promise }
+// ハンドラーが投げたエラーは送信元に構造化されたエラーとして返る
+// options.ready: リクエストを処理する前に待つ Promise を返す関数 (起動時の初期化など)
+function addRequestHandlers(target, handlers, { ready = null } = {}) {
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    // ほかの宛先へのメッセージと通知は無視する (宛先のコンテキストが応答する)
+    if (!message || message.target !== target || !message.id) {
+      return false;
+    }
+    const reply = (response) => sendResponse({ protocol: PROTOCOL_VERSION, replyTo: message.id, ...response });
+
+    (async () => {
+      if (message.protocol !== PROTOCOL_VERSION) {
+        throw new MessagingError(MESSAGING_ERROR_CODES.protocolMismatch, `Unsupported protocol version: ${message.protocol}`);
+      }
+      validateMessage(target, message);
+      const handler = handlers[message.type];
+      if (!handler) {
+        throw new MessagingError(MESSAGING_ERROR_CODES.unknownType, `No handler for ${message.type} in ${target}`);
+      }
+      if (ready) {
+        await ready();
+      }
+      return handler(message, sender);
+    })().then(
+      result => reply({ ok: true, result: result }),
+      error => {
+        console.error(`Error handling ${message.type} in ${target}:`, error);
+        reply({ ok: false, error: serializeMessagingError(error) });
+      }
+    );
+    return true; // 非同期で応答する
+  });
+}
+
+// ポップアップ・ミキサーへの通知を処理する。handlers: { [type]: (message) => void }
+function addNotificationHandlers(handlers) {
+  chrome.runtime.onMessage.addListener((message, sender) => {
+    if (!message || message.target !== MESSAGE_TARGETS.ui || sender.id !== chrome.runtime.id) {
+      return false;
+    }
+    if (message.protocol !== PROTOCOL_VERSION) {
+      console.warn(`Ignoring notification with protocol ${message.protocol}:`, message.type);
+      return false;
+    }
+    const handler = handlers[message.type];
+    if (handler) {
+      try {
+        validateMessage(MESSAGE_TARGETS.ui, message);
+        handler(message);
+      } catch (error) {
+        console.error(`Error handling ${message.type} notification:`, error);
+      }
+    }
+    return false;
+  });
+}
@@ -0,0 +1,141 @@
+// meters.js
+
+// Offscreen Document から送られてくるメーターのフレームを描画する (popup.html で使用)
+// - スペクトラム: 処理前 (灰色) と処理後 (青) を重ねて表示
+// - レベルメーター: 処理後の L/R のピークと RMS、クリップ表示
+// - ゲインリダクション: コンプレッサーとリミッターが下げている量
+
+// 表示範囲 (dB)
+const SPECTRUM_MIN_DB = -100;
+const SPECTRUM_MAX_DB = -10;
+const LEVEL_MIN_DB = -60;
+const GAIN_REDUCTION_MAX_DB = 24;
+// クリップ表示を保持する時間 (ミリ秒)
+const CLIP_HOLD_MS = 2000;
+
+function linearToDecibels(value) {
+  return value > 0 ? 20 * Math.log10(value) : -Infinity;
+}
+
+// スペクトラムを 1 本の塗りつぶし/線として描画する
+function drawSpectrumTrace(ctx, bands, width, height, style) {
+  const toY = (db) => {
+    const clamped = Math.min(SPECTRUM_MAX_DB, Math.max(SPECTRUM_MIN_DB, db));
+    return height * (SPECTRUM_MAX_DB - clamped) / (SPECTRUM_MAX_DB - SPECTRUM_MIN_DB);
+  };
+  const step = width / bands.length;
+
+  ctx.beginPath();
+  ctx.moveTo(0, height);
+  bands.forEach((db, i) => {
+    ctx.lineTo(i * step, toY(db));
+    ctx.lineTo((i + 1) * step, toY(db));
+  });
+  ctx.lineTo(width, height);
+  ctx.closePath();
+  if (style.fill) {
+    ctx.fillStyle = style.fill;
+    ctx.fill();
+  }
+  if (style.stroke) {
+    ctx.strokeStyle = style.stroke;
+    ctx.lineWidth = 1;
+    ctx.stroke();
+  }
+}
+
+// 処理前後のスペクトラムを重ねて描画する
+function drawSpectrum(canvas, frame) {
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  ctx.fillStyle = '#111';
+  ctx.fillRect(0, 0, width, height);
+  if (!frame) return;
+
+  drawSpectrumTrace(ctx, frame.inputSpectrum, width, height, { fill: 'rgba(160, 160, 160, 0.5)' });
+  drawSpectrumTrace(ctx, frame.outputSpectrum, width, height, { stroke: '#4da3ff' });
+
+  ctx.font = '9px sans-serif';
+  ctx.fillStyle = '#aaa';
+  ctx.fillText('input', 4, 10);
+  ctx.fillStyle = '#4da3ff';
+  ctx.fillText('output', 34, 10);
+}
+
+// L/R のレベルメーターを描画する
+// clipUntil: 各チャンネルのクリップ表示を消す時刻 (Date.now() 基準)
+function drawLevelMeters(canvas, levels, clipUntil) {
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const labelWidth = 12;
+  const clipWidth = 30;
+  const barWidth = width - labelWidth - clipWidth - 4;
+  const rowHeight = height / 2;
+  const toX = (db) => barWidth * (Math.max(LEVEL_MIN_DB, Math.min(0, db)) - LEVEL_MIN_DB) / -LEVEL_MIN_DB;
+  const now = Date.now();
+
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = '10px sans-serif';
+
+  ['L', 'R'].forEach((label, channel) => {
+    const y = channel * rowHeight;
+    const level = levels ? levels[channel] : null;
+
+    ctx.fillStyle = '#333';
+    ctx.fillText(label, 2, y + rowHeight - 4);
+
+    ctx.fillStyle = '#222';
+    ctx.fillRect(labelWidth, y + 2, barWidth, rowHeight - 4);
+    if (level) {
+      const rmsDb = linearToDecibels(level.rms);
+      const peakDb = linearToDecibels(level.peak);
+      ctx.fillStyle = rmsDb > -6 ? '#e8a33a' : '#3ac26b';
+      ctx.fillRect(labelWidth, y + 2, toX(rmsDb), rowHeight - 4);
+      ctx.fillStyle = '#fff';
+      ctx.fillRect(labelWidth + toX(peakDb) - 1, y + 2, 2, rowHeight - 4);
+    }
+
+    const clipping = clipUntil[channel] > now;
+    ctx.fillStyle = clipping ? '#e53935' : '#ddd';
+    ctx.fillRect(width - clipWidth, y + 2, clipWidth, rowHeight - 4);
+    ctx.fillStyle = clipping ? '#fff' : '#999';
+    ctx.fillText('CLIP', width - clipWidth + 4, y + rowHeight - 5);
+  });
+}
+
+// ゲート・ディエッサー・破裂音の抑制・コンプレッサー・リミッターのゲインリダクションを右から左へ伸びるバーで描画する
+// ゲートの行のラベルの左の丸は、ゲートが開いているとき緑になる
+// gainReduction: { gate, gateOpen, deEsser, plosive, compressor, limiter } (dB, 0 以下)
+function drawGainReduction(canvas, gainReduction) {
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const labelWidth = 38;
+  const valueWidth = 44;
+  const barWidth = width - labelWidth - valueWidth;
+  const rows = [['Gate', 'gate'], ['De-ess', 'deEsser'], ['Plos', 'plosive'], ['Comp', 'compressor'], ['Lim', 'limiter']];
+  const rowHeight = height / rows.length;
+
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = '10px sans-serif';
+
+  // ゲートの開閉
+  ctx.fillStyle = gainReduction?.gateOpen ? '#43a047' : '#bbb';
+  ctx.beginPath();
+  ctx.arc(labelWidth - 4, rowHeight / 2, 2.5, 0, 2 * Math.PI);
+  ctx.fill();
+
+  rows.forEach(([label, key], row) => {
+    const y = row * rowHeight;
+    const reduction = gainReduction ? Math.min(0, gainReduction[key] || 0) : 0;
+    const length = barWidth * Math.min(-reduction, GAIN_REDUCTION_MAX_DB) / GAIN_REDUCTION_MAX_DB;
+
+    ctx.fillStyle = '#333';
+    ctx.fillText(label, 2, y + rowHeight - 4);
+    ctx.fillStyle = '#222';
+    ctx.fillRect(labelWidth, y + 2, barWidth, rowHeight - 4);
+    ctx.fillStyle = '#e8a33a';
+    ctx.fillRect(labelWidth + barWidth - length, y + 2, length, rowHeight - 4);
+    ctx.fillStyle = '#333';
+    ctx.fillText(`${reduction.toFixed(1)} dB`, labelWidth + barWidth + 4, y + rowHeight - 4);
+  });
+}
@@ -0,0 +1,274 @@
+// mixer.js
+
+// --- DOM Element References ---
+const mixerStrips = document.getElementById('mixerStrips');
+const emptyMessage = document.getElementById('emptyMessage');
+const mixerMessage = document.getElementById('mixerMessage');
+
+// Auto-ducking settings shared by all tabs (ranges from ducking.js)
+const DUCKING_CONTROLS = [
+  { key: 'depthDb', slider: document.getElementById('duckingDepthSlider'), value: document.getElementById('duckingDepthValue'), format: value => `-${value} dB` },
+  { key: 'attackMs', slider: document.getElementById('duckingAttackSlider'), value: document.getElementById('duckingAttackValue'), format: value => `${value} ms` },
+  { key: 'releaseMs', slider: document.getElementById('duckingReleaseSlider'), value: document.getElementById('duckingReleaseValue'), format: value => `${value} ms` },
+];
+
+const ROLE_LABELS = {
+  none: 'No ducking',
+  primary: 'Primary',
+  background: 'Background',
+};
+
+const STATUS_LABELS = {
+  starting: 'Starting...',
+  reconnecting: 'Reconnecting...',
+  active: 'Active',
+  stopping: 'Stopping...',
+};
+
+// Built-in and user presets received from background
+let presets = [];
+// One strip per processed tab (key: tabId, value: the strip's elements)
+const strips = new Map();
+
+// --- Mixer State ---
+async function loadMixerState() {
+  try {
+    const response = await sendRequest(MESSAGE_TARGETS.background, { type: 'get-mixer-state' });
+    renderMixer(response.tabs);
+    updateDuckingControls(response.ducking);
+  } catch (error) {
+    mixerMessage.textContent = `Error loading mixer: ${error.message}`;
+  }
+}
+
+async function loadPresets() {
+  try {
+    const response = await sendRequest(MESSAGE_TARGETS.background, { type: 'get-presets' });
+    presets = response.presets;
+  } catch (error) {
+    mixerMessage.textContent = `Error loading presets: ${error.message}`;
+  }
+}
+
+// Adds, updates and removes strips in place so a fader being dragged is not replaced
+function renderMixer(tabs) {
+  const tabIds = new Set(tabs.map(tab => tab.tabId));
+  strips.forEach((strip, tabId) => {
+    if (!tabIds.has(tabId)) {
+      strip.root.remove();
+      strips.delete(tabId);
+    }
+  });
+  tabs.forEach(tab => {
+    let strip = strips.get(tab.tabId);
+    if (!strip) {
+      strip = createStrip(tab.tabId);
+      strips.set(tab.tabId, strip);
+      mixerStrips.appendChild(strip.root);
+    }
+    updateStrip(strip, tab);
+  });
+  emptyMessage.hidden = tabs.length > 0;
+}
+
+function createStrip(tabId) {
+  const root = document.createElement('div');
+  root.className = 'mixer-strip';
+
+  const icon = document.createElement('img');
+  icon.className = 'strip-icon';
+  icon.alt = '';
+
+  const title = document.createElement('span');
+  title.className = 'strip-title';
+  title.title = 'Switch to this tab';
+  title.addEventListener('click', () => focusTab(tabId));
+
+  const status = document.createElement('span');
+  status.className = 'strip-status';
+
+  const controls = document.createElement('div');
+  controls.className = 'strip-controls';
+
+  const muteButton = document.createElement('button');
+  muteButton.className = 'toggle mute';
+  muteButton.textContent = 'M';
+  muteButton.title = 'Mute';
+  muteButton.addEventListener('click', () => {
+    sendMixerRequest({ type: 'set-mixer-mute', tabId, muted: !muteButton.classList.contains('on') });
+  });
+
+  const soloButton = document.createElement('button');
+  soloButton.className = 'toggle solo';
+  soloButton.textContent = 'S';
+  soloButton.title = 'Solo (silence the other tabs)';
+  soloButton.addEventListener('click', () => {
+    sendMixerRequest({ type: 'set-mixer-solo', tabId, solo: !soloButton.classList.contains('on') });
+  });
+
+  const fader = document.createElement('input');
+  fader.type = 'range';
+  fader.min = MASTER_VOLUME_MIN_DB;
+  fader.max = MASTER_VOLUME_MAX_DB;
+  fader.step = 0.5;
+  fader.title = 'Volume (double-click to reset to 0 dB)';
+  const volumeValue = document.createElement('span');
+  volumeValue.className = 'strip-volume';
+  // While dragging only the live gain changes; the volume is saved as a tab setting on release,
+  // so the popup picks it up as well
+  fader.addEventListener('input', () => {
+    updateVolumeValue(volumeValue, Number(fader.value));
+    sendMixerRequest({ type: 'preview-master-volume', tabId, volumeDb: Number(fader.value) }, false);
+  });
+  fader.addEventListener('change', () => {
+    sendMixerRequest({ type: 'set-master-volume', tabId, volumeDb: Number(fader.value) }, false);
+  });
+  fader.addEventListener('dblclick', () => {
+    fader.value = 0;
+    updateVolumeValue(volumeValue, 0);
+    fader.dispatchEvent(new Event('change'));
+  });
+
+  const presetSelect = document.createElement('select');
+  presetSelect.title = 'Preset';
+  presetSelect.addEventListener('change', () => {
+    if (!presetSelect.value) return;
+    sendMixerRequest({ type: 'apply-preset', tabId, presetId: presetSelect.value });
+  });
+
+  const roleSelect = document.createElement('select');
+  roleSelect.title = 'Auto-ducking role: Primary tabs turn Background tabs down while they play audio';
+  DUCKING_ROLES.forEach(role => roleSelect.appendChild(new Option(ROLE_LABELS[role], role)));
+  roleSelect.addEventListener('change', () => {
+    sendMixerRequest({ type: 'set-ducking-role', tabId, role: roleSelect.value });
+  });
+
+  const stopButton = document.createElement('button');
+  stopButton.textContent = 'Stop';
+  stopButton.addEventListener('click', () => {
+    stopButton.disabled = true;
+    sendMixerRequest({ type: 'stop-capture', tabId });
+  });
+
+  controls.append(muteButton, soloButton, fader, volumeValue, presetSelect, roleSelect, stopButton);
+  root.append(icon, title, status, controls);
+  return { root, icon, title, status, muteButton, soloButton, fader, volumeValue, presetSelect, roleSelect, stopButton };
+}
+
+function updateStrip(strip, tab) {
+  strip.icon.src = tab.favIconUrl || 'images/icon16.png';
+  strip.title.textContent = tab.title;
+  const notes = [];
+  if (tab.status === 'active' && !tab.audible) notes.push('silenced');
+  if (tab.bypass) notes.push('bypassed');
+  if (tab.speaking) notes.push('ducking others');
+  if (tab.ducked) notes.push('ducked');
+  strip.status.textContent = `${STATUS_LABELS[tab.status] || tab.status}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`;
+  strip.status.classList.toggle('ducked', tab.speaking || tab.ducked);
+  strip.root.classList.toggle('silenced', !tab.audible);
+
+  // Mute, solo and the preset only apply to a running pipeline
+  const active = tab.status === 'active';
+  strip.muteButton.classList.toggle('on', tab.muted);
+  strip.soloButton.classList.toggle('on', tab.solo);
+  strip.muteButton.disabled = !active;
+  strip.soloButton.disabled = !active;
+  strip.fader.disabled = !active;
+  strip.presetSelect.disabled = !active;
+  strip.roleSelect.disabled = !active;
+  strip.roleSelect.value = tab.role;
+  strip.stopButton.disabled = tab.status === 'stopping';
+
+  // Don't move the fader under the pointer while it is being dragged
+  if (document.activeElement !== strip.fader) {
+    strip.fader.value = tab.volumeDb ?? 0;
+    updateVolumeValue(strip.volumeValue, Number(strip.fader.value));
+  }
+  renderPresetOptions(strip.presetSelect, tab.presetId);
+}
+
+// Same format as the popup's volume slider
+function updateVolumeValue(element, volumeDb) {
+  element.textContent = volumeDb <= MASTER_VOLUME_MIN_DB ? 'Mute' : `${volumeDb > 0 ? '+' : ''}${volumeDb} dB`;
+}
+
+function renderPresetOptions(select, presetId) {
+  select.replaceChildren(new Option('(Custom)', ''));
+  const groups = [
+    { label: 'Built-in', presets: presets.filter(preset => preset.builtIn) },
+    { label: 'My presets', presets: presets.filter(preset => !preset.builtIn) },
+  ];
+  groups.forEach(group => {
+    if (group.presets.length === 0) return;
+    const optgroup = document.createElement('optgroup');
+    optgroup.label = group.label;
+    group.presets.forEach(preset => optgroup.appendChild(new Option(preset.name, preset.id)));
+    select.appendChild(optgroup);
+  });
+  select.value = presets.some(preset => preset.id === presetId) ? presetId : '';
+}
+
+function updateDuckingControls(settings) {
+  DUCKING_CONTROLS.forEach(control => {
+    // Don't move a slider under the pointer while it is being dragged
+    if (document.activeElement !== control.slider) {
+      control.slider.value = settings[control.key];
+    }
+    control.value.textContent = control.format(control.slider.value);
+  });
+}
+
+DUCKING_CONTROLS.forEach(control => {
+  const { min, max } = DUCKING_RANGES[control.key];
+  control.slider.min = min;
+  control.slider.max = max;
+  control.slider.addEventListener('input', () => {
+    control.value.textContent = control.format(control.slider.value);
+  });
+  control.slider.addEventListener('change', async () => {
+    mixerMessage.textContent = '';
+    const settings = Object.fromEntries(DUCKING_CONTROLS.map(({ key, slider }) => [key, Number(slider.value)]));
+    try {
+      await sendRequest(MESSAGE_TARGETS.background, { type: 'save-ducking-settings', settings });
+    } catch (error) {
+      mixerMessage.textContent = `Error: ${error.message}`;
+    }
+  });
+});
+
+// Sends a request for one tab and reloads the mixer afterwards (unless told not to, e.g. while dragging a fader)
+async function sendMixerRequest(message, reload = true) {
+  mixerMessage.textContent = '';
+  try {
+    await sendRequest(MESSAGE_TARGETS.background, message);
+  } catch (error) {
+    mixerMessage.textContent = `Error: ${error.message}`;
+  }
+  if (reload) loadMixerState();
+}
+
+async function focusTab(tabId) {
+  const tab = await chrome.tabs.update(tabId, { active: true });
+  await chrome.windows.update(tab.windowId, { focused: true });
+}
+
+// --- Updates from background ---
+addNotificationHandlers({
+  'status-update': () => loadMixerState(),
+  'mixer-update': () => loadMixerState(),
+  'settings-update': () => loadMixerState(),
+});
+
+// Titles and favicons change while a tab navigates
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (strips.has(tabId) && (changeInfo.title || changeInfo.favIconUrl)) {
+    loadMixerState();
+  }
+});
+
+// Changes made elsewhere (e.g. the popup's volume slider or a new preset) are picked up when the page becomes visible again
+document.addEventListener('visibilitychange', () => {
+  if (!document.hidden) loadPresets().then(loadMixerState);
+});
+
+loadPresets().then(loadMixerState);
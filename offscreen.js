@@ -3,60 +3,162 @@
 // 各タブの音声処理リソースを管理する Map (キー: tabId, 値: { stream: MediaStream, audioContext: AudioContext, sourceNode: MediaStreamAudioSourceNode, outputNode: AudioNode })
 const audioResources = new Map();
 
-// バックグラウンドスクリプトからのメッセージをリッスン
-chrome.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
-  // バックグラウンドスクリプトからのメッセージか確認 (sender.id を使うのが一般的)
-  // または message.target でフィルタリング
-  if (message.target !== 'offscreen') {
-    return false; // Offscreen 宛でなければ無視
-  }
+// メーターのストリーミング設定
+const METER_PORT_PREFIX = 'meter:';
+const METER_FRAME_INTERVAL_MS = 1000 / 30; // 30 fps
+const SPECTRUM_BANDS = 96; // ポップアップに送るスペクトラムのバンド数 (対数間隔)
+const SPECTRUM_MIN_FREQUENCY = 20; // Hz
+const SPECTRUM_MAX_FREQUENCY = 20000; // Hz
+
+// AudioWorklet のモジュール (offscreen.html からの相対パス)
+const NOISE_SUPPRESSOR_MODULE = 'worklets/noise-suppressor-processor.js';
+const LOUDNESS_MODULE = 'worklets/loudness-processor.js';
+const LIMITER_MODULE = 'worklets/limiter-processor.js';
+const GATE_MODULE = 'worklets/gate-processor.js';
+const DEESSER_MODULE = 'worklets/deesser-processor.js';
+const DIALOGUE_MODULE = 'worklets/dialogue-processor.js';
+const SIDECHAIN_DETECTOR_MODULE = 'worklets/sidechain-detector-processor.js';
+// ダイアログモードの Amount 100% で発話帯域を持ち上げる量 (dB)
+const DIALOGUE_MAX_BOOST_DB = 9;
+// ミキサーのミュートとバイパスの切り替えでクリックノイズが出ないようにする時定数 (秒)
+// バイパスは dry と wet のクロスフェードなので、すぐに切り替わるよう短くする (約 25 ms でほぼ切り替わる)
+const MIXER_MUTE_RAMP_SECONDS = 0.02;
+const BYPASS_RAMP_SECONDS = 0.005;
+// ミキサーのフェーダーをドラッグしている間の音量の時定数 (秒)。applySettings の rampTime と同じ
+const MASTER_VOLUME_RAMP_SECONDS = 0.1;
+// 処理チェーン (wet) の遅延。dry の経路を同じだけ遅らせて、クロスフェードやミックスで位相がずれないようにする
+// ワークレットの値はそれぞれのファイルの定数と合わせること
+const NOISE_SUPPRESSOR_LATENCY_SAMPLES = 896; // noise-suppressor-processor.js の LATENCY_SAMPLES (FFT_SIZE - RENDER_QUANTUM)
+const LOUDNESS_LOOKAHEAD_SECONDS = 0.005; // loudness-processor.js の LOOKAHEAD_SECONDS
+const LIMITER_LOOKAHEAD_SECONDS = 0.005; // limiter-processor.js の LOOKAHEAD_SECONDS
+const COMPRESSOR_PRE_DELAY_SECONDS = 0.006; // Chrome の DynamicsCompressorNode の固定の先読み
+// ノイズプロファイルを学習する時間のデフォルト (秒)
+const NOISE_PROFILE_LEARN_SECONDS = 3;
+
+// 電源ハムの自動検出 (入力のスペクトルで 50 Hz 系と 60 Hz 系の倍音のピークを比べる)
+const HUM_ANALYSER_FFT_SIZE = 32768; // 48 kHz で約 1.5 Hz 間隔
+const HUM_DETECT_INTERVAL_MS = 1000;
+const HUM_DETECT_HARMONICS = 4; // 判定に使う倍音の数 (基本波を含む)
+const HUM_DETECT_MIN_PROMINENCE_DB = 10; // ピークが周囲より平均で何 dB 大きければハムとみなすか
+const HUM_DETECT_CONFIRMATIONS = 3; // 周波数を決める (切り替える) までに続けて同じ判定が必要な回数
+
+// タブ間のオートダッキング (ducking.js)。役割と設定はバックグラウンドから set-ducking で届く
+let duckingSettings = { ...defaultDuckingSettings };
+// 最後にバックグラウンドに知らせた、音を検出している primary のタブ (変わったときだけ知らせる)
+let lastSpeakingTabIds = '';
+
+// バックグラウンドスクリプトからのリクエストを処理する (messaging.js)
+// 応答は各ハンドラーの戻り値。処理中でないタブへの操作などはエラーとしてバックグラウンドに返る
+addRequestHandlers(MESSAGE_TARGETS.offscreen, {
+  'start-processing': async (message) => {
+    await startAudioProcessing(message.tabId, message.streamId, message.settings);
+    return { started: true };
+  },
+  'stop-processing': async (message) => {
+    const stopped = await stopAudioProcessing(message.tabId);
+    return { stopped: stopped };
+  },
+  'get-processing-tabs': () => {
+    // Service Worker が再起動したとき、バックグラウンドが状態を照合するために問い合わせる
+    return { tabIds: [...audioResources.keys()], speakingTabIds: getSpeakingTabIds() };
+  },
+  'update-settings': (message) => {
+    console.log('Received settings update in offscreen:', message.settings);
+    applySettings(getActiveResources(message), message.settings);
+  },
+  'set-master-volume': (message) => {
+    // ミキサーのフェーダーのドラッグ中の音量 (設定は変えない。離したときに保存した設定が update-settings で届く)
+    const target = getActiveResources(message);
+    const gain = getMasterVolumeGain({ masterVolumeDb: message.volumeDb });
+    target.gainNode.gain.setTargetAtTime(gain, target.audioContext.currentTime, MASTER_VOLUME_RAMP_SECONDS);
+  },
+  'set-mixer-mute': (message) => {
+    // ミキサーのミュート/ソロ (消音するかどうかはバックグラウンドが決める)
+    const target = getActiveResources(message);
+    target.mixerGain.gain.setTargetAtTime(message.muted ? 0 : 1, target.audioContext.currentTime, MIXER_MUTE_RAMP_SECONDS);
+  },
+  'set-bypass': (message) => {
+    // 処理前の音 (dry) と処理後の音 (wet) をクロスフェードで切り替える
+    const target = getActiveResources(message);
+    target.bypass = message.bypass;
+    applyDryWetMix(target, BYPASS_RAMP_SECONDS);
+    console.log(`Bypass ${message.bypass ? 'on' : 'off'} for tab ${message.tabId}`);
+  },
+  'set-ducking': (message) => {
+    // 処理中のすべてのタブの役割とダッキングの設定 (一覧にないタブは 'none')
+    duckingSettings = normalizeDuckingSettings(message.settings);
+    const roles = new Map(message.roles.map(({ tabId, role }) => [tabId, role]));
+    audioResources.forEach((resources, tabId) => {
+      resources.duckingRole = DUCKING_ROLES.includes(roles.get(tabId)) ? roles.get(tabId) : 'none';
+    });
+    updateDucking(true);
+  },
+  'learn-noise-profile': (message) => {
+    getActiveResources(message).noiseSuppressor.port.postMessage({ type: 'learn', seconds: message.seconds || NOISE_PROFILE_LEARN_SECONDS });
+  },
+  'clear-noise-profile': (message) => {
+    getActiveResources(message).noiseSuppressor.port.postMessage({ type: 'clear-profile' });
+  },
+  'start-recording': (message) => handleRecordingCommand(message),
+  'pause-recording': (message) => handleRecordingCommand(message),
+  'resume-recording': (message) => handleRecordingCommand(message),
+  'stop-recording': (message) => handleRecordingCommand(message),
+  'release-recording': (message) => {
+    // バックグラウンドがダウンロードを終えたら Blob URL を解放する
+    URL.revokeObjectURL(message.url);
+    console.log(`Released recording URL for tab ${message.tabId}`);
+  },
+});
 
-  console.log('Message received in offscreen:', message);
+// 処理中のタブのリソースを返す (処理中でなければ送信元にエラーを返す)
+function getActiveResources(message) {
+  const resources = audioResources.get(message.tabId);
+  if (!resources) {
+    throw new MessagingError(MESSAGING_ERROR_CODES.notActive, `Received ${message.type} for inactive tab ${message.tabId}`);
+  }
+  return resources;
+}
 
-  switch (message.type) {
-    case 'start-processing':
-      // streamId がメッセージに含まれているか確認
-      if (!message.streamId) {
-        console.error("start-processing message received without streamId");
-        chrome.runtime.sendMessage({ type: 'error', tabId: message.tabId, error: "Missing streamId in start-processing message" });
-        return true; // エラーを通知したので true
-      }
-      await startAudioProcessing(message.tabId, message.streamId, message.settings); // streamId を渡す
-      break;
-    case 'stop-processing':
-      await stopAudioProcessing(message.tabId);
-      break;
-    case 'update-settings':
-        console.log('Received settings update in offscreen:', message.settings);
-        const resources = audioResources.get(message.tabId);
-        if (resources) {
-            applySettings(resources, message.settings);
-        } else {
-            console.warn(`Received settings update for inactive tab ${message.tabId}`);
-        }
-        // ここでは応答不要
-        return false; // 同期的に完了
-    default:
-      console.warn("Unknown message type received:", message.type);
+// ポップアップからのメーター用ポート (名前: 'meter:<tabId>') を受け付ける
+// ポップアップが開いている間だけスペクトラムとレベルを送り、ポップアップが閉じてポートが切断されたら止める
+chrome.runtime.onConnect.addListener((port) => {
+  if (!port.name.startsWith(METER_PORT_PREFIX)) {
+    return;
   }
-  // 非同期処理があるので true を返すか、sendResponse を非同期で呼ぶ
-  return true; // Indicate that the response will be sent asynchronously
+  const tabId = Number(port.name.slice(METER_PORT_PREFIX.length));
+  console.log(`Meter port connected for tab ${tabId}`);
+
+  const timer = setInterval(() => {
+    const resources = audioResources.get(tabId);
+    if (!resources) {
+      port.postMessage({ type: 'meter-inactive', tabId: tabId });
+      return;
+    }
+    port.postMessage(collectMeterFrame(tabId, resources));
+  }, METER_FRAME_INTERVAL_MS);
+
+  port.onDisconnect.addListener(() => {
+    clearInterval(timer);
+    console.log(`Meter port disconnected for tab ${tabId}`);
+  });
 });
 
 // 音声処理を開始する関数 (streamId と settings を受け取るように変更)
+// 処理を開始できなければエラーを投げる (start-processing の応答としてバックグラウンドに返る)
 async function startAudioProcessing(tabId, streamId, initialSettings) {
   if (audioResources.has(tabId)) {
     console.log(`Audio processing already active for tab ${tabId}`);
-    // すでに開始していることを通知しても良いかもしれない
-    chrome.runtime.sendMessage({ type: 'processing-started', tabId: tabId });
     return;
   }
 
   console.log(`Starting audio processing for tab ${tabId} using streamId ${streamId}`);
 
+  // audioResources に登録する前に失敗したときに後始末するため、try の外で持つ
+  let stream = null;
+  let audioContext = null;
   try {
     // 1. streamId を使って getUserMedia で音声ストリームを取得
-    const stream = await navigator.mediaDevices.getUserMedia({
+    stream = await navigator.mediaDevices.getUserMedia({
         audio: {
             mandatory: {
                 chromeMediaSource: 'tab', // 'tab' を指定
@@ -68,15 +170,52 @@ async function startAudioProcessing(tabId, streamId, initialSettings) {
     console.log(`Audio stream obtained via getUserMedia for tab ${tabId}`, stream);
 
     // 2. Web Audio API のセットアップ
-    const audioContext = new AudioContext();
+    audioContext = new AudioContext();
     const sourceNode = audioContext.createMediaStreamSource(stream);
 
+    // ステレオ処理 (バランス・モノラル化・左右入れ替え・ステレオ幅)。行列の値は applySettings で設定する
+    const stereoStage = createStereoStage(audioContext);
+
+    // スペクトルノイズ抑制 (AudioWorklet)。無効時も素通しでつないでおき、設定は port で送る
+    await audioContext.audioWorklet.addModule(NOISE_SUPPRESSOR_MODULE);
+    await audioContext.audioWorklet.addModule(LOUDNESS_MODULE);
+    await audioContext.audioWorklet.addModule(LIMITER_MODULE);
+    await audioContext.audioWorklet.addModule(GATE_MODULE);
+    await audioContext.audioWorklet.addModule(DEESSER_MODULE);
+    await audioContext.audioWorklet.addModule(DIALOGUE_MODULE);
+    await audioContext.audioWorklet.addModule(SIDECHAIN_DETECTOR_MODULE);
+    const noiseSuppressor = new AudioWorkletNode(audioContext, 'noise-suppressor', {
+        outputChannelCount: [2]
+    });
+    // ワークレットから届く状態 (学習の進み具合など) はメーターのフレームでポップアップに送る
+    const noiseSuppressorState = { learning: false, progress: 0, hasProfile: false, reductionDb: 0 };
+    noiseSuppressor.port.onmessage = (event) => {
+        if (event.data.type === 'status') {
+            Object.assign(noiseSuppressorState, event.data);
+            delete noiseSuppressorState.type;
+        }
+    };
+
+    // ダイアログモード (AudioWorklet)。ミッドの発話帯域を持ち上げ、発話中はサイドを下げる。無効時は素通し (遅延なし)
+    const dialogueEnhancer = new AudioWorkletNode(audioContext, 'dialogue-enhancer', {
+        outputChannelCount: [2]
+    });
+    const dialogueState = { speech: false, activity: 0, boostDb: 0, duckDb: 0 };
+    dialogueEnhancer.port.onmessage = (event) => {
+        if (event.data.type === 'status') {
+            Object.assign(dialogueState, event.data);
+            delete dialogueState.type;
+        }
+    };
+
     // --- ここに音声処理ノードを挿入 ---
-    // ノッチフィルター (ハムノイズ除去 - 60Hzをターゲット)
-    const notchFilter = audioContext.createBiquadFilter();
-    notchFilter.type = "notch";
-    notchFilter.frequency.value = 50; // 50Hz (地域によっては50Hz)
-    notchFilter.Q.value = 10; // フィルターの鋭さ (調整が必要)
+    // ハム除去 (基本波と倍音の peaking フィルター)。ノイズキャンセルとは独立。使わないフィルターはゲイン 0 で素通し
+    const humFilters = Array.from({ length: HUM_MAX_HARMONICS }, () => audioContext.createBiquadFilter());
+    // ハムの自動検出用の AnalyserNode (処理前の音を見る。ハム除去の結果には左右されない)
+    const humAnalyser = audioContext.createAnalyser();
+    humAnalyser.fftSize = HUM_ANALYSER_FFT_SIZE;
+    humAnalyser.smoothingTimeConstant = 0.5;
+    const humState = { detectedFrequency: null, prominenceDb: 0, candidate: null, candidateCount: 0 };
 
     // バンドパスフィルター (音声帯域強調)
     const bandpassFilter = audioContext.createBiquadFilter();
@@ -90,43 +229,127 @@ async function startAudioProcessing(tabId, streamId, initialSettings) {
     lowpassFilter.frequency.value = 4500; // カットオフ周波数 (音声帯域より少し上)
     lowpassFilter.gain.value = 0;
 
-    // イコライザー (10バンド Peaking Filter)
+    // イコライザー (バンド構成は equalizer.js で定義。applySettings で設定に合わせて作り直す)
     const eqBands = [];
-    const eqFrequencies = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000]; // Hz
-    for (let i = 0; i < 10; i++) {
-      const eq = audioContext.createBiquadFilter();
-        eq.type = "peaking";
-        eq.frequency.value = eqFrequencies[i];
-        eq.Q.value = 1;
-        eq.gain.value = 0;
-        eqBands.push(eq);
-      }
-      const eqLow = eqBands[0];
-      const eqMid = eqBands[1];
-      const eqHigh = eqBands[2];
-  
-      // DynamicsCompressorNode (ノーマライゼーション)
+
+    // ノイズゲート / エキスパンダー (AudioWorklet)。コンプレッサーの前に置き、話の合間のノイズを持ち上げないようにする
+    // パラメータは dynamics.js の getGateParams で設定から決める。無効時は素通し (遅延なし)
+    const gate = new AudioWorkletNode(audioContext, 'noise-gate', {
+        outputChannelCount: [2]
+    });
+    const gateState = { open: false, reductionDb: 0 };
+    gate.port.onmessage = (event) => {
+        if (event.data.type === 'status') {
+            gateState.open = event.data.open;
+            gateState.reductionDb = event.data.reductionDb;
+        }
+    };
+
+      // DynamicsCompressorNode (パラメータは dynamics.js の getCompressorParams で設定から決める)
       const compressor = audioContext.createDynamicsCompressor();
-      compressor.threshold.value = -24;
-      compressor.knee.value = 30;
-      compressor.ratio.value = 12;
-      compressor.attack.value = 0.003;
-      compressor.release.value = 0.25;
+      const compressorParams = getCompressorParams(initialSettings);
+      compressor.threshold.value = compressorParams.threshold;
+      compressor.knee.value = compressorParams.knee;
+      compressor.ratio.value = compressorParams.ratio;
+      compressor.attack.value = compressorParams.attack;
+      compressor.release.value = compressorParams.release;
+
+    // コンプレッサーのメイクアップゲイン
+    const makeupGain = audioContext.createGain();
+    makeupGain.gain.value = decibelsToGain(compressorParams.makeup);
+
+    // ディエッサーと破裂音の抑制 (AudioWorklet)。EQ とコンプレッサーで強調された歯擦音とポップノイズを抑える
+    // パラメータは dynamics.js の getDeEsserParams で設定から決める。無効時は素通し (遅延なし)
+    const deEsser = new AudioWorkletNode(audioContext, 'deesser', {
+        outputChannelCount: [2]
+    });
+    const deEsserState = { sibilanceDb: -120, deEsserDb: 0, plosiveDb: 0 };
+    deEsser.port.onmessage = (event) => {
+        if (event.data.type === 'status') {
+            deEsserState.sibilanceDb = event.data.sibilanceDb;
+            deEsserState.deEsserDb = event.data.deEsserDb;
+            deEsserState.plosiveDb = event.data.plosiveDb;
+        }
+    };
 
-    // GainNode (最終的な音量調整)
+    // ラウドネスノーマライズ (AudioWorklet)。BS.1770 のラウドネスを測定し、目標 LUFS に向けてゲインを調整する
+    // ノーマライズが無効でも測定は続ける (ポップアップの表示用)
+    const loudnessNormalizer = new AudioWorkletNode(audioContext, 'loudness-normalizer', {
+        outputChannelCount: [2]
+    });
+    const loudnessState = { input: null, output: null, gainDb: 0, limiterDb: 0, truePeakDb: null };
+    loudnessNormalizer.port.onmessage = (event) => {
+        if (event.data.type === 'status') {
+            Object.assign(loudnessState, event.data);
+            delete loudnessState.type;
+        }
+    };
+
+    // GainNode (マスター音量。ミュートから +24 dB まで)
     const gainNode = audioContext.createGain();
-    gainNode.gain.value = 1.0; // 必要に応じて調整
+    gainNode.gain.value = getMasterVolumeGain(initialSettings);
+
+    // 先読み型ブリックウォールリミッター (AudioWorklet)。チェーンの最後に置き、無効時は遅延だけの素通しになる
+    const limiter = new AudioWorkletNode(audioContext, 'brickwall-limiter', {
+        outputChannelCount: [2]
+    });
+    const limiterState = { reductionDb: 0 };
+    limiter.port.onmessage = (event) => {
+        if (event.data.type === 'status') {
+            limiterState.reductionDb = event.data.reductionDb;
+        }
+    };
+
+    // dry/wet: 処理前の音 (dry) の経路と処理後の音 (wet) の経路を GainNode で混ぜる (バイパスとミックス)
+    // dry は処理チェーンと同じだけ遅らせて、2 つの経路の位相を揃える
+    const dryDelay = audioContext.createDelay(1);
+    dryDelay.delayTime.value = getProcessingLatencySeconds(audioContext.sampleRate);
+    const dryGain = audioContext.createGain();
+    dryGain.gain.value = 0;
+    const wetGain = audioContext.createGain();
+    const mixBus = audioContext.createGain();
+
+    // ミキサーのミュート/ソロ用の GainNode。リミッターの後に置くので、消音中もメーターと録音には影響しない
+    const mixerGain = audioContext.createGain();
+    // オートダッキングで下げる GainNode と、primary のタブとして音を検出するサイドチェーン検出 (聞こえる音を見るのでミュート/ソロの後)
+    const duckGain = audioContext.createGain();
+    const sidechainDetector = new AudioWorkletNode(audioContext, 'sidechain-detector', {
+        numberOfOutputs: 0
+    });
 
-    // ノードを接続: source -> notch -> bandpass -> lowpass -> eqLow -> eqMid -> eqHigh -> compressor -> gain -> destination
-    sourceNode.connect(notchFilter);
-    notchFilter.connect(bandpassFilter);
+    // ノードを接続: source -> stereoStage -> noiseSuppressor -> dialogueEnhancer -> [ハム除去...] -> bandpass -> lowpass -> [EQ バンド...] -> gate -> compressor -> makeup -> deEsser -> loudnessNormalizer -> gain -> limiter -> wetGain -> mixBus -> mixerGain -> duckGain -> destination
+    // サイドチェーン: mixerGain -> sidechainDetector
+    // dry の経路: source -> dryDelay -> dryGain -> mixBus
+    // EQ バンドは applySettings 内の rebuildEqChain で lowpass と gate の間に挿入する
+    // ハムの自動検出: source -> humAnalyser
+    sourceNode.connect(stereoStage.input);
+    stereoStage.output.connect(noiseSuppressor);
+    noiseSuppressor.connect(dialogueEnhancer);
+    [dialogueEnhancer, ...humFilters, bandpassFilter].reduce((previous, next) => {
+      previous.connect(next);
+      return next;
+    });
     bandpassFilter.connect(lowpassFilter);
-    lowpassFilter.connect(eqBands[0]); // lowpass の出力を eqLow へ
-    eqBands[0].connect(eqBands[1]);         // eqLow の出力を eqMid へ
-    eqBands[1].connect(eqBands[2]);        // eqMid の出力を eqHigh へ
-    eqBands[2].connect(compressor);   // eqHigh の出力を compressor へ
-    compressor.connect(gainNode);
-    gainNode.connect(audioContext.destination);
+    lowpassFilter.connect(gate); // EQ バンドが 0 個の状態
+    gate.connect(compressor);
+    compressor.connect(makeupGain);
+    makeupGain.connect(deEsser);
+    deEsser.connect(loudnessNormalizer);
+    loudnessNormalizer.connect(gainNode);
+    gainNode.connect(limiter);
+    limiter.connect(wetGain);
+    wetGain.connect(mixBus);
+    sourceNode.connect(humAnalyser);
+    sourceNode.connect(dryDelay);
+    dryDelay.connect(dryGain);
+    dryGain.connect(mixBus);
+    mixBus.connect(mixerGain);
+    mixerGain.connect(duckGain);
+    duckGain.connect(audioContext.destination);
+    mixerGain.connect(sidechainDetector);
+
+    // メーター用のタップ (処理前: sourceNode / 処理後: mixBus。バイパス中やミックスも聞こえるとおりに表示する)
+    const meters = createMeterTaps(audioContext, sourceNode, mixBus);
     // ---------------------------------
 
     // リソースをオブジェクトにまとめる
@@ -134,12 +357,47 @@ async function startAudioProcessing(tabId, streamId, initialSettings) {
       stream: stream,
       audioContext: audioContext,
       sourceNode: sourceNode,
-      notchFilter: notchFilter,
+      stereoStage: stereoStage,
+      noiseSuppressor: noiseSuppressor,
+      noiseSuppressorState: noiseSuppressorState,
+      dialogueEnhancer: dialogueEnhancer,
+      dialogueState: dialogueState,
+      humFilters: humFilters,
+      humAnalyser: humAnalyser,
+      humState: humState,
+      humSpectrum: new Float32Array(humAnalyser.frequencyBinCount),
+      humTimer: null, // ハムの自動検出のタイマー
+      settings: null, // 直近に適用した設定 (ハムの自動検出で使う)
       bandpassFilter: bandpassFilter,
       lowpassFilter: lowpassFilter,
       eqBands: eqBands,
+      gate: gate,
+      gateState: gateState,
       compressor: compressor,
-      outputNode: gainNode // 最後のノード
+      makeupGain: makeupGain,
+      deEsser: deEsser,
+      deEsserState: deEsserState,
+      loudnessNormalizer: loudnessNormalizer,
+      loudnessState: loudnessState,
+      meters: meters,
+      gainNode: gainNode,
+      recording: null, // 録音中のオブジェクト (recording.js)
+      recordingError: null, // 直近の録音のエラー (ポップアップの表示用)
+      limiter: limiter,
+      limiterState: limiterState,
+      dryDelay: dryDelay,
+      dryGain: dryGain,
+      wetGain: wetGain,
+      mixBus: mixBus,
+      wetMix: 1, // 処理後の音の割合 (0 - 1。applySettings で設定の wetDryMix から決める)
+      bypass: false, // バイパス中は wetMix にかかわらず dry のみ
+      mixerGain: mixerGain,
+      duckGain: duckGain,
+      sidechainDetector: sidechainDetector,
+      duckingRole: 'none', // オートダッキングの役割 (set-ducking で設定)
+      sidechainActive: false, // サイドチェーン検出で音を検出しているか
+      ducked: false, // background のタブとして下げているか
+      outputNode: mixBus // dry と wet を混ぜた後のノード (メーターと録音のタップ)
     };
 
      // 初期設定を適用
@@ -148,42 +406,63 @@ async function startAudioProcessing(tabId, streamId, initialSettings) {
     // リソースをMapに保存
     audioResources.set(tabId, resources);
 
+    resources.humTimer = setInterval(() => detectHum(resources), HUM_DETECT_INTERVAL_MS);
+
+    sidechainDetector.port.onmessage = (event) => {
+        if (event.data.type === 'activity') {
+            resources.sidechainActive = event.data.active;
+            updateDucking();
+        }
+    };
+
     // ストリームが終了したときの処理 (ユーザーがタブを閉じた場合など)
+    // ページを移動してもタブのストリームは続くので、ここに来るのはストリームが本当に終わったときだけ
     stream.getTracks().forEach(track => {
         track.onended = () => {
             console.log(`Audio track ended for tab ${tabId}. Stopping processing.`);
-            stopAudioProcessing(tabId); // ストリームが自然に終了した場合もクリーンアップ
+            stopAudioProcessing(tabId, 'stream-ended'); // バックグラウンドはキャプチャを開始し直す
         };
     });
 
 
     console.log(`Audio processing pipeline set up for tab ${tabId}`);
 
-    // バックグラウンドスクリプトに処理開始を通知
-    chrome.runtime.sendMessage({ type: 'processing-started', tabId: tabId });
-
   } catch (error) {
     console.error(`Error starting audio processing for tab ${tabId}:`, error);
     // エラー発生時はリソースをクリーンアップ
-    await stopAudioProcessing(tabId); // 既存のリソースがあれば停止・解放
-    // バックグラウンドスクリプトにエラーを通知
-    chrome.runtime.sendMessage({ type: 'error', tabId: tabId, error: error.message });
+    if (audioResources.has(tabId)) {
+      await stopAudioProcessing(tabId); // 登録済みのリソースを停止・解放
+    } else {
+      // ワークレットの読み込みやノードの作成で失敗した場合はまだ登録されていないので、ここで閉じる
+      stream?.getTracks().forEach(track => track.stop());
+      if (audioContext) {
+        await audioContext.close().catch(closeError => console.warn(`Failed to close AudioContext for tab ${tabId}:`, closeError));
+      }
+    }
+    throw error;
   }
 }
 
-// 音声処理を停止する関数
-async function stopAudioProcessing(tabId) {
+// 音声処理を停止する関数。停止したら true、処理していなければ false を返す
+// reason: 'requested' (バックグラウンドからの停止・エラー時の後始末) または 'stream-ended' (タブのストリームが終わった)
+// 'stream-ended' のときだけバックグラウンドに通知する (停止を頼まれた場合は stop-processing の応答で伝わる)
+async function stopAudioProcessing(tabId, reason = 'requested') {
   const resources = audioResources.get(tabId);
   if (!resources) {
     console.log(`No active audio processing found for tab ${tabId} to stop.`);
-    // すでに停止している場合でも、バックグラウンドには停止完了を通知する
-    chrome.runtime.sendMessage({ type: 'processing-stopped', tabId: tabId });
-    return;
+    return false;
   }
 
   console.log(`Stopping audio processing for tab ${tabId}`);
 
   try {
+    // 0. 録音中なら AudioContext を閉じる前に終了して保存する
+    if (resources.recording) {
+      await finishRecording(tabId, resources);
+    }
+
+    clearInterval(resources.humTimer);
+
     // 1. AudioContext を閉じる (これにより接続されたノードが解放され、音声再生が停止する)
     if (resources.audioContext && resources.audioContext.state !== 'closed') {
       await resources.audioContext.close();
@@ -202,82 +481,467 @@ async function stopAudioProcessing(tabId) {
       // 3. リソースマップから削除
       audioResources.delete(tabId);
       console.log(`Cleaned up resources for tab ${tabId}`);
+      // primary のタブが止まったら、ほかのタブを戻す
+      updateDucking();
+
+      // 4. 頼まれずに停止した場合はバックグラウンドスクリプトに通知
+      if (reason === 'stream-ended') {
+        sendRequest(MESSAGE_TARGETS.background, { type: 'processing-stopped', tabId: tabId, reason: reason })
+          .catch(error => console.warn(`Failed to notify background that tab ${tabId} stopped:`, error));
+      }
+  }
+  return true;
+}
+
+// 録音の開始・一時停止・再開・停止を行う関数
+// エラーはメーターのフレームで表示するために残し、リクエストの送信元にも返す
+async function handleRecordingCommand(message) {
+  const { tabId } = message;
+  const resources = getActiveResources(message);
+  const { recording } = resources;
+  if (message.type === 'start-recording' && recording) {
+    throw new MessagingError(MESSAGING_ERROR_CODES.handlerError, 'Recording already in progress');
+  }
+
+  try {
+    switch (message.type) {
+      case 'start-recording':
+        resources.recordingError = null;
+        resources.recording = await startRecording(resources.audioContext, resources.outputNode, message.format);
+        break;
+      case 'pause-recording':
+        if (recording) pauseRecording(recording);
+        break;
+      case 'resume-recording':
+        if (recording) resumeRecording(recording);
+        break;
+      case 'stop-recording':
+        if (recording) await finishRecording(tabId, resources);
+        break;
+    }
+  } catch (error) {
+    console.error(`Recording error for tab ${tabId}:`, error);
+    resources.recordingError = error.message;
+    resources.recording = null;
+    throw error;
+  }
+}
+
+// 録音を終了する関数。停止中に stopAudioProcessing が呼ばれても、同じ保存処理の完了を待つ
+async function finishRecording(tabId, resources) {
+  const recording = resources.recording;
+  if (!recording) return;
+  if (!recording.finishing) {
+    recording.finishing = saveRecording(tabId, recording).finally(() => {
+      resources.recording = null;
+    });
+  }
+  await recording.finishing;
+}
+
+// 録音を Blob にまとめ、Blob URL をバックグラウンドに渡してダウンロードしてもらう関数
+async function saveRecording(tabId, recording) {
+  const blob = await stopRecording(recording);
+  const url = URL.createObjectURL(blob);
+  try {
+    await sendRequest(MESSAGE_TARGETS.background, {
+      type: 'recording-ready',
+      tabId: tabId,
+      url: url,
+      fileName: getRecordingFileName(recording),
+      size: blob.size
+    });
+  } catch (error) {
+    // バックグラウンドが受け取れなかった録音は破棄する
+    URL.revokeObjectURL(url);
+    throw error;
+  }
+}
+
+// ハム除去のフィルターを設定と検出した周波数に合わせる
+function applyHumFilters(resources, settings) {
+  const { audioContext, humFilters, humState } = resources;
+  const params = getHumFilterParams(settings, audioContext.sampleRate, humState.detectedFrequency);
+  humFilters.forEach((filter, i) => setBiquadParams(filter, params[i], audioContext.currentTime, 0.1));
+}
 
-      // 4. バックグラウンドスクリプトに処理停止を通知
-      chrome.runtime.sendMessage({ type: 'processing-stopped', tabId: tabId });
+// 入力のスペクトルからハムが 50 Hz 系か 60 Hz 系かを判定する (自動検出のときだけ)
+// 音楽の低音などで揺れないよう、同じ判定が HUM_DETECT_CONFIRMATIONS 回続いてから切り替え、ハムが聞こえなくなっても前の判定を保つ
+function detectHum(resources) {
+  const { settings, humAnalyser, humState } = resources;
+  if (!settings || !settings.humRemovalEnabled || settings.humFrequency !== 'auto') {
+    return;
+  }
+  const spectrum = resources.humSpectrum;
+  humAnalyser.getFloatFrequencyData(spectrum);
+  const binWidth = humAnalyser.context.sampleRate / humAnalyser.fftSize;
+  const prominence50 = measureHumProminence(spectrum, binWidth, 50);
+  const prominence60 = measureHumProminence(spectrum, binWidth, 60);
+  humState.prominenceDb = Math.max(prominence50, prominence60);
+
+  const candidate = humState.prominenceDb < HUM_DETECT_MIN_PROMINENCE_DB ? null : prominence50 >= prominence60 ? 50 : 60;
+  if (candidate === null || candidate === humState.detectedFrequency) {
+    humState.candidate = null;
+    humState.candidateCount = 0;
+    return;
+  }
+  humState.candidateCount = candidate === humState.candidate ? humState.candidateCount + 1 : 1;
+  humState.candidate = candidate;
+  if (humState.candidateCount >= HUM_DETECT_CONFIRMATIONS) {
+    console.log(`Detected ${candidate} Hz mains hum (${humState.prominenceDb.toFixed(1)} dB above the surrounding spectrum)`);
+    humState.detectedFrequency = candidate;
+    humState.candidate = null;
+    humState.candidateCount = 0;
+    applyHumFilters(resources, settings);
   }
 }
 
+// 基本波と倍音のピークが周囲 (4 - 10 ビン離れたところ) より平均で何 dB 大きいか
+function measureHumProminence(spectrum, binWidth, fundamental) {
+  const level = (bin) => Math.max(spectrum[bin], -140); // 無音 (-Infinity) を避ける
+  let total = 0;
+  for (let harmonic = 1; harmonic <= HUM_DETECT_HARMONICS; harmonic++) {
+    const center = Math.round(harmonic * fundamental / binWidth);
+    const peak = Math.max(level(center - 1), level(center), level(center + 1));
+    let surrounding = 0;
+    for (let offset = 4; offset <= 10; offset++) {
+      surrounding += level(center - offset) + level(center + offset);
+    }
+    total += peak - surrounding / 14;
+  }
+  return total / HUM_DETECT_HARMONICS;
+}
+
 // 設定をオーディオノードに適用する関数
 function applySettings(resources, settings) {
-  const { audioContext, notchFilter, bandpassFilter, lowpassFilter, compressor, eqBands } = resources;
+  const { audioContext, noiseSuppressor, bandpassFilter, lowpassFilter, compressor, makeupGain, loudnessNormalizer, gainNode, limiter, eqBands } = resources;
   const now = audioContext.currentTime;
   const rampTime = 0.1; // パラメータ変更を滑らかにする時間 (秒)
 
   console.log("Applying settings:", settings);
+  resources.settings = settings;
+
+  // --- Stereo ---
+  const stereoMatrix = getStereoMatrix(settings);
+  resources.stereoStage.gains.forEach((row, output) => {
+    row.forEach((gain, input) => gain.gain.setTargetAtTime(stereoMatrix[output][input], now, rampTime));
+  });
+
+  // --- Spectral Noise Suppression (AudioWorklet) ---
+  // ボイスエンハンスとは独立して有効/無効を切り替える
+  noiseSuppressor.port.postMessage({
+    type: 'configure',
+    enabled: !!settings.spectralDenoiseEnabled,
+    reductionDb: settings.spectralDenoiseReduction
+  });
+
+  // --- Dialogue (AudioWorklet) ---
+  // ボイスエンハンスとは独立。有効時は getVoiceFilterParams がバンドパスとローパスを外す (音楽や効果音をこもらせない)
+  resources.dialogueEnhancer.port.postMessage({
+    type: 'configure',
+    enabled: !!settings.dialogueEnabled,
+    boostDb: DIALOGUE_MAX_BOOST_DB * Math.min(100, Math.max(0, Number(settings.dialogueAmount) || 0)) / 100,
+    duckDb: Number(settings.dialogueDuckDepth) || 0
+  });
+
+  // --- Hum Removal ---
+  // ノイズキャンセルとは独立。'auto' のときは検出した周波数 (まだなければ何もしない)
+  applyHumFilters(resources, settings);
+
+  // --- Noise Cancellation (bandpass / lowpass) ---
+  // パラメータはポップアップの周波数特性グラフと共通 (filter-chain.js)
+  // ボイスエンハンスが無効の場合はノイズキャンセルも無効になる
+  const voiceFilters = getVoiceFilterParams(settings, audioContext.sampleRate);
+  setBiquadParams(bandpassFilter, voiceFilters.bandpass, now, rampTime);
+  setBiquadParams(lowpassFilter, voiceFilters.lowpass, now, rampTime);
+
+  // --- Normalization (Loudness, AudioWorklet) ---
+  // ボイスエンハンスが無効の場合はノーマライズも無効になる
+  loudnessNormalizer.port.postMessage({
+    type: 'configure',
+    enabled: !!(settings.voiceEnhancementEnabled && settings.normalizeEnabled),
+    targetLufs: settings.loudnessTarget,
+    ceilingDb: settings.truePeakCeiling
+  });
+
+  // --- Gate / Compressor / Limiter ---
+  // 無効時のコンプレッサーは圧縮しない値になる (dynamics.js)
+  resources.gate.port.postMessage({ type: 'configure', ...getGateParams(settings) });
+  const compressorParams = getCompressorParams(settings);
+  compressor.threshold.setTargetAtTime(compressorParams.threshold, now, rampTime);
+  compressor.knee.setTargetAtTime(compressorParams.knee, now, rampTime);
+  compressor.ratio.setTargetAtTime(compressorParams.ratio, now, rampTime);
+  compressor.attack.setTargetAtTime(compressorParams.attack, now, rampTime);
+  compressor.release.setTargetAtTime(compressorParams.release, now, rampTime);
+  makeupGain.gain.setTargetAtTime(decibelsToGain(compressorParams.makeup), now, rampTime);
+  limiter.port.postMessage({ type: 'configure', ...getLimiterParams(settings) });
+
+  // --- De-esser / Plosive Suppression ---
+  resources.deEsser.port.postMessage({ type: 'configure', ...getDeEsserParams(settings) });
+
+  // --- Master Volume ---
+  // 0 dB を超えるときは getLimiterParams がリミッターを有効にしている
+  gainNode.gain.setTargetAtTime(getMasterVolumeGain(settings), now, rampTime);
+
+  // --- Dry/Wet Mix ---
+  resources.wetMix = getWetMix(settings);
+  applyDryWetMix(resources, rampTime);
 
-  // --- Voice Enhancement ---
-  if (settings.voiceEnhancementEnabled) {
-    // --- Noise Cancellation ---
-    if (settings.noiseCancelEnabled) {
-      // 有効時のパラメータ設定 (必要に応じて調整)
-      notchFilter.frequency.setTargetAtTime(60, now, rampTime); // 60Hz notch
-      notchFilter.Q.setTargetAtTime(10, now, rampTime);
-      bandpassFilter.frequency.setTargetAtTime(1850, now, rampTime); // Voice bandpass center
-      bandpassFilter.Q.setTargetAtTime(0.8, now, rampTime);
-      lowpassFilter.frequency.setTargetAtTime(4000, now, rampTime); // Cut high freq noise
-      lowpassFilter.type = "lowpass"; // 念のためタイプを再設定
-    } else {
-      // 無効時のパラメータ設定 (効果をなくす)
-      // ノッチフィルター: 可聴域外に移動
-      notchFilter.frequency.setTargetAtTime(10, now, rampTime); // Move notch out of audible range
-      notchFilter.Q.setTargetAtTime(0.01, now, rampTime); // Make it very broad (ineffective)
-      // バンドパスフィルター: ゲインを0にするか、タイプをallpassにする (allpassは位相を変えるので注意)
-      // ここでは周波数を可聴域外に飛ばし、Qを低くして影響を最小限に
-      bandpassFilter.frequency.setTargetAtTime(10, now, rampTime);
-      bandpassFilter.Q.setTargetAtTime(0.01, now, rampTime);
-      // ローパスフィルター: カットオフ周波数を非常に高くする
-      lowpassFilter.frequency.setTargetAtTime(audioContext.sampleRate / 2 - 1, now, rampTime); // Nyquist freq
-      // lowpassFilter.type = "allpass"; // allpass にすると位相が変わる可能性
-    }
+  // --- Equalizer ---
+  const bands = getEqBandsForSettings(settings);
+  // バンド数が変わった場合 (初回やパラメトリックモードでの追加・削除) はチェーンを作り直す
+  if (bands.length !== eqBands.length) {
+    rebuildEqChain(resources, bands);
+  }
+  bands.forEach((band, i) => {
+    setBiquadParams(resources.eqBands[i], toBiquadParams(band), now, rampTime);
+  });
+}
 
-    // --- Normalization (Compressor) ---
-    if (settings.normalizeEnabled) {
-      // 有効時のパラメータ設定
-      compressor.threshold.setTargetAtTime(-24, now, rampTime);
-      compressor.knee.setTargetAtTime(30, now, rampTime);
-      compressor.ratio.setTargetAtTime(12, now, rampTime);
-      compressor.attack.setTargetAtTime(0.003, now, rampTime);
-      compressor.release.setTargetAtTime(0.25, now, rampTime);
-    } else {
-      // 無効時のパラメータ設定 (効果をなくす)
-      compressor.threshold.setTargetAtTime(0, now, rampTime); // スレッショルドを最大に
-      compressor.knee.setTargetAtTime(0, now, rampTime);      // ニーを0に
-      compressor.ratio.setTargetAtTime(1, now, rampTime);     // レシオを1に (圧縮しない)
-      // attack/release は影響が少なくなるが、念のためデフォルトに近い値に
-      compressor.attack.setTargetAtTime(0.003, now, rampTime);
-      compressor.release.setTargetAtTime(0.25, now, rampTime);
+// 処理後の音の割合 (0 - 1)
+function getWetMix(settings) {
+  const percent = Number(settings.wetDryMix);
+  return Number.isFinite(percent) ? Math.min(100, Math.max(0, percent)) / 100 : 1;
+}
+
+// dry/wet のクロスフェーダーを設定する。バイパス中は dry のみ、それ以外は wetMix の割合で混ぜる
+// 2 つのゲインを同じ時定数で動かすので、途中も合計は 1 のまま (位相を揃えた同じ音なので音量が変わらない)
+function applyDryWetMix(resources, timeConstant) {
+  const wet = resources.bypass ? 0 : resources.wetMix;
+  const now = resources.audioContext.currentTime;
+  resources.wetGain.gain.setTargetAtTime(wet, now, timeConstant);
+  resources.dryGain.gain.setTargetAtTime(1 - wet, now, timeConstant);
+}
+
+// 処理チェーン全体の遅延 (秒)。ワークレットの先読みはサンプル数に丸めてから足す
+function getProcessingLatencySeconds(sampleRate) {
+  const lookaheadSamples = (seconds) => Math.max(1, Math.round(seconds * sampleRate));
+  const worklets = NOISE_SUPPRESSOR_LATENCY_SAMPLES +
+    lookaheadSamples(LOUDNESS_LOOKAHEAD_SECONDS) +
+    lookaheadSamples(LIMITER_LOOKAHEAD_SECONDS);
+  const compressor = Math.floor(COMPRESSOR_PRE_DELAY_SECONDS * sampleRate);
+  return (worklets + compressor) / sampleRate;
+}
+
+function decibelsToGain(db) {
+  return Math.pow(10, db / 20);
+}
+
+// BiquadFilterNode にパラメータ ({ type, frequency, Q, gain }) を滑らかに設定する関数
+function setBiquadParams(filter, params, now, rampTime) {
+  filter.type = params.type;
+  // frequency, Q, gain は AudioParam なので setTargetAtTime を使う
+  filter.frequency.setTargetAtTime(params.frequency, now, rampTime);
+  filter.Q.setTargetAtTime(params.Q, now, rampTime);
+  filter.gain.setTargetAtTime(params.gain, now, rampTime);
+}
+
+// ステレオ処理のノードを作る関数
+// upmix (2 チャンネル) -> splitter -> 4 つの GainNode (L/R の混合行列) -> merger
+// 戻り値: { input, output, gains: [[L <- L, L <- R], [R <- L, R <- R]] }
+function createStereoStage(audioContext) {
+  // モノラルの入力も L/R の両方に分けられるように、2 チャンネルにアップミックスしてから分ける
+  // (ChannelSplitterNode の channelInterpretation は変更できないので、前に置いた GainNode で行う)
+  const upmix = audioContext.createGain();
+  upmix.channelCount = 2;
+  upmix.channelCountMode = 'explicit';
+  upmix.channelInterpretation = 'speakers';
+  const splitter = audioContext.createChannelSplitter(2);
+  upmix.connect(splitter);
+  const merger = audioContext.createChannelMerger(2);
+
+  const gains = [0, 1].map(output => [0, 1].map(input => {
+    const gain = audioContext.createGain();
+    gain.gain.value = output === input ? 1 : 0; // 初期値は元のまま
+    splitter.connect(gain, input);
+    gain.connect(merger, 0, output);
+    return gain;
+  }));
+
+  return { input: upmix, output: merger, gains };
+}
+
+// EQ バンドの BiquadFilterNode を作り直し、lowpass -> [EQ バンド...] -> compressor に接続し直す関数
+function rebuildEqChain(resources, bands) {
+  const { audioContext, lowpassFilter, gate } = resources;
+  console.log(`Rebuilding EQ chain with ${bands.length} bands`);
+
+  // 既存の接続を外す
+  lowpassFilter.disconnect();
+  resources.eqBands.forEach(eq => eq.disconnect());
+
+  // 新しいバンドは最初から目標値で作る (ランプで周波数が大きく動くのを避ける)
+  const eqBands = bands.map(band => {
+    const params = toBiquadParams(band);
+    const eq = audioContext.createBiquadFilter();
+    eq.type = params.type;
+    eq.frequency.value = params.frequency;
+    eq.Q.value = params.Q;
+    eq.gain.value = params.gain;
+    return eq;
+  });
+
+  // lowpass -> eq1 -> eq2 -> ... -> gate (バンドが 0 個なら lowpass -> gate)
+  let previousNode = lowpassFilter;
+  eqBands.forEach(eq => {
+    previousNode.connect(eq);
+    previousNode = eq;
+  });
+  previousNode.connect(gate);
+
+  resources.eqBands = eqBands;
+}
+
+// メーター用の AnalyserNode を作る関数
+// - input / output: 処理前後のスペクトラム
+// - channels: 処理後の L/R のレベル (ピーク / RMS)
+// AnalyserNode は destination に接続しなくても動作する
+function createMeterTaps(audioContext, inputNode, outputNode) {
+  const createAnalyser = (fftSize) => {
+    const analyser = audioContext.createAnalyser();
+    analyser.fftSize = fftSize;
+    analyser.smoothingTimeConstant = 0.6;
+    return analyser;
+  };
+
+  const input = createAnalyser(2048);
+  const output = createAnalyser(2048);
+  inputNode.connect(input);
+  outputNode.connect(output);
+
+  const splitter = audioContext.createChannelSplitter(2);
+  const channels = [createAnalyser(1024), createAnalyser(1024)];
+  outputNode.connect(splitter);
+  splitter.connect(channels[0], 0);
+  splitter.connect(channels[1], 1);
+
+  return {
+    input,
+    output,
+    channels,
+    spectrumBuffer: new Float32Array(input.frequencyBinCount),
+    levelBuffer: new Float32Array(channels[0].fftSize),
+  };
+}
+
+// AnalyserNode の周波数データを対数間隔のバンドにまとめる (各バンドの最大値, dB)
+function collectSpectrum(analyser, buffer) {
+  analyser.getFloatFrequencyData(buffer);
+  const binWidth = analyser.context.sampleRate / analyser.fftSize;
+  const ratio = SPECTRUM_MAX_FREQUENCY / SPECTRUM_MIN_FREQUENCY;
+  const bands = new Array(SPECTRUM_BANDS);
+  for (let band = 0; band < SPECTRUM_BANDS; band++) {
+    const low = SPECTRUM_MIN_FREQUENCY * Math.pow(ratio, band / SPECTRUM_BANDS);
+    const high = SPECTRUM_MIN_FREQUENCY * Math.pow(ratio, (band + 1) / SPECTRUM_BANDS);
+    const firstBin = Math.min(buffer.length - 1, Math.floor(low / binWidth));
+    const lastBin = Math.min(buffer.length - 1, Math.max(firstBin, Math.floor(high / binWidth)));
+    let max = -Infinity;
+    for (let bin = firstBin; bin <= lastBin; bin++) {
+      max = Math.max(max, buffer[bin]);
     }
-  } else {
-    // ボイスエンハンスが無効の場合、すべてのエフェクトを無効にする
-    notchFilter.frequency.setTargetAtTime(10, now, rampTime);
-    notchFilter.Q.setTargetAtTime(0.01, now, rampTime);
-    bandpassFilter.frequency.setTargetAtTime(10, now, rampTime);
-    bandpassFilter.Q.setTargetAtTime(0.01, now, rampTime);
-    lowpassFilter.frequency.setTargetAtTime(audioContext.sampleRate / 2 - 1, now, rampTime);
-    compressor.threshold.setTargetAtTime(0, now, rampTime);
-    compressor.knee.setTargetAtTime(0, now, rampTime);
-    compressor.ratio.setTargetAtTime(1, now, rampTime);
-    compressor.attack.setTargetAtTime(0.003, now, rampTime);
-    compressor.release.setTargetAtTime(0.25, now, rampTime);
+    bands[band] = Math.round(Math.max(max, -140) * 10) / 10; // 送信量を抑えるため 0.1 dB に丸める
   }
+  return bands;
+}
 
-  // --- Equalizer ---
-  // gain は AudioParam なので setTargetAtTime を使う
-  const eqFrequencies = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000]; // Hz
-  for (let i = 0; i < 10; i++) {
-    const eq = eqBands[i];
-    const gainKey = `eq${i + 1}Gain`;
-    eq.gain.setTargetAtTime(settings[gainKey] ?? 0, now, rampTime);
+// AnalyserNode の波形からピークと RMS (リニア値) を求める
+function collectLevel(analyser, buffer) {
+  analyser.getFloatTimeDomainData(buffer);
+  let peak = 0;
+  let sumOfSquares = 0;
+  for (let i = 0; i < buffer.length; i++) {
+    const sample = Math.abs(buffer[i]);
+    peak = Math.max(peak, sample);
+    sumOfSquares += sample * sample;
+  }
+  return {
+    peak: peak,
+    rms: Math.sqrt(sumOfSquares / buffer.length),
+    clipped: peak >= 1.0 // 0 dBFS 以上
+  };
+}
+
+// 録音の状態 ({ state: 'idle' | 'recording' | 'paused' | 'saving', format, elapsedMs, error })
+function getRecordingStatus(resources) {
+  const { recording, recordingError } = resources;
+  if (!recording) {
+    return { state: 'idle', error: recordingError };
+  }
+  return {
+    state: recording.state,
+    format: recording.format,
+    elapsedMs: getRecordingElapsedMs(recording),
+    error: null
+  };
+}
+
+// 音を検出している primary のタブ
+function getSpeakingTabIds() {
+  return [...audioResources]
+    .filter(([, resources]) => resources.duckingRole === 'primary' && resources.sidechainActive)
+    .map(([tabId]) => tabId);
+}
+
+// primary のタブの検出結果に合わせて background のタブを下げる・戻す
+// force: 下げている量や時定数が変わったので、状態が変わらないタブにも設定し直す
+function updateDucking(force = false) {
+  const speakingTabIds = getSpeakingTabIds();
+  audioResources.forEach((resources) => {
+    const ducked = speakingTabIds.length > 0 && resources.duckingRole === 'background';
+    if (ducked === resources.ducked && !force) return;
+    resources.ducked = ducked;
+    resources.duckGain.gain.setTargetAtTime(
+      ducked ? getDuckingGain(duckingSettings) : 1,
+      resources.audioContext.currentTime,
+      getDuckingTimeConstant(duckingSettings, ducked)
+    );
+  });
+
+  // ミキサーの表示のため、検出しているタブが変わったらバックグラウンドに知らせる
+  const key = speakingTabIds.join(',');
+  if (key !== lastSpeakingTabIds) {
+    lastSpeakingTabIds = key;
+    console.log('Auto-ducking primary tabs with audio:', speakingTabIds);
+    sendRequest(MESSAGE_TARGETS.background, { type: 'ducking-changed', speakingTabIds: speakingTabIds })
+      .catch(error => console.warn('Failed to notify background of the ducking state:', error));
   }
+}
+
+// ポップアップに送るメーターの 1 フレーム分のデータを集める関数
+function collectMeterFrame(tabId, resources) {
+  const { meters } = resources;
+  return {
+    type: 'meter-frame',
+    tabId: tabId,
+    minFrequency: SPECTRUM_MIN_FREQUENCY,
+    maxFrequency: SPECTRUM_MAX_FREQUENCY,
+    inputSpectrum: collectSpectrum(meters.input, meters.spectrumBuffer),
+    outputSpectrum: collectSpectrum(meters.output, meters.spectrumBuffer),
+    levels: meters.channels.map(analyser => collectLevel(analyser, meters.levelBuffer)),
+    noiseSuppressor: { ...resources.noiseSuppressorState },
+    dialogue: { ...resources.dialogueState },
+    hum: {
+      detectedFrequency: resources.humState.detectedFrequency,
+      prominenceDb: resources.humState.prominenceDb
+    },
+    ducking: {
+      role: resources.duckingRole,
+      active: resources.sidechainActive,
+      ducked: resources.ducked,
+      depthDb: duckingSettings.depthDb
+    },
+    loudness: { ...resources.loudnessState },
+    recording: getRecordingStatus(resources),
+    // ゲート・ディエッサー・破裂音の抑制・コンプレッサー (DynamicsCompressorNode.reduction)・リミッターのゲインリダクション (dB, 0 以下)
+    // gateOpen: 前回の状態送信から一度でもゲートが開いたか。sibilanceDb: 歯擦音の帯域のレベル (ディエッサーの検出)
+    gainReduction: {
+      gate: resources.gateState.reductionDb,
+      gateOpen: resources.gateState.open,
+      deEsser: resources.deEsserState.deEsserDb,
+      plosive: resources.deEsserState.plosiveDb,
+      sibilanceDb: resources.deEsserState.sibilanceDb,
+      compressor: resources.compressor.reduction,
+      limiter: resources.limiterState.reductionDb
+    }
+  };
 }
\ No newline at end of file
@@ -0,0 +1,334 @@
+// options.js
+
+// --- DOM Element References ---
+const importEqModeSelect = document.getElementById('importEqModeSelect');
+const importFileInput = document.getElementById('importFileInput');
+const importReport = document.getElementById('importReport');
+const importSaveRow = document.getElementById('importSaveRow');
+const importNameInput = document.getElementById('importNameInput');
+const importSaveButton = document.getElementById('importSaveButton');
+const importMessage = document.getElementById('importMessage');
+const exportPresetSelect = document.getElementById('exportPresetSelect');
+const exportApoButton = document.getElementById('exportApoButton');
+const exportJsonButton = document.getElementById('exportJsonButton');
+const rulesList = document.getElementById('rulesList');
+const addRuleButton = document.getElementById('addRuleButton');
+const saveRulesButton = document.getElementById('saveRulesButton');
+const rulesMessage = document.getElementById('rulesMessage');
+const testUrlInput = document.getElementById('testUrlInput');
+const testUrlButton = document.getElementById('testUrlButton');
+const testUrlResult = document.getElementById('testUrlResult');
+
+// Built-in and user presets received from background
+let presets = [];
+// Result of the last successful import (see importSettingsFile in eq-formats.js)
+let pendingImport = null;
+// Site rules being edited. Overrides are kept as the JSON text typed by the user until they are saved.
+let urlRules = [];
+
+// --- Import ---
+importFileInput.addEventListener('change', () => importSelectedFile());
+// Re-run the import so the report reflects the chosen EQ layout
+importEqModeSelect.addEventListener('change', () => importSelectedFile());
+
+async function importSelectedFile() {
+  const file = importFileInput.files[0];
+  pendingImport = null;
+  importReport.hidden = true;
+  importSaveRow.hidden = true;
+  importMessage.textContent = '';
+  if (!file) return;
+
+  try {
+    pendingImport = importSettingsFile(await file.text(), file.name, importEqModeSelect.value);
+  } catch (error) {
+    importMessage.textContent = `Could not import ${file.name}: ${error.message}`;
+    return;
+  }
+  renderImportReport(pendingImport);
+  importNameInput.value = pendingImport.name;
+  importSaveRow.hidden = false;
+}
+
+importSaveButton.addEventListener('click', async () => {
+  if (!pendingImport) return;
+  let response;
+  try {
+    response = await sendRequest(MESSAGE_TARGETS.background, {
+      type: 'save-preset',
+      name: importNameInput.value,
+      settings: pendingImport.settings
+    });
+  } catch (error) {
+    importMessage.textContent = `Error: ${error.message}`;
+    return;
+  }
+  importMessage.textContent = `Saved preset "${response.preset.name}".`;
+  pendingImport = null;
+  importSaveRow.hidden = true;
+  importFileInput.value = '';
+  loadPresets();
+});
+
+// Lists what was applied, what was rejected (with the reason) and any warnings
+function renderImportReport(result) {
+  importReport.replaceChildren();
+
+  const summary = document.createElement('p');
+  const appliedCount = result.format === 'apo' ? result.applied.length : Object.keys(result.settings).length;
+  const noun = result.format === 'apo' ? 'filter' : 'setting';
+  summary.textContent = `${appliedCount} ${noun}${appliedCount === 1 ? '' : 's'} imported, ${result.rejected.length} rejected.`;
+  if (result.format === 'apo' && result.settings.eqPreampDb !== 0) {
+    summary.textContent += ` Preamp ${formatDecibels(result.settings.eqPreampDb)}.`;
+  }
+  importReport.appendChild(summary);
+
+  if (result.rejected.length > 0) {
+    const list = document.createElement('ul');
+    result.rejected.forEach(item => {
+      const entry = document.createElement('li');
+      entry.className = 'rejected';
+      const source = document.createElement('code');
+      source.textContent = item.line ? `Line ${item.line}: ${item.text}` : item.text;
+      entry.append(source, ` - ${item.reason}`);
+      list.appendChild(entry);
+    });
+    importReport.appendChild(list);
+  }
+
+  if (result.warnings.length > 0) {
+    const list = document.createElement('ul');
+    result.warnings.forEach(warning => {
+      const entry = document.createElement('li');
+      entry.className = 'warning';
+      entry.textContent = warning;
+      list.appendChild(entry);
+    });
+    importReport.appendChild(list);
+  }
+
+  importReport.hidden = false;
+}
+
+// --- Export ---
+exportApoButton.addEventListener('click', () => {
+  const preset = getSelectedExportPreset();
+  if (preset) exportParametricEq(preset.settings, preset.name);
+});
+
+exportJsonButton.addEventListener('click', () => {
+  const preset = getSelectedExportPreset();
+  if (preset) exportSettingsJson(preset.settings, preset.name);
+});
+
+function getSelectedExportPreset() {
+  return presets.find(preset => preset.id === exportPresetSelect.value) || null;
+}
+
+// --- Site Rules ---
+async function loadRules() {
+  let response;
+  try {
+    response = await sendRequest(MESSAGE_TARGETS.background, { type: 'get-url-rules' });
+  } catch (error) {
+    rulesMessage.textContent = `Error loading rules: ${error.message}`;
+    return;
+  }
+  urlRules = response.rules.map(rule => ({
+    ...rule,
+    overridesText: Object.keys(rule.overrides).length > 0 ? JSON.stringify(rule.overrides) : ''
+  }));
+  renderRules();
+}
+
+function renderRules() {
+  rulesList.replaceChildren(...urlRules.map((rule, index) => createRuleRow(rule, index)));
+}
+
+function createRuleRow(rule, index) {
+  const row = document.createElement('div');
+  row.className = 'rule-row';
+  row.classList.toggle('disabled', !rule.enabled);
+
+  const enabledCheckbox = document.createElement('input');
+  enabledCheckbox.type = 'checkbox';
+  enabledCheckbox.checked = rule.enabled;
+  enabledCheckbox.title = 'Enabled';
+  enabledCheckbox.addEventListener('change', () => {
+    rule.enabled = enabledCheckbox.checked;
+    row.classList.toggle('disabled', !rule.enabled);
+    markRulesChanged();
+  });
+
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.placeholder = `Rule ${index + 1}`;
+  nameInput.value = rule.name;
+  nameInput.addEventListener('input', () => {
+    rule.name = nameInput.value;
+    markRulesChanged();
+  });
+
+  const patternInput = document.createElement('input');
+  patternInput.type = 'text';
+  patternInput.placeholder = '*://*.youtube.com/*';
+  patternInput.value = rule.pattern;
+  patternInput.addEventListener('input', () => {
+    rule.pattern = patternInput.value;
+    markRulesChanged();
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'rule-actions';
+  actions.append(
+    createRuleButton('↑', 'Move up', index === 0, () => moveRule(index, -1)),
+    createRuleButton('↓', 'Move down', index === urlRules.length - 1, () => moveRule(index, 1)),
+    createRuleButton('✕', 'Delete', false, () => {
+      urlRules.splice(index, 1);
+      renderRules();
+      markRulesChanged();
+    })
+  );
+
+  const presetSelect = document.createElement('select');
+  presetSelect.append(new Option('(Keep current preset)', ''), ...presets.map(preset => new Option(preset.name, preset.id)));
+  presetSelect.value = rule.presetId || '';
+  presetSelect.addEventListener('change', () => {
+    rule.presetId = presetSelect.value || null;
+    markRulesChanged();
+  });
+
+  const overridesInput = document.createElement('textarea');
+  overridesInput.placeholder = 'Overrides (JSON), e.g. {"masterVolumeDb": 6}';
+  overridesInput.value = rule.overridesText;
+  overridesInput.addEventListener('input', () => {
+    rule.overridesText = overridesInput.value;
+    markRulesChanged();
+  });
+
+  row.append(enabledCheckbox, nameInput, patternInput, actions, presetSelect, overridesInput);
+  return row;
+}
+
+function createRuleButton(label, title, disabled, onClick) {
+  const button = document.createElement('button');
+  button.textContent = label;
+  button.title = title;
+  button.disabled = disabled;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function moveRule(index, direction) {
+  const [rule] = urlRules.splice(index, 1);
+  urlRules.splice(index + direction, 0, rule);
+  renderRules();
+  markRulesChanged();
+}
+
+function markRulesChanged() {
+  rulesMessage.textContent = 'Unsaved changes.';
+}
+
+addRuleButton.addEventListener('click', () => {
+  urlRules.push({ id: null, name: '', pattern: '', enabled: true, presetId: null, overrides: {}, overridesText: '' });
+  renderRules();
+  markRulesChanged();
+  rulesList.lastElementChild.querySelector('input[type="text"]').focus();
+});
+
+saveRulesButton.addEventListener('click', async () => {
+  let rules;
+  try {
+    rules = urlRules.map((rule, index) => {
+      const { overridesText, ...saved } = rule;
+      try {
+        saved.overrides = overridesText.trim() ? JSON.parse(overridesText) : {};
+      } catch (error) {
+        throw new Error(`Rule ${index + 1}: overrides are not valid JSON (${error.message})`);
+      }
+      return saved;
+    });
+  } catch (error) {
+    rulesMessage.textContent = error.message;
+    return;
+  }
+  try {
+    await sendRequest(MESSAGE_TARGETS.background, { type: 'save-url-rules', rules });
+  } catch (error) {
+    rulesMessage.textContent = `Error: ${error.message}`;
+    return;
+  }
+  await loadRules();
+  rulesMessage.textContent = `Saved ${rules.length} rule${rules.length === 1 ? '' : 's'}.`;
+});
+
+// Shows which rule wins for a URL, using the rules as currently edited (saved or not)
+testUrlButton.addEventListener('click', () => testUrl());
+testUrlInput.addEventListener('keydown', (event) => {
+  if (event.key === 'Enter') testUrl();
+});
+
+function testUrl() {
+  const url = testUrlInput.value.trim();
+  testUrlResult.replaceChildren();
+  if (!url) return;
+
+  const describe = (rule) => `Rule ${urlRules.indexOf(rule) + 1} "${getUrlRuleLabel(rule)}"`;
+  const matches = findMatchingUrlRules(urlRules, url);
+  const summary = document.createElement('p');
+  testUrlResult.appendChild(summary);
+  if (matches.length === 0) {
+    summary.textContent = 'No rule matches. The tab, site or default settings are used.';
+    return;
+  }
+
+  const [winner, ...others] = matches;
+  const preset = presets.find(item => item.id === winner.presetId);
+  summary.textContent = `${describe(winner)} wins.`;
+  const details = document.createElement('ul');
+  const presetItem = document.createElement('li');
+  presetItem.textContent = `Preset: ${preset ? preset.name : '(keep current preset)'}`;
+  const overridesItem = document.createElement('li');
+  overridesItem.textContent = `Overrides: ${winner.overridesText.trim() || 'none'}`;
+  details.append(presetItem, overridesItem);
+  testUrlResult.appendChild(details);
+
+  // Rules that match too but do not apply
+  const ignored = document.createElement('ul');
+  others.forEach(rule => ignored.appendChild(createWarningItem(`${describe(rule)} also matches but comes later.`)));
+  urlRules
+    .filter(rule => !rule.enabled && matchesUrlPattern(rule.pattern, url))
+    .forEach(rule => ignored.appendChild(createWarningItem(`${describe(rule)} matches but is disabled.`)));
+  if (ignored.childElementCount > 0) {
+    testUrlResult.appendChild(ignored);
+  }
+}
+
+function createWarningItem(text) {
+  const item = document.createElement('li');
+  item.className = 'warning';
+  item.textContent = text;
+  return item;
+}
+
+// --- Presets ---
+async function loadPresets() {
+  let response;
+  try {
+    response = await sendRequest(MESSAGE_TARGETS.background, { type: 'get-presets' });
+  } catch (error) {
+    importMessage.textContent = `Error loading presets: ${error.message}`;
+    return;
+  }
+  presets = response.presets;
+  const selectedId = exportPresetSelect.value;
+  exportPresetSelect.replaceChildren(...presets.map(preset => new Option(preset.name, preset.id)));
+  if (presets.some(preset => preset.id === selectedId)) {
+    exportPresetSelect.value = selectedId;
+  }
+  // The rules' preset selectors list the same presets
+  renderRules();
+}
+
+loadPresets().then(loadRules);
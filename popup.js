@@ -3,22 +3,169 @@
 // --- DOM Element References ---
 const toggleButton = document.getElementById('toggleButton');
 const statusDiv = document.getElementById('status');
+const volumeSlider = document.getElementById('volumeSlider');
+const volumeValue = document.getElementById('volumeValue');
+const mixSlider = document.getElementById('mixSlider');
+const mixValue = document.getElementById('mixValue');
+const bypassButton = document.getElementById('bypassButton');
 const voiceEnhancementCheckbox = document.getElementById('voiceEnhancementCheckbox');
 const noiseCancelCheckbox = document.getElementById('noiseCancelCheckbox');
 const normalizeCheckbox = document.getElementById('normalizeCheckbox');
+const loudnessTargetSelect = document.getElementById('loudnessTargetSelect');
+const truePeakCeilingSelect = document.getElementById('truePeakCeilingSelect');
+const dialogueCheckbox = document.getElementById('dialogueCheckbox');
+const dialogueAmountSlider = document.getElementById('dialogueAmountSlider');
+const dialogueAmountValue = document.getElementById('dialogueAmountValue');
+const dialogueDuckSlider = document.getElementById('dialogueDuckSlider');
+const dialogueDuckValue = document.getElementById('dialogueDuckValue');
+const dialogueStatusDiv = document.getElementById('dialogueStatus');
+const rememberSiteCheckbox = document.getElementById('rememberSiteCheckbox');
+const saveDefaultButton = document.getElementById('saveDefaultButton');
+const resetSettingsButton = document.getElementById('resetSettingsButton');
+const presetSelect = document.getElementById('presetSelect');
+const presetModifiedSpan = document.getElementById('presetModified');
+const presetNameInput = document.getElementById('presetNameInput');
+const savePresetButton = document.getElementById('savePresetButton');
+const renamePresetButton = document.getElementById('renamePresetButton');
+const overwritePresetButton = document.getElementById('overwritePresetButton');
+const deletePresetButton = document.getElementById('deletePresetButton');
+const exportApoButton = document.getElementById('exportApoButton');
+const exportJsonButton = document.getElementById('exportJsonButton');
+const openOptionsButton = document.getElementById('openOptionsButton');
+const openMixerButton = document.getElementById('openMixerButton');
+
+const eqModeSelect = document.getElementById('eqModeSelect');
+const graphicEqDiv = document.getElementById('graphicEq');
+const eqPreampSlider = document.getElementById('eqPreampSlider');
+const eqPreampValue = document.getElementById('eqPreampValue');
+const parametricEqDiv = document.getElementById('parametricEq');
+const parametricBandList = document.getElementById('parametricBandList');
+const addBandButton = document.getElementById('addBandButton');
+const responseCanvas = document.getElementById('responseCanvas');
+const monitorDiv = document.getElementById('monitor');
+const spectrumCanvas = document.getElementById('spectrumCanvas');
+const levelCanvas = document.getElementById('levelCanvas');
+const loudnessReadout = document.getElementById('loudnessReadout');
+const duckingStatusDiv = document.getElementById('duckingStatus');
+const gainReductionCanvas = document.getElementById('gainReductionCanvas');
+const gateCheckbox = document.getElementById('gateCheckbox');
+const gateSidechainHpfCheckbox = document.getElementById('gateSidechainHpfCheckbox');
+const compressorCheckbox = document.getElementById('compressorCheckbox');
+const deEsserCheckbox = document.getElementById('deEsserCheckbox');
+const plosiveCheckbox = document.getElementById('plosiveCheckbox');
+const sibilanceStatusDiv = document.getElementById('sibilanceStatus');
+const recordingFormatSelect = document.getElementById('recordingFormatSelect');
+const recordingTimer = document.getElementById('recordingTimer');
+const recordButton = document.getElementById('recordButton');
+const pauseRecordingButton = document.getElementById('pauseRecordingButton');
+const stopRecordingButton = document.getElementById('stopRecordingButton');
+const recordingStatusDiv = document.getElementById('recordingStatus');
+const stereoBalanceSlider = document.getElementById('stereoBalanceSlider');
+const stereoBalanceValue = document.getElementById('stereoBalanceValue');
+const stereoWidthSlider = document.getElementById('stereoWidthSlider');
+const stereoWidthValue = document.getElementById('stereoWidthValue');
+const stereoMonoCheckbox = document.getElementById('stereoMonoCheckbox');
+const stereoSwapCheckbox = document.getElementById('stereoSwapCheckbox');
+const limiterCheckbox = document.getElementById('limiterCheckbox');
+const spectralDenoiseCheckbox = document.getElementById('spectralDenoiseCheckbox');
+const spectralDenoiseSlider = document.getElementById('spectralDenoiseSlider');
+const spectralDenoiseValue = document.getElementById('spectralDenoiseValue');
+const learnNoiseButton = document.getElementById('learnNoiseButton');
+const clearNoiseButton = document.getElementById('clearNoiseButton');
+const noiseSuppressorStatusDiv = document.getElementById('noiseSuppressorStatus');
+const humRemovalCheckbox = document.getElementById('humRemovalCheckbox');
+const humFrequencySelect = document.getElementById('humFrequencySelect');
+const humStatusDiv = document.getElementById('humStatus');
+
+// Hum removal sliders (setting key, slider, value display and its format)
+const HUM_SLIDERS = [
+  { key: 'humHarmonics', slider: document.getElementById('humHarmonicsSlider'), value: document.getElementById('humHarmonicsValue'), format: value => `${value}` },
+  { key: 'humDepth', slider: document.getElementById('humDepthSlider'), value: document.getElementById('humDepthValue'), format: value => `-${value} dB` },
+  { key: 'humQ', slider: document.getElementById('humQSlider'), value: document.getElementById('humQValue'), format: value => `${value}` },
+];
 
 const eqSliders = [];
 const eqValueSpans = [];
 
-for (let i = 1; i <= 10; i++) {
+for (let i = 1; i <= GRAPHIC_EQ_FREQUENCIES.length; i++) {
   eqSliders.push(document.getElementById(`eq${i}Slider`));
   eqValueSpans.push(document.getElementById(`eq${i}Value`));
 }
 
+// Sliders of the advanced compressor/limiter panel. Ranges come from DYNAMICS_RANGES (dynamics.js);
+// attack and release are stored in seconds but shown in milliseconds.
+const DYNAMICS_SLIDERS = [
+  { key: 'gateThreshold', scale: 1, unit: 'dB' },
+  { key: 'gateRange', scale: 1, unit: 'dB' },
+  { key: 'gateRatio', scale: 1, unit: ':1' },
+  { key: 'gateAttack', scale: 1000, unit: 'ms' },
+  { key: 'gateHold', scale: 1000, unit: 'ms' },
+  { key: 'gateRelease', scale: 1000, unit: 'ms' },
+  { key: 'deEsserLowFrequency', scale: 1, unit: 'Hz' },
+  { key: 'deEsserHighFrequency', scale: 1, unit: 'Hz' },
+  { key: 'deEsserThreshold', scale: 1, unit: 'dB' },
+  { key: 'deEsserReduction', scale: 1, unit: 'dB' },
+  { key: 'plosiveThreshold', scale: 1, unit: 'dB' },
+  { key: 'plosiveReduction', scale: 1, unit: 'dB' },
+  { key: 'compressorThreshold', scale: 1, unit: 'dB' },
+  { key: 'compressorKnee', scale: 1, unit: 'dB' },
+  { key: 'compressorRatio', scale: 1, unit: ':1' },
+  { key: 'compressorAttack', scale: 1000, unit: 'ms' },
+  { key: 'compressorRelease', scale: 1000, unit: 'ms' },
+  { key: 'compressorMakeup', scale: 1, unit: 'dB' },
+  { key: 'limiterCeiling', scale: 1, unit: 'dB' },
+  { key: 'limiterRelease', scale: 1000, unit: 'ms' },
+].map(control => ({
+  ...control,
+  slider: document.getElementById(`${control.key}Slider`),
+  valueSpan: document.getElementById(`${control.key}Value`),
+}));
+
+DYNAMICS_SLIDERS.forEach(({ key, scale, slider }) => {
+  slider.min = DYNAMICS_RANGES[key].min * scale;
+  slider.max = DYNAMICS_RANGES[key].max * scale;
+});
+
+volumeSlider.min = MASTER_VOLUME_MIN_DB;
+volumeSlider.max = MASTER_VOLUME_MAX_DB;
+eqPreampSlider.min = EQ_PREAMP_MIN;
+eqPreampSlider.max = EQ_PREAMP_MAX;
+stereoBalanceSlider.min = STEREO_BALANCE_MIN;
+stereoBalanceSlider.max = STEREO_BALANCE_MAX;
+stereoWidthSlider.min = STEREO_WIDTH_MIN;
+stereoWidthSlider.max = STEREO_WIDTH_MAX;
+
+// Whether EQ controls are currently disabled (shared by graphic and parametric modes)
+let eqControlsDisabled = true;
+
+// Labels for the parametric filter types (see PARAMETRIC_FILTER_TYPES in equalizer.js)
+const FILTER_TYPE_LABELS = {
+  peaking: 'Peaking',
+  lowshelf: 'Low shelf',
+  highshelf: 'High shelf',
+  lowpass: 'Low pass',
+  highpass: 'High pass',
+  notch: 'Notch',
+};
+
+// Settings waiting to be drawn on the frequency response graph (drawn once per animation frame)
+let pendingResponseSettings = null;
+
+// Long-lived port to the offscreen document that streams meter frames (see offscreen.js)
+let meterPort = null;
+// Latest recording state from the meter frames ('idle', 'recording', 'paused' or 'saving')
+let recordingState = 'idle';
+// Time until which each channel's clip indicator stays lit
+const clipUntil = [0, 0];
+
 // Store current tab ID
 let currentTabId = null;
 // Store current settings to avoid redundant updates
 let currentSettings = {};
+// Built-in and user presets received from background
+let presets = [];
+// Whether the current tab is bypassed (original audio only); kept by background, not stored in the settings
+let bypassed = false;
 
 // --- Initialization ---
 // Get active tab and request initial status and settings
@@ -30,20 +177,22 @@ chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
   currentTabId = tabs[0].id;
   console.log("Current Tab ID:", currentTabId);
 
+  loadPresets();
+
   // Request both status and settings
   Promise.all([
     sendMessageToBackground({ type: 'get-status', tabId: currentTabId }),
     sendMessageToBackground({ type: 'get-settings', tabId: currentTabId })
   ]).then(([statusResponse, settingsResponse]) => {
     if (statusResponse) {
-      updateUI(statusResponse.status);
+      updateUI(statusResponse.status, statusResponse.error);
+      if (statusResponse.status === 'active') updateBypassUI(statusResponse.bypass);
     } else {
       console.warn("No response for get-status. Assuming inactive.");
       updateUI('inactive');
     }
-    if (settingsResponse) {
-      currentSettings = settingsResponse; // Store initial settings
-      updateSettingsUI(settingsResponse);
+    if (settingsResponse && settingsResponse.settings) {
+      applySettingsResponse(settingsResponse); // Store initial settings
     } else {
       console.warn("No response for get-settings. Using default UI values.");
       // If no settings received, UI defaults might be okay, or request defaults
@@ -64,7 +213,7 @@ toggleButton.addEventListener('click', async () => {
   sendMessageToBackground({ type: 'toggle-capture', tabId: currentTabId })
     .then(response => {
       if (response) {
-        updateUI(response.newStatus);
+        updateUI(response.newStatus, response.error);
         // Re-fetch settings if status changed, as defaults might apply on start
         if (response.newStatus === 'starting' || response.newStatus === 'active') {
             fetchAndUpdateSettings();
@@ -92,6 +241,23 @@ voiceEnhancementCheckbox.addEventListener('change', () => {
   sendSettingsUpdate(newSettings);
 });
 
+// Dialogue mode (AudioWorklet in the offscreen document)
+dialogueCheckbox.addEventListener('change', () => {
+  if (!currentTabId) return;
+  sendSettingsUpdate({ ...currentSettings, dialogueEnabled: dialogueCheckbox.checked });
+});
+
+dialogueAmountSlider.addEventListener('input', updateDialogueValues);
+dialogueAmountSlider.addEventListener('change', () => {
+  if (!currentTabId) return;
+  sendSettingsUpdate({ ...currentSettings, dialogueAmount: Number(dialogueAmountSlider.value) });
+});
+dialogueDuckSlider.addEventListener('input', updateDialogueValues);
+dialogueDuckSlider.addEventListener('change', () => {
+  if (!currentTabId) return;
+  sendSettingsUpdate({ ...currentSettings, dialogueDuckDepth: Number(dialogueDuckSlider.value) });
+});
+
 // Noise Cancellation Checkbox
 noiseCancelCheckbox.addEventListener('change', () => {
   if (!currentTabId) return;
@@ -106,20 +272,298 @@ normalizeCheckbox.addEventListener('change', () => {
   sendSettingsUpdate(newSettings);
 });
 
+// Master volume. Sent while dragging; the offscreen GainNode ramps smoothly between values.
+volumeSlider.addEventListener('input', () => {
+  if (!currentTabId) return;
+  updateVolumeValue();
+  sendSettingsUpdate({ ...currentSettings, masterVolumeDb: Number(volumeSlider.value) });
+});
+
+// Wet/dry mix for partial processing, sent while dragging like the volume
+mixSlider.addEventListener('input', () => {
+  if (!currentTabId) return;
+  updateMixValue();
+  sendSettingsUpdate({ ...currentSettings, wetDryMix: Number(mixSlider.value) });
+});
+
+// A/B bypass. Not a setting: the offscreen document crossfades to the latency-aligned original until switched back.
+bypassButton.addEventListener('click', () => {
+  if (!currentTabId) return;
+  sendMessageToBackground({ type: 'set-bypass', tabId: currentTabId, bypass: !bypassed })
+    .then(response => {
+      if (response) updateBypassUI(response.bypass);
+    })
+    .catch(error => {
+      statusDiv.textContent = `Error: ${error.message}`;
+    });
+});
+
+// Stereo stage. Balance and width are sent while dragging, like the volume.
+stereoBalanceSlider.addEventListener('input', () => {
+  if (!currentTabId) return;
+  updateStereoValues();
+  sendSettingsUpdate({ ...currentSettings, stereoBalance: Number(stereoBalanceSlider.value) });
+});
+// Double-clicking the balance slider centers it
+stereoBalanceSlider.addEventListener('dblclick', () => {
+  if (!currentTabId || stereoBalanceSlider.disabled) return;
+  stereoBalanceSlider.value = 0;
+  updateStereoValues();
+  sendSettingsUpdate({ ...currentSettings, stereoBalance: 0 });
+});
+stereoWidthSlider.addEventListener('input', () => {
+  if (!currentTabId) return;
+  updateStereoValues();
+  sendSettingsUpdate({ ...currentSettings, stereoWidth: Number(stereoWidthSlider.value) });
+});
+stereoMonoCheckbox.addEventListener('change', () => {
+  if (!currentTabId) return;
+  sendSettingsUpdate({ ...currentSettings, stereoMono: stereoMonoCheckbox.checked });
+  updateStereoValues();
+});
+stereoSwapCheckbox.addEventListener('change', () => {
+  if (!currentTabId) return;
+  sendSettingsUpdate({ ...currentSettings, stereoSwap: stereoSwapCheckbox.checked });
+});
+
+// Loudness normalization target and true-peak ceiling
+loudnessTargetSelect.addEventListener('change', () => {
+  if (!currentTabId) return;
+  sendSettingsUpdate({ ...currentSettings, loudnessTarget: Number(loudnessTargetSelect.value) });
+});
+truePeakCeilingSelect.addEventListener('change', () => {
+  if (!currentTabId) return;
+  sendSettingsUpdate({ ...currentSettings, truePeakCeiling: Number(truePeakCeilingSelect.value) });
+});
+
+// Compressor and limiter (advanced panel)
+gateCheckbox.addEventListener('change', () => {
+  if (!currentTabId) return;
+  sendSettingsUpdate({ ...currentSettings, gateEnabled: gateCheckbox.checked });
+});
+gateSidechainHpfCheckbox.addEventListener('change', () => {
+  if (!currentTabId) return;
+  sendSettingsUpdate({ ...currentSettings, gateSidechainHpf: gateSidechainHpfCheckbox.checked });
+});
+deEsserCheckbox.addEventListener('change', () => {
+  if (!currentTabId) return;
+  sendSettingsUpdate({ ...currentSettings, deEsserEnabled: deEsserCheckbox.checked });
+});
+plosiveCheckbox.addEventListener('change', () => {
+  if (!currentTabId) return;
+  sendSettingsUpdate({ ...currentSettings, plosiveEnabled: plosiveCheckbox.checked });
+});
+compressorCheckbox.addEventListener('change', () => {
+  if (!currentTabId) return;
+  sendSettingsUpdate({ ...currentSettings, compressorEnabled: compressorCheckbox.checked });
+});
+limiterCheckbox.addEventListener('change', () => {
+  if (!currentTabId) return;
+  sendSettingsUpdate({ ...currentSettings, limiterEnabled: limiterCheckbox.checked });
+});
+DYNAMICS_SLIDERS.forEach(control => {
+  control.slider.addEventListener('input', () => updateDynamicsValue(control));
+  control.slider.addEventListener('change', () => {
+    if (!currentTabId) return;
+    sendSettingsUpdate({ ...currentSettings, [control.key]: Number(control.slider.value) / control.scale });
+  });
+});
+
+// Spectral noise suppression (AudioWorklet in the offscreen document)
+spectralDenoiseCheckbox.addEventListener('change', () => {
+  if (!currentTabId) return;
+  sendSettingsUpdate({ ...currentSettings, spectralDenoiseEnabled: spectralDenoiseCheckbox.checked });
+});
+
+spectralDenoiseSlider.addEventListener('input', () => {
+  spectralDenoiseValue.textContent = `${spectralDenoiseSlider.value} dB`;
+});
+spectralDenoiseSlider.addEventListener('change', () => {
+  if (!currentTabId) return;
+  sendSettingsUpdate({ ...currentSettings, spectralDenoiseReduction: Number(spectralDenoiseSlider.value) });
+});
+
+// Hum removal (independent of noise cancellation)
+humRemovalCheckbox.addEventListener('change', () => {
+  if (!currentTabId) return;
+  sendSettingsUpdate({ ...currentSettings, humRemovalEnabled: humRemovalCheckbox.checked });
+});
+humFrequencySelect.addEventListener('change', () => {
+  if (!currentTabId) return;
+  sendSettingsUpdate({ ...currentSettings, humFrequency: humFrequencySelect.value });
+});
+HUM_SLIDERS.forEach(control => {
+  control.slider.addEventListener('input', () => {
+    control.value.textContent = control.format(control.slider.value);
+  });
+  control.slider.addEventListener('change', () => {
+    if (!currentTabId) return;
+    sendSettingsUpdate({ ...currentSettings, [control.key]: Number(control.slider.value) });
+  });
+});
+
+// Learning and clearing the noise profile; progress arrives with the meter frames
+learnNoiseButton.addEventListener('click', () => sendNoiseProfileRequest('learn-noise-profile'));
+clearNoiseButton.addEventListener('click', () => sendNoiseProfileRequest('clear-noise-profile'));
+
 // EQ Sliders
-const eqFrequencies = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000]; // Hz
-for (let i = 0; i < 10; i++) {
+for (let i = 0; i < GRAPHIC_EQ_FREQUENCIES.length; i++) {
   const slider = eqSliders[i];
   const valueSpan = eqValueSpans[i];
-  const frequency = eqFrequencies[i];
+  const frequency = GRAPHIC_EQ_FREQUENCIES[i];
 
-  slider.addEventListener('input', () => updateEqValue(frequency, slider, valueSpan));
+  slider.addEventListener('input', () => {
+    updateEqValue(frequency, slider, valueSpan);
+    // Preview the curve while dragging; the setting itself is sent on 'change'
+    scheduleResponseUpdate({ ...currentSettings, [`eq${i + 1}Gain`]: Number(slider.value) });
+  });
   slider.addEventListener('change', () => sendEqUpdate(`eq${i + 1}Gain`, slider.value));
 }
 
+// EQ preamp (both EQ modes)
+eqPreampSlider.addEventListener('input', () => {
+  updateEqValue(null, eqPreampSlider, eqPreampValue);
+  scheduleResponseUpdate({ ...currentSettings, eqPreampDb: Number(eqPreampSlider.value) });
+});
+eqPreampSlider.addEventListener('change', () => sendEqUpdate('eqPreampDb', eqPreampSlider.value));
+
+// EQ mode (graphic / parametric)
+eqModeSelect.addEventListener('change', () => {
+  if (!currentTabId) return;
+  const eqMode = eqModeSelect.value;
+  let parametricBands = currentSettings.parametricBands || [];
+  if (eqMode === 'parametric' && parametricBands.length === 0) {
+    // Start the parametric editor from the current graphic EQ curve
+    parametricBands = getGraphicEqBands(currentSettings);
+  }
+  sendSettingsUpdate({ ...currentSettings, eqMode, parametricBands });
+  updateEqModeUI();
+});
+
+// Parametric EQ: add a band
+addBandButton.addEventListener('click', () => {
+  const bands = currentSettings.parametricBands || [];
+  if (bands.length >= MAX_PARAMETRIC_BANDS) return;
+  sendParametricBandsUpdate([...bands, normalizeEqBand({ type: 'peaking', frequency: 1000, Q: 1, gain: 0 })]);
+  renderParametricBands();
+});
+
+// Recording controls. The recorder runs in the offscreen document; its state comes back with the meter frames.
+recordButton.addEventListener('click', () => {
+  sendTabCommand({ type: 'start-recording', format: recordingFormatSelect.value }, 'Error starting recording');
+});
+pauseRecordingButton.addEventListener('click', () => {
+  const type = recordingState === 'paused' ? 'resume-recording' : 'pause-recording';
+  sendTabCommand({ type }, 'Error pausing recording');
+});
+stopRecordingButton.addEventListener('click', () => {
+  sendTabCommand({ type: 'stop-recording' }, 'Error stopping recording');
+});
+
+// Clicking the level meters resets the clip indicators
+levelCanvas.addEventListener('click', () => {
+  clipUntil.fill(0);
+});
+
+// "Remember for this site" checkbox
+rememberSiteCheckbox.addEventListener('change', () => {
+  if (!currentTabId) return;
+  sendMessageToBackground({ type: 'remember-site', tabId: currentTabId, remember: rememberSiteCheckbox.checked })
+    .then(response => {
+      if (response) {
+        applySettingsResponse(response);
+      }
+    })
+    .catch(error => {
+      handleError(`Error remembering settings: ${error.message}`);
+      rememberSiteCheckbox.checked = !rememberSiteCheckbox.checked;
+    });
+});
+
+// "Use as default for all sites" button
+saveDefaultButton.addEventListener('click', () => {
+  if (!currentTabId) return;
+  sendMessageToBackground({ type: 'save-default-settings', tabId: currentTabId })
+    .then(() => {
+      statusDiv.textContent = 'Saved as default for all sites.';
+    })
+    .catch(error => handleError(`Error saving defaults: ${error.message}`));
+});
+
+// "Reset to defaults" button
+resetSettingsButton.addEventListener('click', () => {
+  if (!currentTabId) return;
+  sendMessageToBackground({ type: 'reset-settings', tabId: currentTabId })
+    .then(response => {
+      if (response) {
+        applySettingsResponse(response);
+      }
+    })
+    .catch(error => handleError(`Error resetting settings: ${error.message}`));
+});
+
+// Preset picker
+presetSelect.addEventListener('change', () => {
+  if (!currentTabId) return;
+  const presetId = presetSelect.value;
+  if (!presetId) {
+    // "(Custom)" keeps the current values but detaches them from any preset
+    sendSettingsUpdate({ ...currentSettings, presetId: null });
+    return;
+  }
+  sendMessageToBackground({ type: 'apply-preset', tabId: currentTabId, presetId: presetId })
+    .then(response => {
+      if (response) {
+        applySettingsResponse(response);
+      }
+    })
+    .catch(error => handleError(`Error applying preset: ${error.message}`));
+});
+
+// Save current settings as a new preset
+savePresetButton.addEventListener('click', () => {
+  sendPresetRequest({ type: 'save-preset', name: presetNameInput.value, settings: currentSettings })
+    .then(response => {
+      if (!response) return;
+      presetNameInput.value = '';
+      sendSettingsUpdate({ ...currentSettings, presetId: response.preset.id });
+    });
+});
+
+// Rename the selected user preset
+renamePresetButton.addEventListener('click', () => {
+  sendPresetRequest({ type: 'rename-preset', presetId: currentSettings.presetId, name: presetNameInput.value })
+    .then(response => {
+      if (response) presetNameInput.value = '';
+    });
+});
+
+// Overwrite the selected user preset with the current settings
+overwritePresetButton.addEventListener('click', () => {
+  sendPresetRequest({ type: 'overwrite-preset', presetId: currentSettings.presetId, settings: currentSettings });
+});
+
+// Delete the selected user preset
+deletePresetButton.addEventListener('click', () => {
+  sendPresetRequest({ type: 'delete-preset', presetId: currentSettings.presetId })
+    .then(response => {
+      if (response) sendSettingsUpdate({ ...currentSettings, presetId: null });
+    });
+});
+
+// Export the current settings (see eq-formats.js)
+exportApoButton.addEventListener('click', () => exportParametricEq(currentSettings, getExportName()));
+exportJsonButton.addEventListener('click', () => exportSettingsJson(currentSettings, getExportName()));
+
+// Importing opens the options page, which keeps working while the file chooser is open
+openOptionsButton.addEventListener('click', () => chrome.runtime.openOptionsPage());
+// The mixer lists every tab being processed
+openMixerButton.addEventListener('click', () => chrome.tabs.create({ url: chrome.runtime.getURL('mixer.html') }));
+
 // --- UI Update Functions ---
-// Updates the main toggle button and status text, enables/disables settings controls
-function updateUI(status) {
+// Updates the main toggle button and status text, enables/disables settings controls.
+// lastError explains why an inactive filter stopped (e.g. the tab stream ended and could not be restarted).
+function updateUI(status, lastError = null) {
   console.log("Updating UI for status:", status);
   let settingsEnabled = false;
   switch (status) {
@@ -131,7 +575,7 @@ function updateUI(status) {
       break;
     case 'inactive':
       toggleButton.textContent = 'Start Filter';
-      statusDiv.textContent = 'Filter is inactive.';
+      statusDiv.textContent = lastError ? `Filter stopped: ${lastError}` : 'Filter is inactive.';
       toggleButton.disabled = false;
       settingsEnabled = false;
       break;
@@ -141,6 +585,13 @@ function updateUI(status) {
       toggleButton.disabled = true;
       settingsEnabled = false;
       break;
+    case 'reconnecting':
+      // The tab stream ended; background restarts capture with the same settings. Stopping cancels it.
+      toggleButton.textContent = 'Stop Filter';
+      statusDiv.textContent = 'Audio stream ended, reconnecting...';
+      toggleButton.disabled = false;
+      settingsEnabled = false;
+      break;
     case 'stopping':
       toggleButton.textContent = 'Stopping...';
       statusDiv.textContent = 'Filter is stopping...';
@@ -153,27 +604,332 @@ function updateUI(status) {
       toggleButton.disabled = false;
       settingsEnabled = false;
   }
+  // Stream meters only while the filter is running
+  if (status === 'active') {
+    connectMeters();
+  } else {
+    disconnectMeters();
+  }
   // Enable/disable settings controls based on filter status
   const voiceEnhancementEnabled = settingsEnabled && currentSettings.voiceEnhancementEnabled;
+  volumeSlider.disabled = !settingsEnabled;
+  mixSlider.disabled = !settingsEnabled;
+  bypassButton.disabled = !settingsEnabled;
+  if (!settingsEnabled) updateBypassUI(false);
   voiceEnhancementCheckbox.disabled = !settingsEnabled;
   noiseCancelCheckbox.disabled = !settingsEnabled;
   normalizeCheckbox.disabled = !settingsEnabled;
-  eqSliders.forEach(slider => slider.disabled = settingsEnabled && voiceEnhancementEnabled);
+  loudnessTargetSelect.disabled = !settingsEnabled;
+  truePeakCeilingSelect.disabled = !settingsEnabled;
+  dialogueCheckbox.disabled = !settingsEnabled;
+  dialogueAmountSlider.disabled = !settingsEnabled;
+  dialogueDuckSlider.disabled = !settingsEnabled;
+  if (!settingsEnabled) dialogueStatusDiv.textContent = '';
+  setDynamicsControlsDisabled(!settingsEnabled);
+  setStereoControlsDisabled(!settingsEnabled);
+  spectralDenoiseCheckbox.disabled = !settingsEnabled;
+  spectralDenoiseSlider.disabled = !settingsEnabled;
+  learnNoiseButton.disabled = !settingsEnabled;
+  clearNoiseButton.disabled = !settingsEnabled;
+  if (!settingsEnabled) noiseSuppressorStatusDiv.textContent = '';
+  setHumControlsDisabled(!settingsEnabled);
+  if (!settingsEnabled) humStatusDiv.textContent = '';
+  setEqControlsDisabled(settingsEnabled && voiceEnhancementEnabled);
+}
+
+function setHumControlsDisabled(disabled) {
+  humRemovalCheckbox.disabled = disabled;
+  humFrequencySelect.disabled = disabled;
+  HUM_SLIDERS.forEach(control => control.slider.disabled = disabled);
+}
+
+// Enables/disables the graphic sliders and the parametric band editor together
+function setEqControlsDisabled(disabled) {
+  eqControlsDisabled = disabled;
+  eqSliders.forEach(slider => slider.disabled = disabled);
+  eqPreampSlider.disabled = disabled;
+  eqModeSelect.disabled = disabled;
+  parametricEqDiv.querySelectorAll('input, select, button').forEach(control => {
+    control.disabled = disabled;
+  });
+  if (!disabled) {
+    addBandButton.disabled = (currentSettings.parametricBands || []).length >= MAX_PARAMETRIC_BANDS;
+    updateBandInputsDisabled();
+  }
 }
 
 // Updates the checkboxes and sliders based on settings received from background
 function updateSettingsUI(settings) {
   console.log("Updating settings UI:", settings);
   voiceEnhancementCheckbox.checked = settings.voiceEnhancementEnabled ?? true;
+  volumeSlider.value = settings.masterVolumeDb ?? 0;
+  updateVolumeValue();
+  mixSlider.value = settings.wetDryMix ?? 100;
+  updateMixValue();
   noiseCancelCheckbox.checked = settings.noiseCancelEnabled ?? false; // Default to false if undefined
   normalizeCheckbox.checked = settings.normalizeEnabled ?? false; // Default to false if undefined
+  loudnessTargetSelect.value = settings.loudnessTarget ?? defaultSettings.loudnessTarget;
+  truePeakCeilingSelect.value = settings.truePeakCeiling ?? defaultSettings.truePeakCeiling;
+  dialogueCheckbox.checked = settings.dialogueEnabled ?? false;
+  dialogueAmountSlider.value = settings.dialogueAmount ?? defaultSettings.dialogueAmount;
+  dialogueDuckSlider.value = settings.dialogueDuckDepth ?? defaultSettings.dialogueDuckDepth;
+  updateDialogueValues();
+  stereoBalanceSlider.value = settings.stereoBalance ?? 0;
+  stereoWidthSlider.value = settings.stereoWidth ?? 100;
+  stereoMonoCheckbox.checked = settings.stereoMono ?? false;
+  stereoSwapCheckbox.checked = settings.stereoSwap ?? false;
+  updateStereoValues();
+  gateCheckbox.checked = settings.gateEnabled ?? false;
+  gateSidechainHpfCheckbox.checked = settings.gateSidechainHpf ?? defaultSettings.gateSidechainHpf;
+  deEsserCheckbox.checked = settings.deEsserEnabled ?? false;
+  plosiveCheckbox.checked = settings.plosiveEnabled ?? false;
+  compressorCheckbox.checked = settings.compressorEnabled ?? false;
+  limiterCheckbox.checked = settings.limiterEnabled ?? false;
+  DYNAMICS_SLIDERS.forEach(control => {
+    control.slider.value = (settings[control.key] ?? defaultSettings[control.key]) * control.scale;
+    updateDynamicsValue(control);
+  });
+  spectralDenoiseCheckbox.checked = settings.spectralDenoiseEnabled ?? false;
+  spectralDenoiseSlider.value = settings.spectralDenoiseReduction ?? defaultSettings.spectralDenoiseReduction;
+  spectralDenoiseValue.textContent = `${spectralDenoiseSlider.value} dB`;
+  humRemovalCheckbox.checked = settings.humRemovalEnabled ?? false;
+  humFrequencySelect.value = settings.humFrequency ?? defaultSettings.humFrequency;
+  HUM_SLIDERS.forEach(control => {
+    control.slider.value = settings[control.key] ?? defaultSettings[control.key];
+    control.value.textContent = control.format(control.slider.value);
+  });
 
-  for (let i = 0; i < 10; i++) {
+  for (let i = 0; i < GRAPHIC_EQ_FREQUENCIES.length; i++) {
     const slider = eqSliders[i];
     const valueSpan = eqValueSpans[i];
     const gainKey = `eq${i + 1}Gain`;
     updateSliderUI(slider, valueSpan, settings[gainKey] ?? 0);
   }
+  updateSliderUI(eqPreampSlider, eqPreampValue, settings.eqPreampDb ?? 0);
+  updateEqModeUI();
+  updatePresetUI();
+  scheduleResponseUpdate(currentSettings);
+}
+
+// Shows the master volume as dB and percent; the bottom of the range mutes
+function updateVolumeValue() {
+  const volumeDb = Number(volumeSlider.value);
+  if (volumeDb <= MASTER_VOLUME_MIN_DB) {
+    volumeValue.textContent = 'Mute';
+    return;
+  }
+  const percent = Math.round(100 * Math.pow(10, volumeDb / 20));
+  volumeValue.textContent = `${volumeDb > 0 ? '+' : ''}${volumeDb} dB (${percent}%)`;
+  volumeValue.title = volumeDb > 0 ? 'The limiter is engaged automatically while boosting.' : '';
+}
+
+// Shows the mix as the share of processed audio
+function updateMixValue() {
+  const mix = Number(mixSlider.value);
+  mixValue.textContent = mix >= 100 ? '100% wet' : mix <= 0 ? 'Dry only' : `${mix}% wet`;
+}
+
+// Reflects the bypass state of the current tab (also toggled by the keyboard shortcut)
+function updateBypassUI(bypass) {
+  bypassed = !!bypass;
+  bypassButton.classList.toggle('on', bypassed);
+  bypassButton.textContent = bypassed ? 'Bypassed: original audio (A/B)' : 'Bypass (A/B)';
+}
+
+// Enables/disables the stereo controls. Width has no effect while mono is on.
+function setStereoControlsDisabled(disabled) {
+  stereoBalanceSlider.disabled = disabled;
+  stereoWidthSlider.disabled = disabled || stereoMonoCheckbox.checked;
+  stereoMonoCheckbox.disabled = disabled;
+  stereoSwapCheckbox.disabled = disabled;
+}
+
+// Shows the balance as "Center", "L 30" or "R 30", and the stereo width in percent
+function updateStereoValues() {
+  const balance = Number(stereoBalanceSlider.value);
+  stereoBalanceValue.textContent = balance === 0 ? 'Center' : `${balance < 0 ? 'L' : 'R'} ${Math.abs(balance)}`;
+  stereoWidthValue.textContent = stereoMonoCheckbox.checked ? 'Mono' : `${stereoWidthSlider.value}%`;
+  stereoWidthSlider.disabled = stereoBalanceSlider.disabled || stereoMonoCheckbox.checked;
+}
+
+// Enables/disables the compressor and limiter controls
+function setDynamicsControlsDisabled(disabled) {
+  gateCheckbox.disabled = disabled;
+  gateSidechainHpfCheckbox.disabled = disabled;
+  deEsserCheckbox.disabled = disabled;
+  plosiveCheckbox.disabled = disabled;
+  if (disabled) sibilanceStatusDiv.textContent = '';
+  compressorCheckbox.disabled = disabled;
+  limiterCheckbox.disabled = disabled;
+  DYNAMICS_SLIDERS.forEach(control => control.slider.disabled = disabled);
+}
+
+// Shows the value of a compressor/limiter slider with its unit
+function updateDynamicsValue(control) {
+  control.valueSpan.textContent = `${Number(control.slider.value)} ${control.unit}`;
+}
+
+// Redraws the frequency response graph on the next animation frame
+function scheduleResponseUpdate(settings) {
+  const alreadyScheduled = pendingResponseSettings !== null;
+  pendingResponseSettings = settings;
+  if (alreadyScheduled) return;
+  requestAnimationFrame(() => {
+    drawFrequencyResponse(responseCanvas, pendingResponseSettings);
+    pendingResponseSettings = null;
+  });
+}
+
+// Shows the graphic sliders or the parametric editor depending on the EQ mode
+function updateEqModeUI() {
+  const parametric = currentSettings.eqMode === 'parametric';
+  eqModeSelect.value = parametric ? 'parametric' : 'graphic';
+  graphicEqDiv.hidden = parametric;
+  parametricEqDiv.hidden = !parametric;
+  if (parametric) {
+    renderParametricBands();
+  }
+}
+
+// Rebuilds the parametric band editor from the current settings
+function renderParametricBands() {
+  const bands = getEqBandsForSettings({ ...currentSettings, eqMode: 'parametric' });
+  parametricBandList.replaceChildren(...bands.map((band, i) => createParametricBandRow(band, i)));
+  setEqControlsDisabled(eqControlsDisabled);
+}
+
+// Creates the controls for one parametric band: type, frequency, Q, gain and remove
+function createParametricBandRow(band, index) {
+  const row = document.createElement('div');
+  row.className = 'parametric-band';
+  row.dataset.index = index;
+
+  const typeSelect = document.createElement('select');
+  PARAMETRIC_FILTER_TYPES.forEach(type => typeSelect.appendChild(new Option(FILTER_TYPE_LABELS[type], type)));
+  typeSelect.value = band.type;
+  typeSelect.addEventListener('change', () => {
+    updateParametricBand(index, { type: typeSelect.value });
+    updateBandInputsDisabled();
+  });
+
+  const removeButton = document.createElement('button');
+  removeButton.className = 'remove-band';
+  removeButton.textContent = '\u00d7';
+  removeButton.title = 'Remove band';
+  removeButton.addEventListener('click', () => {
+    const bands = [...(currentSettings.parametricBands || [])];
+    bands.splice(index, 1);
+    sendParametricBandsUpdate(bands);
+    renderParametricBands();
+  });
+
+  const header = document.createElement('div');
+  header.append(`Band ${index + 1} `, typeSelect, removeButton);
+
+  const createNumberInput = (field, value, min, max, step, unit) => {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = min;
+    input.max = max;
+    input.step = step;
+    input.value = value;
+    input.dataset.field = field;
+    input.addEventListener('input', () => {
+      const bands = [...(currentSettings.parametricBands || [])];
+      bands[index] = normalizeEqBand({ ...bands[index], [field]: Number(input.value) });
+      scheduleResponseUpdate({ ...currentSettings, parametricBands: bands });
+    });
+    input.addEventListener('change', () => {
+      const normalized = updateParametricBand(index, { [field]: Number(input.value) });
+      input.value = normalized[field]; // Show the clamped value
+    });
+    const label = document.createElement('label');
+    label.append(input, unit ? ` ${unit} ` : ' ');
+    return label;
+  };
+
+  const params = document.createElement('div');
+  params.append(
+    createNumberInput('frequency', band.frequency, EQ_FREQUENCY_MIN, EQ_FREQUENCY_MAX, 1, 'Hz'),
+    'Q ', createNumberInput('Q', band.Q, EQ_Q_MIN, EQ_Q_MAX, 0.1, ''),
+    createNumberInput('gain', band.gain, EQ_GAIN_MIN, EQ_GAIN_MAX, 0.5, 'dB')
+  );
+
+  row.append(header, params);
+  return row;
+}
+
+// Gain has no effect on pass and notch filters and Q has none on shelves, so disable those inputs
+function updateBandInputsDisabled() {
+  parametricBandList.querySelectorAll('.parametric-band').forEach(row => {
+    const type = row.querySelector('select').value;
+    row.querySelector('input[data-field="gain"]').disabled = eqControlsDisabled || !GAIN_FILTER_TYPES.includes(type);
+    row.querySelector('input[data-field="Q"]').disabled = eqControlsDisabled || !Q_FILTER_TYPES.includes(type);
+  });
+}
+
+// Applies a change to one parametric band and sends the updated band list. Returns the normalized band.
+function updateParametricBand(index, changes) {
+  const bands = [...(currentSettings.parametricBands || [])];
+  bands[index] = normalizeEqBand({ ...bands[index], ...changes });
+  sendParametricBandsUpdate(bands);
+  return bands[index];
+}
+
+function sendParametricBandsUpdate(parametricBands) {
+  sendSettingsUpdate({ ...currentSettings, parametricBands });
+}
+
+// Name used for exported files: the selected preset, or "Custom"
+function getExportName() {
+  const preset = presets.find(p => p.id === currentSettings.presetId);
+  return preset ? preset.name : 'Custom';
+}
+
+// Rebuilds the preset picker options from the preset list
+function renderPresetOptions() {
+  presetSelect.replaceChildren(new Option('(Custom)', ''));
+  const groups = [
+    { label: 'Built-in', presets: presets.filter(preset => preset.builtIn) },
+    { label: 'My presets', presets: presets.filter(preset => !preset.builtIn) },
+  ];
+  groups.forEach(group => {
+    if (group.presets.length === 0) return;
+    const optgroup = document.createElement('optgroup');
+    optgroup.label = group.label;
+    group.presets.forEach(preset => optgroup.appendChild(new Option(preset.name, preset.id)));
+    presetSelect.appendChild(optgroup);
+  });
+  updatePresetUI();
+}
+
+// Selects the current preset, shows the "modified" marker and enables the edit buttons
+function updatePresetUI() {
+  const preset = presets.find(p => p.id === currentSettings.presetId) || null;
+  presetSelect.value = preset ? preset.id : '';
+  presetModifiedSpan.hidden = !preset || !isPresetModified(preset, currentSettings);
+  const editable = !!preset && !preset.builtIn;
+  renamePresetButton.disabled = !editable;
+  overwritePresetButton.disabled = !editable;
+  deletePresetButton.disabled = !editable;
+}
+
+// Stores a { settings, source, origin } response from background and refreshes the UI
+function applySettingsResponse(response) {
+  currentSettings = response.settings;
+  updateSettingsUI(response.settings);
+  updatePersistenceUI(response.source, response.origin);
+}
+
+// Updates the "remember for this site" checkbox based on where the settings came from
+function updatePersistenceUI(source, origin) {
+  rememberSiteCheckbox.checked = source === 'site';
+  rememberSiteCheckbox.disabled = !origin;
+  rememberSiteCheckbox.title = origin ? `Save these settings for ${origin}` : 'This page has no site origin.';
+}
+function updateDialogueValues() {
+  dialogueAmountValue.textContent = `${dialogueAmountSlider.value}%`;
+  dialogueDuckValue.textContent = `-${dialogueDuckSlider.value} dB`;
 }
 
 // Helper to update a single slider and its value display
@@ -188,32 +944,193 @@ function updateEqValue(frequency, slider, valueSpan) {
   valueSpan.textContent = `${slider.value} dB`;
 }
 
+// --- Meters ---
+// Opens the meter port to the offscreen document. The port closes with the popup,
+// which stops the stream on the offscreen side.
+function connectMeters() {
+  if (meterPort || !currentTabId) return;
+  meterPort = chrome.runtime.connect({ name: `meter:${currentTabId}` });
+  monitorDiv.hidden = false;
+
+  meterPort.onMessage.addListener((frame) => {
+    if (frame.type === 'meter-frame') {
+      frame.levels.forEach((level, channel) => {
+        if (level.clipped) clipUntil[channel] = Date.now() + CLIP_HOLD_MS;
+      });
+      drawSpectrum(spectrumCanvas, frame);
+      drawLevelMeters(levelCanvas, frame.levels, clipUntil);
+      updateNoiseSuppressorStatus(frame.noiseSuppressor);
+      updateDialogueStatus(frame.dialogue);
+      updateHumStatus(frame.hum);
+      updateLoudnessReadout(frame.loudness);
+      updateDuckingStatus(frame.ducking);
+      drawGainReduction(gainReductionCanvas, frame.gainReduction);
+      updateSibilanceStatus(frame.gainReduction);
+      updateRecordingUI(frame.recording);
+    } else if (frame.type === 'meter-inactive') {
+      drawSpectrum(spectrumCanvas, null);
+      drawLevelMeters(levelCanvas, null, clipUntil);
+      drawGainReduction(gainReductionCanvas, null);
+      updateDuckingStatus(null);
+      updateRecordingUI({ state: 'idle', error: null });
+    }
+  });
+  meterPort.onDisconnect.addListener(() => {
+    // The offscreen document went away (or was not there yet)
+    void chrome.runtime.lastError;
+    meterPort = null;
+    monitorDiv.hidden = true;
+  });
+}
+
+// Updates the recording buttons and timer from the recorder state
+function updateRecordingUI(recording) {
+  if (!recording) return;
+  recordingState = recording.state;
+  const active = recording.state === 'recording' || recording.state === 'paused';
+  recordButton.disabled = recording.state !== 'idle';
+  recordingFormatSelect.disabled = recording.state !== 'idle';
+  pauseRecordingButton.disabled = !active;
+  pauseRecordingButton.textContent = recording.state === 'paused' ? 'Resume' : 'Pause';
+  stopRecordingButton.disabled = !active;
+
+  if (recording.state === 'idle') {
+    recordingTimer.classList.remove('recording');
+    recordingStatusDiv.textContent = recording.error ? `Recording failed: ${recording.error}` : '';
+    return;
+  }
+  const totalSeconds = Math.floor(recording.elapsedMs / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  recordingTimer.textContent = `${minutes}:${String(totalSeconds % 60).padStart(2, '0')}`;
+  recordingTimer.classList.toggle('recording', recording.state === 'recording');
+  recordingStatusDiv.textContent = {
+    recording: `Recording ${recording.format.toUpperCase()}...`,
+    paused: 'Paused',
+    saving: 'Saving to Downloads...',
+  }[recording.state];
+}
+
+// Shows the measured output loudness, the normalization gain and the true peak
+function updateLoudnessReadout(loudness) {
+  if (!loudness || !loudness.output) {
+    loudnessReadout.textContent = '';
+    return;
+  }
+  const format = (value) => (value <= -70 ? '-inf' : value.toFixed(1));
+  const signed = (value) => `${value > 0 ? '+' : ''}${value.toFixed(1)}`;
+  const { momentary, shortTerm, integrated } = loudness.output;
+  let text = `M ${format(momentary)} / S ${format(shortTerm)} / I ${format(integrated)} LUFS` +
+    `, TP ${format(loudness.truePeakDb)} dBTP`;
+  if (currentSettings.voiceEnhancementEnabled && currentSettings.normalizeEnabled) {
+    text += `, gain ${signed(loudness.gainDb)} dB`;
+    if (loudness.limiterDb < -0.05) text += ` (ceiling ${signed(loudness.limiterDb)} dB)`;
+  }
+  loudnessReadout.textContent = text;
+}
+
+// Shows this tab's auto-ducking role and whether it is ducking other tabs or being ducked
+function updateDuckingStatus(ducking) {
+  if (!ducking || ducking.role === 'none') {
+    duckingStatusDiv.textContent = '';
+    return;
+  }
+  if (ducking.role === 'primary') {
+    duckingStatusDiv.textContent = `Auto-ducking: primary tab, ${ducking.active ? 'playing (background tabs ducked)' : 'quiet'}`;
+  } else {
+    duckingStatusDiv.textContent = `Auto-ducking: background tab, ${ducking.ducked ? `ducked -${ducking.depthDb} dB` : 'not ducked'}`;
+  }
+}
+
+// Shows whether the noise suppressor is learning, using a learned profile or estimating adaptively
+function updateNoiseSuppressorStatus(status) {
+  if (!status) return;
+  let text;
+  if (status.learning) {
+    text = `Learning noise profile… ${Math.round(status.progress * 100)}%`;
+  } else if (!currentSettings.spectralDenoiseEnabled) {
+    text = status.hasProfile ? 'Off (noise profile learned)' : 'Off';
+  } else {
+    const mode = status.hasProfile ? 'Using learned profile' : 'Adaptive';
+    text = `${mode}, reducing ${status.reductionDb.toFixed(1)} dB`;
+  }
+  noiseSuppressorStatusDiv.textContent = text;
+  learnNoiseButton.disabled = status.learning;
+  clearNoiseButton.disabled = status.learning || !status.hasProfile;
+}
+
+// Shows the mains frequency found by auto-detection
+function updateHumStatus(hum) {
+  if (!hum) return;
+  if (!currentSettings.humRemovalEnabled) {
+    humStatusDiv.textContent = '';
+  } else if (currentSettings.humFrequency !== 'auto') {
+    humStatusDiv.textContent = `Removing ${currentSettings.humFrequency} Hz hum`;
+  } else if (hum.detectedFrequency) {
+    humStatusDiv.textContent = `Detected ${hum.detectedFrequency} Hz hum, removing`;
+  } else {
+    humStatusDiv.textContent = 'Listening for hum… (none detected yet)';
+  }
+}
+
+// Shows whether speech is detected and how much boost and ducking is applied right now
+function updateDialogueStatus(status) {
+  if (!status) return;
+  if (!currentSettings.dialogueEnabled) {
+    dialogueStatusDiv.textContent = '';
+    return;
+  }
+  const state = status.speech ? 'Speech detected' : 'No speech';
+  dialogueStatusDiv.textContent = `${state}, dialogue +${status.boostDb.toFixed(1)} dB, ambience -${status.duckDb.toFixed(1)} dB`;
+}
+
+// Shows the level of the sibilance band next to the de-esser threshold, so the threshold can be set by ear and eye
+function updateSibilanceStatus(gainReduction) {
+  if (!gainReduction) return;
+  if (!currentSettings.deEsserEnabled) {
+    sibilanceStatusDiv.textContent = '';
+    return;
+  }
+  const level = Math.max(gainReduction.sibilanceDb, -99);
+  const threshold = currentSettings.deEsserThreshold ?? defaultSettings.deEsserThreshold;
+  const state = level > threshold ? 'Sibilance detected' : 'No sibilance';
+  sibilanceStatusDiv.textContent = `${state} (${level.toFixed(0)} dB, threshold ${threshold} dB)`;
+}
+
+function disconnectMeters() {
+  if (meterPort) {
+    meterPort.disconnect();
+    meterPort = null;
+  }
+  monitorDiv.hidden = true;
+}
+
 // --- Communication Functions ---
-// Helper function to send messages to background script and handle potential errors
+// Sends a request to the background script (messaging.js).
+// Resolves with the reply, or null if the background is not reachable; errors reported by the background reject with a MessagingError.
 function sendMessageToBackground(message) {
-  return new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage(message, (response) => {
-      if (chrome.runtime.lastError) {
-        // Handle specific errors like "Receiving end does not exist"
-        if (chrome.runtime.lastError.message.includes("Receiving end does not exist")) {
-          console.warn("Background script not ready or popup closed.");
-          // Resolve with null or a specific indicator if needed, or reject
-          resolve(null); // Or reject(new Error("Background not available"));
-        } else {
-          reject(chrome.runtime.lastError);
-        }
-      } else {
-        resolve(response);
-      }
-    });
+  return sendRequest(MESSAGE_TARGETS.background, message).catch(error => {
+    if (error.code === MESSAGING_ERROR_CODES.noReceiver) {
+      console.warn("Background script not ready or popup closed.");
+      return null;
+    }
+    throw error;
   });
 }
 
+// True for requests the background received and rejected (e.g. "Preset not found"), as opposed to ones that got no reply
+function isRejectedRequest(error) {
+  return error instanceof MessagingError &&
+    error.code !== MESSAGING_ERROR_CODES.timeout &&
+    error.code !== MESSAGING_ERROR_CODES.protocolMismatch;
+}
+
 // Sends the complete settings object to the background
 function sendSettingsUpdate(newSettings) {
   if (!currentTabId) return;
   console.log("Sending settings update:", newSettings);
   currentSettings = newSettings; // Optimistically update local state
+  updatePresetUI();
+  scheduleResponseUpdate(newSettings);
   sendMessageToBackground({ type: 'update-settings', tabId: currentTabId, settings: newSettings })
     .catch(error => handleError(`Error updating settings: ${error.message}`));
     // No need to update UI here, assuming background confirms or sends update if needed
@@ -228,14 +1145,58 @@ function sendEqUpdate(gainKey, value) {
   sendSettingsUpdate(newSettings); // Send the whole updated settings object
 }
 
+// Asks background to start learning or clear the noise profile of the current tab
+function sendNoiseProfileRequest(type) {
+  sendTabCommand({ type }, 'Error updating noise profile');
+}
+
+// Sends a command for the running pipeline of the current tab (forwarded to the offscreen document)
+function sendTabCommand(message, errorPrefix) {
+  if (!currentTabId) return;
+  sendMessageToBackground({ ...message, tabId: currentTabId })
+    .catch(error => {
+      if (isRejectedRequest(error)) {
+        statusDiv.textContent = `Error: ${error.message}`;
+      } else {
+        handleError(`${errorPrefix}: ${error.message}`);
+      }
+    });
+}
+
+// Fetches the preset list from background and refreshes the picker
+function loadPresets() {
+  return sendMessageToBackground({ type: 'get-presets' })
+    .then(response => {
+      if (response && response.presets) {
+        presets = response.presets;
+        renderPresetOptions();
+      }
+    })
+    .catch(error => handleError(`Error loading presets: ${error.message}`));
+}
+
+// Sends a preset management request, reports errors and reloads the preset list on success.
+// Resolves with the response, or null if the request failed.
+function sendPresetRequest(message) {
+  return sendMessageToBackground(message)
+    .then(response => loadPresets().then(() => response))
+    .catch(error => {
+      if (isRejectedRequest(error)) {
+        statusDiv.textContent = `Error: ${error.message}`;
+      } else {
+        handleError(`Error managing presets: ${error.message}`);
+      }
+      return null;
+    });
+}
+
 // Fetches current settings from background and updates UI
 function fetchAndUpdateSettings() {
     if (!currentTabId) return;
     sendMessageToBackground({ type: 'get-settings', tabId: currentTabId })
         .then(settingsResponse => {
-            if (settingsResponse) {
-                currentSettings = settingsResponse;
-                updateSettingsUI(settingsResponse);
+            if (settingsResponse && settingsResponse.settings) {
+                applySettingsResponse(settingsResponse);
             } else {
                 console.warn("Could not fetch settings after status change.");
             }
@@ -243,6 +1204,18 @@ function fetchAndUpdateSettings() {
         .catch(error => handleError(`Error fetching settings: ${error.message}`));
 }
 
+// Re-reads the bypass state, which the keyboard shortcut can change while the popup is open
+function fetchBypassState() {
+  if (!currentTabId) return;
+  sendMessageToBackground({ type: 'get-status', tabId: currentTabId })
+    .then(statusResponse => {
+      if (statusResponse && statusResponse.status === 'active') {
+        updateBypassUI(statusResponse.bypass);
+      }
+    })
+    .catch(error => console.warn("Could not fetch the bypass state:", error));
+}
+
 // Re-fetches status after a delay if no response was received
 function refetchStatusAfterDelay(previousStatus) {
   statusDiv.textContent = 'Processing... (waiting for confirmation)';
@@ -251,7 +1224,7 @@ function refetchStatusAfterDelay(previousStatus) {
     sendMessageToBackground({ type: 'get-status', tabId: currentTabId })
       .then(statusResponse => {
         if (statusResponse) {
-          updateUI(statusResponse.status);
+          updateUI(statusResponse.status, statusResponse.error);
           // Fetch settings as well if now active
           if (statusResponse.status === 'active') {
               fetchAndUpdateSettings();
@@ -273,32 +1246,45 @@ function handleError(message, revertStatus = null) {
     updateUI(revertStatus); // Attempt to revert UI to previous state
   }
   // Optionally disable settings controls on error too
+  volumeSlider.disabled = true;
+  mixSlider.disabled = true;
+  bypassButton.disabled = true;
   noiseCancelCheckbox.disabled = true;
   normalizeCheckbox.disabled = true;
-  eqSliders.forEach(slider => slider.disabled = true);
+  loudnessTargetSelect.disabled = true;
+  truePeakCeilingSelect.disabled = true;
+  dialogueCheckbox.disabled = true;
+  dialogueAmountSlider.disabled = true;
+  dialogueDuckSlider.disabled = true;
+  setDynamicsControlsDisabled(true);
+  setStereoControlsDisabled(true);
+  setHumControlsDisabled(true);
+  setEqControlsDisabled(true);
 }
 
 
-// --- Background Message Listener (Optional but good practice) ---
+// --- Background Notifications ---
 // Listens for status updates pushed from the background (e.g., if processing stops unexpectedly)
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  // Ensure message is from the background script (check sender.id or a specific property)
-  if (sender.id !== chrome.runtime.id) return false;
-
-  if (message.type === 'status-update' && message.tabId === currentTabId) {
+addNotificationHandlers({
+  'status-update': (message) => {
+    if (message.tabId !== currentTabId) return;
     console.log("Received status update from background:", message.status);
-    updateUI(message.status);
-    // Fetch settings if status changed to active
+    updateUI(message.status, message.error);
+    // Fetch settings if status changed to active; a restarted capture keeps its bypass state
     if (message.status === 'active') {
         fetchAndUpdateSettings();
+        fetchBypassState();
     }
-  } else if (message.type === 'settings-update' && message.tabId === currentTabId) {
-      // If background pushes settings updates (e.g., after loading defaults)
-      console.log("Received settings update from background:", message.settings);
-      currentSettings = message.settings;
-      updateSettingsUI(message.settings);
-  }
-  return false; // Allow other listeners to process
+  },
+  // Mixer state (mute, solo, bypass) changed in background
+  'mixer-update': () => fetchBypassState(),
+  'settings-update': (message) => {
+    if (message.tabId !== currentTabId) return;
+    // If background pushes settings updates (e.g., after loading defaults or from the mixer)
+    console.log("Received settings update from background:", message.settings);
+    currentSettings = message.settings;
+    updateSettingsUI(message.settings);
+  },
 });
 
 console.log("Popup script loaded.");
\ No newline at end of file
@@ -0,0 +1,221 @@
+// presets.js
+
+// 名前付きプリセットのライブラリ
+// background.js (importScripts) と popup.html (<script>) の両方から読み込む
+// - 組み込みプリセット: BUILT_IN_PRESETS (編集・削除不可)
+// - ユーザープリセット: chrome.storage.local に配列として保存
+
+const USER_PRESETS_KEY = 'userPresets';
+
+// プリセットに含めない設定項目 (タブの状態を表すもの)
+const NON_PRESET_SETTING_KEYS = ['presetId', 'masterVolumeDb', 'urlRuleId'];
+
+// 10 バンド EQ のゲイン配列を設定オブジェクトの形 (eqMode, eq1Gain ... eq10Gain) に変換する
+function eqGainsToSettings(gains) {
+  const settings = { eqMode: 'graphic', eqPreampDb: 0 };
+  gains.forEach((gain, i) => {
+    settings[`eq${i + 1}Gain`] = gain;
+  });
+  return settings;
+}
+
+// 組み込みプリセット (EQ は 31, 62, 125, 250, 500, 1k, 2k, 4k, 8k, 16k Hz)
+const BUILT_IN_PRESETS = [
+  {
+    id: 'builtin:flat',
+    name: 'Flat',
+    builtIn: true,
+    settings: {
+      voiceEnhancementEnabled: false,
+      dialogueEnabled: false,
+      noiseCancelEnabled: false,
+      humRemovalEnabled: false,
+      normalizeEnabled: false,
+      deEsserEnabled: false,
+      plosiveEnabled: false,
+      ...eqGainsToSettings([0, 0, 0, 0, 0, 0, 0, 0, 0, 0]),
+    },
+  },
+  {
+    id: 'builtin:podcast',
+    name: 'Podcast/Speech',
+    builtIn: true,
+    settings: {
+      voiceEnhancementEnabled: true,
+      dialogueEnabled: false,
+      noiseCancelEnabled: true,
+      humRemovalEnabled: true,
+      normalizeEnabled: true,
+      deEsserEnabled: true,
+      plosiveEnabled: true,
+      ...eqGainsToSettings([-6, -4, -2, 0, 1, 3, 4, 3, 0, -2]),
+    },
+  },
+  {
+    id: 'builtin:music',
+    name: 'Music',
+    builtIn: true,
+    settings: {
+      voiceEnhancementEnabled: false,
+      dialogueEnabled: false,
+      noiseCancelEnabled: false,
+      humRemovalEnabled: false,
+      normalizeEnabled: false,
+      deEsserEnabled: false,
+      plosiveEnabled: false,
+      ...eqGainsToSettings([3, 2, 1, 0, -1, 0, 1, 2, 3, 3]),
+    },
+  },
+  {
+    id: 'builtin:movie',
+    name: 'Movie Night',
+    builtIn: true,
+    settings: {
+      voiceEnhancementEnabled: false,
+      dialogueEnabled: true,
+      noiseCancelEnabled: false,
+      humRemovalEnabled: false,
+      normalizeEnabled: true,
+      deEsserEnabled: false,
+      plosiveEnabled: false,
+      ...eqGainsToSettings([4, 3, 1, 0, 0, 2, 3, 2, 1, 0]),
+    },
+  },
+  {
+    id: 'builtin:bass-boost',
+    name: 'Bass Boost',
+    builtIn: true,
+    settings: {
+      voiceEnhancementEnabled: false,
+      dialogueEnabled: false,
+      noiseCancelEnabled: false,
+      humRemovalEnabled: false,
+      normalizeEnabled: false,
+      deEsserEnabled: false,
+      plosiveEnabled: false,
+      ...eqGainsToSettings([8, 6, 4, 2, 0, 0, 0, 0, 0, 0]),
+    },
+  },
+  {
+    id: 'builtin:lecture-hall',
+    name: 'Lecture Hall',
+    builtIn: true,
+    settings: {
+      voiceEnhancementEnabled: true,
+      dialogueEnabled: false,
+      noiseCancelEnabled: true,
+      humRemovalEnabled: true,
+      normalizeEnabled: true,
+      deEsserEnabled: true,
+      plosiveEnabled: true,
+      ...eqGainsToSettings([-8, -6, -3, -1, 0, 2, 4, 3, -1, -4]),
+    },
+  },
+];
+
+// 設定オブジェクトからプリセットとして保存する項目だけを取り出す
+function extractPresetSettings(settings) {
+  const presetSettings = { ...settings };
+  NON_PRESET_SETTING_KEYS.forEach(key => delete presetSettings[key]);
+  return presetSettings;
+}
+
+// プリセットを現在の設定に適用した新しい設定オブジェクトを返す
+// プリセットに含まれない項目は現在の値を引き継ぐ
+function applyPresetToSettings(preset, settings) {
+  return { ...settings, ...preset.settings, presetId: preset.id };
+}
+
+// 現在の設定がプリセットから変更されているかを判定する
+function isPresetModified(preset, settings) {
+  return Object.keys(preset.settings).some(key =>
+    JSON.stringify(preset.settings[key]) !== JSON.stringify(settings[key])
+  );
+}
+
+// --- ユーザープリセットの管理 (chrome.storage.local) ---
+async function loadUserPresets() {
+  const items = await chrome.storage.local.get(USER_PRESETS_KEY);
+  return items[USER_PRESETS_KEY] ?? [];
+}
+
+function saveUserPresets(presets) {
+  return chrome.storage.local.set({ [USER_PRESETS_KEY]: presets });
+}
+
+// 組み込みプリセットとユーザープリセットをまとめて返す
+async function listPresets() {
+  const userPresets = await loadUserPresets();
+  return [...BUILT_IN_PRESETS, ...userPresets];
+}
+
+async function findPreset(presetId) {
+  const presets = await listPresets();
+  return presets.find(preset => preset.id === presetId) || null;
+}
+
+// プリセット名を検証する (空・重複は不可)。問題なければ整形済みの名前を返す
+function validatePresetName(name, presets, ignoreId = null) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) {
+    throw new Error('Preset name must not be empty');
+  }
+  const duplicate = presets.find(preset =>
+    preset.id !== ignoreId && preset.name.toLowerCase() === trimmed.toLowerCase()
+  );
+  if (duplicate) {
+    throw new Error(`A preset named "${duplicate.name}" already exists`);
+  }
+  return trimmed;
+}
+
+// 編集対象のユーザープリセットを探す (組み込みプリセットや存在しない ID はエラー)
+function findEditableUserPreset(userPresets, presetId) {
+  if (BUILT_IN_PRESETS.some(preset => preset.id === presetId)) {
+    throw new Error('Built-in presets cannot be modified');
+  }
+  const index = userPresets.findIndex(preset => preset.id === presetId);
+  if (index === -1) {
+    throw new Error(`Preset not found: ${presetId}`);
+  }
+  return index;
+}
+
+// 現在の設定を新しいユーザープリセットとして保存する
+async function createUserPreset(name, settings) {
+  const userPresets = await loadUserPresets();
+  const preset = {
+    id: `user:${crypto.randomUUID()}`,
+    name: validatePresetName(name, [...BUILT_IN_PRESETS, ...userPresets]),
+    builtIn: false,
+    settings: extractPresetSettings(settings),
+  };
+  await saveUserPresets([...userPresets, preset]);
+  return preset;
+}
+
+async function renameUserPreset(presetId, name) {
+  const userPresets = await loadUserPresets();
+  const index = findEditableUserPreset(userPresets, presetId);
+  userPresets[index] = {
+    ...userPresets[index],
+    name: validatePresetName(name, [...BUILT_IN_PRESETS, ...userPresets], presetId),
+  };
+  await saveUserPresets(userPresets);
+  return userPresets[index];
+}
+
+async function overwriteUserPreset(presetId, settings) {
+  const userPresets = await loadUserPresets();
+  const index = findEditableUserPreset(userPresets, presetId);
+  userPresets[index] = { ...userPresets[index], settings: extractPresetSettings(settings) };
+  await saveUserPresets(userPresets);
+  return userPresets[index];
+}
+
+async function deleteUserPreset(presetId) {
+  const userPresets = await loadUserPresets();
+  const index = findEditableUserPreset(userPresets, presetId);
+  userPresets.splice(index, 1);
+  await saveUserPresets(userPresets);
+}
@@ -0,0 +1,178 @@
+// recording.js
+
+// 処理後の音声の録音 (offscreen.html で使用)
+// - WebM/Opus: MediaStreamAudioDestinationNode + MediaRecorder
+// - WAV: AudioWorklet (worklets/pcm-recorder-processor.js) で PCM を受け取り、16 bit の WAV にまとめる
+// 録音オブジェクト: { format, state: 'recording' | 'paused' | 'saving', startDate, startedAt, elapsedBeforePause, backend }
+
+const PCM_RECORDER_MODULE = 'worklets/pcm-recorder-processor.js';
+
+// 録音形式
+const RECORDING_FORMATS = {
+  webm: { extension: 'webm', mimeType: 'audio/webm;codecs=opus' },
+  wav: { extension: 'wav', mimeType: 'audio/wav' },
+};
+const RECORDING_CHANNELS = 2;
+
+// 録音を開始する。outputNode は処理チェーンの最後のノード
+async function startRecording(audioContext, outputNode, format) {
+  if (!RECORDING_FORMATS[format]) {
+    throw new Error(`Unsupported recording format: ${format}`);
+  }
+  const backend = format === 'wav'
+    ? await createWavRecorder(audioContext, outputNode)
+    : createWebmRecorder(audioContext, outputNode);
+  console.log(`Recording started (${format})`);
+  return {
+    format: format,
+    state: 'recording',
+    startDate: new Date(),
+    startedAt: Date.now(),
+    elapsedBeforePause: 0,
+    backend: backend
+  };
+}
+
+function pauseRecording(recording) {
+  if (recording.state !== 'recording') return;
+  recording.backend.pause();
+  recording.elapsedBeforePause += Date.now() - recording.startedAt;
+  recording.state = 'paused';
+}
+
+function resumeRecording(recording) {
+  if (recording.state !== 'paused') return;
+  recording.backend.resume();
+  recording.startedAt = Date.now();
+  recording.state = 'recording';
+}
+
+// 一時停止中を除いた録音時間 (ミリ秒)
+function getRecordingElapsedMs(recording) {
+  const running = recording.state === 'recording' ? Date.now() - recording.startedAt : 0;
+  return recording.elapsedBeforePause + running;
+}
+
+// 録音を終了し、ファイルの Blob を返す
+async function stopRecording(recording) {
+  if (recording.state === 'recording') {
+    recording.elapsedBeforePause += Date.now() - recording.startedAt;
+  }
+  recording.state = 'saving';
+  const blob = await recording.backend.stop();
+  console.log(`Recording stopped (${recording.format}, ${blob.size} bytes)`);
+  return blob;
+}
+
+// ダウンロード時のファイル名 (例: tab-audio-20240501-153000.webm)
+function getRecordingFileName(recording) {
+  const date = recording.startDate;
+  const pad = (value) => String(value).padStart(2, '0');
+  const stamp = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+    `-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+  return `tab-audio-${stamp}.${RECORDING_FORMATS[recording.format].extension}`;
+}
+
+// --- WebM/Opus (MediaRecorder) ---
+function createWebmRecorder(audioContext, outputNode) {
+  const { mimeType } = RECORDING_FORMATS.webm;
+  const destination = audioContext.createMediaStreamDestination();
+  outputNode.connect(destination);
+
+  const recorder = new MediaRecorder(destination.stream, { mimeType });
+  const chunks = [];
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) chunks.push(event.data);
+  };
+  recorder.start(1000); // 1 秒ごとにデータを受け取る (長時間の録音でも途中のデータを保持する)
+
+  return {
+    pause: () => recorder.pause(),
+    resume: () => recorder.resume(),
+    stop: () => new Promise((resolve) => {
+      recorder.onstop = () => {
+        outputNode.disconnect(destination);
+        resolve(new Blob(chunks, { type: mimeType }));
+      };
+      recorder.stop();
+    })
+  };
+}
+
+// --- WAV (AudioWorklet で PCM を受け取る) ---
+async function createWavRecorder(audioContext, outputNode) {
+  await audioContext.audioWorklet.addModule(PCM_RECORDER_MODULE);
+  const node = new AudioWorkletNode(audioContext, 'pcm-recorder', {
+    numberOfInputs: 1,
+    numberOfOutputs: 0,
+    processorOptions: { channelCount: RECORDING_CHANNELS }
+  });
+
+  // 16 bit にインターリーブしたチャンク (Float32 のまま持つより省メモリ)
+  const chunks = [];
+  // 一時停止中のチャンクは捨てる。ワークレットのバッファに残った分との境目は flush で揃える
+  let accepting = true;
+  // flush の完了時に行う処理 (送った順に 'flushed' が返ってくる)
+  const pendingFlushes = [];
+  const flush = (onFlushed) => {
+    pendingFlushes.push(onFlushed);
+    node.port.postMessage({ type: 'flush' });
+  };
+
+  node.port.onmessage = (event) => {
+    if (event.data.type === 'chunk') {
+      if (accepting) chunks.push(interleaveToInt16(event.data.channels));
+    } else if (event.data.type === 'flushed') {
+      pendingFlushes.shift()();
+    }
+  };
+  outputNode.connect(node);
+
+  return {
+    pause: () => flush(() => { accepting = false; }),
+    resume: () => flush(() => { accepting = true; }),
+    stop: () => new Promise((resolve) => {
+      flush(() => {
+        outputNode.disconnect(node);
+        node.port.onmessage = null;
+        resolve(encodeWav(chunks, audioContext.sampleRate, RECORDING_CHANNELS));
+      });
+    })
+  };
+}
+
+// チャンネルごとの Float32Array を 16 bit のインターリーブ形式に変換する
+function interleaveToInt16(channels) {
+  const frames = channels[0].length;
+  const samples = new Int16Array(frames * channels.length);
+  for (let i = 0; i < frames; i++) {
+    for (let c = 0; c < channels.length; c++) {
+      const value = Math.max(-1, Math.min(1, channels[c][i]));
+      samples[i * channels.length + c] = value < 0 ? value * 0x8000 : value * 0x7fff;
+    }
+  }
+  return samples;
+}
+
+// 16 bit PCM の WAV ファイルを作る (ヘッダー + チャンクをそのまま連結)
+function encodeWav(chunks, sampleRate, channelCount) {
+  const dataSize = chunks.reduce((total, chunk) => total + chunk.byteLength, 0);
+  const header = new DataView(new ArrayBuffer(44));
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) header.setUint8(offset + i, text.charCodeAt(i));
+  };
+  writeString(0, 'RIFF');
+  header.setUint32(4, 36 + dataSize, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  header.setUint32(16, 16, true); // fmt チャンクのサイズ
+  header.setUint16(20, 1, true); // PCM
+  header.setUint16(22, channelCount, true);
+  header.setUint32(24, sampleRate, true);
+  header.setUint32(28, sampleRate * channelCount * 2, true); // バイトレート
+  header.setUint16(32, channelCount * 2, true); // ブロックサイズ
+  header.setUint16(34, 16, true); // ビット数
+  writeString(36, 'data');
+  header.setUint32(40, dataSize, true);
+  return new Blob([header, ...chunks], { type: RECORDING_FORMATS.wav.mimeType });
+}
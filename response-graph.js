@@ -0,0 +1,122 @@
+// response-graph.js
+
+// フィルターチェーンの周波数特性 (振幅) を計算してキャンバスに描画する (popup.html で使用)
+// 音声処理が動いていなくても表示できるように、OfflineAudioContext 上に同じパラメータの
+// BiquadFilterNode を作り、getFrequencyResponse で各フィルターの特性を求めて合算する
+// equalizer.js, filter-chain.js を先に読み込んでおくこと
+
+// 表示範囲
+const RESPONSE_MIN_FREQUENCY = 20; // Hz
+const RESPONSE_MAX_FREQUENCY = 20000; // Hz
+const RESPONSE_MIN_DB = -24;
+const RESPONSE_MAX_DB = 24;
+// 計算に使うサンプルレート (一般的な出力デバイスの値)
+const RESPONSE_SAMPLE_RATE = 48000;
+// 計算する周波数の点の数 (対数間隔)
+const RESPONSE_POINTS = 256;
+
+// 計算用の OfflineAudioContext (ノードを作るだけでレンダリングはしない)
+let responseContext = null;
+// 対数間隔の周波数の配列 (使い回す)
+let responseFrequencies = null;
+
+function getResponseFrequencies() {
+  if (!responseFrequencies) {
+    responseFrequencies = new Float32Array(RESPONSE_POINTS);
+    const ratio = RESPONSE_MAX_FREQUENCY / RESPONSE_MIN_FREQUENCY;
+    for (let i = 0; i < RESPONSE_POINTS; i++) {
+      responseFrequencies[i] = RESPONSE_MIN_FREQUENCY * Math.pow(ratio, i / (RESPONSE_POINTS - 1));
+    }
+  }
+  return responseFrequencies;
+}
+
+// 設定に対応するチェーン全体の振幅特性 (dB) を計算する
+// 戻り値: { frequencies: Float32Array, magnitudesDb: Float32Array }
+function computeFrequencyResponse(settings) {
+  if (!responseContext) {
+    responseContext = new OfflineAudioContext(1, 1, RESPONSE_SAMPLE_RATE);
+  }
+  const frequencies = getResponseFrequencies();
+  const magnitudesDb = new Float32Array(RESPONSE_POINTS).fill(getEqPreampDb(settings)); // プリアンプはすべての周波数で同じ
+  const magnitude = new Float32Array(RESPONSE_POINTS);
+  const phase = new Float32Array(RESPONSE_POINTS);
+
+  // 直列につながったフィルターの特性は dB の和になる
+  getFilterChainForSettings(settings, RESPONSE_SAMPLE_RATE).forEach(params => {
+    const filter = responseContext.createBiquadFilter();
+    filter.type = params.type;
+    filter.frequency.value = params.frequency;
+    filter.Q.value = params.Q;
+    filter.gain.value = params.gain;
+    filter.getFrequencyResponse(frequencies, magnitude, phase);
+    for (let i = 0; i < RESPONSE_POINTS; i++) {
+      magnitudesDb[i] += 20 * Math.log10(Math.max(magnitude[i], 1e-6));
+    }
+  });
+
+  return { frequencies, magnitudesDb };
+}
+
+// 周波数をキャンバスの x 座標に変換する (対数軸)
+function frequencyToX(frequency, width) {
+  return width * Math.log(frequency / RESPONSE_MIN_FREQUENCY) / Math.log(RESPONSE_MAX_FREQUENCY / RESPONSE_MIN_FREQUENCY);
+}
+
+// dB をキャンバスの y 座標に変換する
+function decibelsToY(db, height) {
+  const clamped = Math.min(RESPONSE_MAX_DB, Math.max(RESPONSE_MIN_DB, db));
+  return height * (RESPONSE_MAX_DB - clamped) / (RESPONSE_MAX_DB - RESPONSE_MIN_DB);
+}
+
+// 目盛り (周波数と dB のグリッド) を描画する
+function drawResponseGrid(ctx, width, height) {
+  ctx.fillStyle = '#fafafa';
+  ctx.fillRect(0, 0, width, height);
+  ctx.lineWidth = 1;
+  ctx.font = '9px sans-serif';
+  ctx.fillStyle = '#999';
+
+  [100, 1000, 10000].forEach(frequency => {
+    const x = Math.round(frequencyToX(frequency, width)) + 0.5;
+    ctx.strokeStyle = '#ddd';
+    ctx.beginPath();
+    ctx.moveTo(x, 0);
+    ctx.lineTo(x, height);
+    ctx.stroke();
+    ctx.fillText(frequency >= 1000 ? `${frequency / 1000}k` : `${frequency}`, x + 2, height - 2);
+  });
+
+  for (let db = RESPONSE_MIN_DB + 12; db < RESPONSE_MAX_DB; db += 12) {
+    const y = Math.round(decibelsToY(db, height)) + 0.5;
+    ctx.strokeStyle = db === 0 ? '#bbb' : '#ddd';
+    ctx.beginPath();
+    ctx.moveTo(0, y);
+    ctx.lineTo(width, y);
+    ctx.stroke();
+    ctx.fillText(`${db > 0 ? '+' : ''}${db} dB`, 2, y - 2);
+  }
+}
+
+// 設定に対応する周波数特性カーブをキャンバスに描画する
+function drawFrequencyResponse(canvas, settings) {
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const { frequencies, magnitudesDb } = computeFrequencyResponse(settings);
+
+  drawResponseGrid(ctx, width, height);
+
+  ctx.strokeStyle = '#1a73e8';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  for (let i = 0; i < frequencies.length; i++) {
+    const x = frequencyToX(frequencies[i], width);
+    const y = decibelsToY(magnitudesDb[i], height);
+    if (i === 0) {
+      ctx.moveTo(x, y);
+    } else {
+      ctx.lineTo(x, y);
+    }
+  }
+  ctx.stroke();
+}
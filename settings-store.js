@@ -0,0 +1,86 @@
+// settings-store.js
+
+// フィルター設定の永続化レイヤー (background.js から importScripts で読み込む)
+// - タブごとの設定: chrome.storage.session (Service Worker が停止・再起動しても保持される)
+// - タブごとの音量 (masterVolumeDb): chrome.storage.session。サイト設定を使っているタブでも音量だけはタブごとに持つ
+// - サイト (origin) ごとの設定: chrome.storage.local
+// - グローバルデフォルト: chrome.storage.local
+// 競合を避けるため、1 つの Map 全体ではなくタブ/サイトごとに別キーで保存する
+
+const TAB_SETTINGS_KEY_PREFIX = 'tabSettings:';
+const TAB_VOLUME_KEY_PREFIX = 'tabVolume:';
+const SITE_SETTINGS_KEY_PREFIX = 'siteSettings:';
+const GLOBAL_DEFAULTS_KEY = 'globalDefaults';
+
+// URL から設定のキーとなる origin を取り出す (http/https 以外は対象外)
+function getOriginFromUrl(url) {
+  if (!url) return null;
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return null;
+    }
+    return parsed.origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+// 指定されたストレージ領域から 1 キー分の値を読み込む (なければ null)
+async function loadStoredValue(area, key) {
+  const items = await area.get(key);
+  return items[key] ?? null;
+}
+
+// --- タブごとの設定 (chrome.storage.session) ---
+function loadTabSettings(tabId) {
+  return loadStoredValue(chrome.storage.session, TAB_SETTINGS_KEY_PREFIX + tabId);
+}
+
+function saveTabSettings(tabId, settings) {
+  return chrome.storage.session.set({ [TAB_SETTINGS_KEY_PREFIX + tabId]: settings });
+}
+
+// タブの音量も合わせて削除する
+function removeTabSettings(tabId) {
+  return chrome.storage.session.remove([TAB_SETTINGS_KEY_PREFIX + tabId, TAB_VOLUME_KEY_PREFIX + tabId]);
+}
+
+// --- タブごとの音量 (chrome.storage.session) ---
+function loadTabVolume(tabId) {
+  return loadStoredValue(chrome.storage.session, TAB_VOLUME_KEY_PREFIX + tabId);
+}
+
+function saveTabVolume(tabId, volumeDb) {
+  return chrome.storage.session.set({ [TAB_VOLUME_KEY_PREFIX + tabId]: volumeDb });
+}
+
+function removeTabVolume(tabId) {
+  return chrome.storage.session.remove(TAB_VOLUME_KEY_PREFIX + tabId);
+}
+
+// --- サイトごとの設定 (chrome.storage.local) ---
+function loadSiteSettings(origin) {
+  return loadStoredValue(chrome.storage.local, SITE_SETTINGS_KEY_PREFIX + origin);
+}
+
+function saveSiteSettings(origin, settings) {
+  return chrome.storage.local.set({ [SITE_SETTINGS_KEY_PREFIX + origin]: settings });
+}
+
+function removeSiteSettings(origin) {
+  return chrome.storage.local.remove(SITE_SETTINGS_KEY_PREFIX + origin);
+}
+
+// --- グローバルデフォルト (chrome.storage.local) ---
+function loadGlobalDefaults() {
+  return loadStoredValue(chrome.storage.local, GLOBAL_DEFAULTS_KEY);
+}
+
+function saveGlobalDefaults(settings) {
+  return chrome.storage.local.set({ [GLOBAL_DEFAULTS_KEY]: settings });
+}
+
+function removeGlobalDefaults() {
+  return chrome.storage.local.remove(GLOBAL_DEFAULTS_KEY);
+}
@@ -0,0 +1,69 @@
+// settings.js
+
+// フィルター設定の定義 (background.js / popup.html / options.html / offscreen.html で共有)
+
+// デフォルトのフィルター設定
+const defaultSettings = {
+  voiceEnhancementEnabled: true, // デフォルトでボイスエンハンスを有効にするか？
+  dialogueEnabled: false, // ダイアログモード (映画・ドラマ向け。ミッドの会話を持ち上げ、発話中はサイドの環境音を下げる)
+  dialogueAmount: 50, // 発話帯域を持ち上げる量 (%, 100 で +9 dB)
+  dialogueDuckDepth: 6, // 発話中にサイドを下げる量 (dB, 0 - 18)
+  noiseCancelEnabled: true, // デフォルトでノイズキャンセルを有効にするか？
+  deEsserEnabled: false, // ディエッサー (歯擦音の帯域だけを下げる) を有効にするか？ (パラメータは dynamics.js の範囲で設定)
+  deEsserLowFrequency: 5000, // 歯擦音の帯域の下限 (Hz)
+  deEsserHighFrequency: 9000, // 歯擦音の帯域の上限 (Hz)
+  deEsserThreshold: -30, // dB
+  deEsserReduction: 8, // 最大の減衰量 (dB)
+  plosiveEnabled: false, // 破裂音 (p や b のポップノイズ) の低域を抑えるか？
+  plosiveThreshold: -20, // dB
+  plosiveReduction: 12, // 最大の減衰量 (dB)
+  normalizeEnabled: true,   // デフォルトでノーマライズを有効にするか？
+  loudnessTarget: -16, // ノーマライズの目標ラウドネス (LUFS)
+  truePeakCeiling: -1, // ノーマライズ時のトゥルーピークの上限 (dBTP)
+  gateEnabled: false, // ノイズゲート / エキスパンダーを有効にするか？ (コンプレッサーの前。パラメータは dynamics.js の範囲で設定)
+  gateThreshold: -50, // dB
+  gateRange: 30, // 最大の減衰量 (dB)
+  gateRatio: 4, // エキスパンダーの比 (大きいほどゲートに近い)
+  gateAttack: 0.002, // 秒
+  gateHold: 0.15, // 秒
+  gateRelease: 0.25, // 秒
+  gateSidechainHpf: true, // 検出にハイパスをかけて、低域のランブルでは開かないようにするか？
+  compressorEnabled: false, // コンプレッサーを有効にするか？ (パラメータは dynamics.js の範囲で設定)
+  compressorThreshold: -24, // dB
+  compressorKnee: 30, // dB
+  compressorRatio: 12,
+  compressorAttack: 0.003, // 秒
+  compressorRelease: 0.25, // 秒
+  compressorMakeup: 0, // メイクアップゲイン (dB)
+  stereoBalance: 0, // L/R バランス (%, -100 で左のみ、100 で右のみ)
+  stereoMono: false, // モノラルにまとめるか？
+  stereoSwap: false, // 左右を入れ替えるか？
+  stereoWidth: 100, // ミッド/サイドによるステレオ幅 (%, 0 - 200)
+  masterVolumeDb: 0, // マスター音量 (dB, -60 はミュート、最大 +24)。0 dB を超えるとリミッターが自動で有効になる
+  limiterEnabled: false, // 先読み型ブリックウォールリミッターを有効にするか？
+  limiterCeiling: -1, // リミッターの上限 (dBFS)
+  limiterRelease: 0.1, // リミッターのリリース (秒)
+  spectralDenoiseEnabled: false, // スペクトル減算によるノイズ抑制 (AudioWorklet) を有効にするか？
+  spectralDenoiseReduction: 12, // ノイズ抑制の最大の減衰量 (dB, 0 - 30)
+  humRemovalEnabled: false, // 電源ハム (50/60 Hz とその倍音) の除去を有効にするか？ (ノイズキャンセルとは独立)
+  humFrequency: 'auto', // 電源周波数 ('auto' | '50' | '60')。'auto' は入力のスペクトルから判定する
+  humHarmonics: 4, // ノッチの数 (基本波を含む, 1 - 8)
+  humDepth: 30, // ノッチの深さ (dB, 6 - 60)
+  humQ: 30, // ノッチの鋭さ (5 - 100)
+  wetDryMix: 100, // 処理後の音 (wet) の割合 (%, 0 で原音のみ、100 で処理後の音のみ)。残りは遅延を揃えた原音 (dry)
+  eq1Gain: 0,
+  eq2Gain: 0,
+  eq3Gain: 0,
+  eq4Gain: 0,
+  eq5Gain: 0,
+  eq6Gain: 0,
+  eq7Gain: 0,
+  eq8Gain: 0,
+  eq9Gain: 0,
+  eq10Gain: 0,
+  eqMode: 'graphic', // 'graphic' (10 バンド) または 'parametric'
+  eqPreampDb: 0, // EQ のプリアンプ (dB)。ParametricEQ.txt の "Preamp:" に対応し、プリセットに含まれる。出力の GainNode でマスター音量に加える
+  parametricBands: [], // パラメトリックモードのバンド [{ type, frequency, Q, gain }]
+  presetId: null, // 選択中のプリセット ID (null はカスタム)
+  urlRuleId: null, // 最後に適用した URL ルールの ID (url-rules.js)
+};
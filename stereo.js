@@ -0,0 +1,43 @@
+// stereo.js
+
+// ステレオ処理 (バランス・モノラル化・左右入れ替え・ステレオ幅) のパラメータ (offscreen.html / popup.html で共有)
+// どの処理も L/R の線形な混合なので、offscreen.js では 2x2 の行列 (4 つの GainNode) として実装する
+// equalizer.js (clamp) を先に読み込んでおくこと
+
+// 設定できる範囲 (%)
+// stereoBalance: -100 で左のみ、100 で右のみ / stereoWidth: 0 でモノラル、100 で元のまま、200 で 2 倍
+const STEREO_BALANCE_MIN = -100;
+const STEREO_BALANCE_MAX = 100;
+const STEREO_WIDTH_MIN = 0;
+const STEREO_WIDTH_MAX = 200;
+
+// 2x2 行列の積 (a * b)
+function multiplyStereoMatrix(a, b) {
+  return [
+    [a[0][0] * b[0][0] + a[0][1] * b[1][0], a[0][0] * b[0][1] + a[0][1] * b[1][1]],
+    [a[1][0] * b[0][0] + a[1][1] * b[1][0], a[1][0] * b[0][1] + a[1][1] * b[1][1]],
+  ];
+}
+
+// 設定から L/R の混合行列を求める (入れ替え -> ステレオ幅/モノラル -> バランス の順に適用)
+// 戻り値: [[L <- L, L <- R], [R <- L, R <- R]]
+function getStereoMatrix(settings) {
+  const swap = settings.stereoSwap ? [[0, 1], [1, 0]] : [[1, 0], [0, 1]];
+
+  // ミッド/サイド: L = M + w * S, R = M - w * S (M = (L + R) / 2, S = (L - R) / 2)
+  const widthPercent = settings.stereoMono ? 0 : clamp(Number(settings.stereoWidth ?? 100), STEREO_WIDTH_MIN, STEREO_WIDTH_MAX);
+  const width = widthPercent / 100;
+  const widthMatrix = [
+    [(1 + width) / 2, (1 - width) / 2],
+    [(1 - width) / 2, (1 + width) / 2],
+  ];
+
+  // バランス: 反対側のチャンネルだけを下げる (中央では両方 1)
+  const balance = clamp(Number(settings.stereoBalance) || 0, STEREO_BALANCE_MIN, STEREO_BALANCE_MAX) / 100;
+  const balanceMatrix = [
+    [balance > 0 ? 1 - balance : 1, 0],
+    [0, balance < 0 ? 1 + balance : 1],
+  ];
+
+  return multiplyStereoMatrix(balanceMatrix, multiplyStereoMatrix(widthMatrix, swap));
+}
@@ -0,0 +1,154 @@
+// url-rules.js
+
+// URL パターンのルール (ページごとにプリセットと設定を自動で選ぶ)
+// background.js (importScripts) と options.html (<script>) の両方から読み込む。settings.js と presets.js を先に読み込んでおくこと
+// - ルール: { id, name, pattern, enabled, presetId, overrides }
+//   上から順に調べ、最初に一致した有効なルールが選ばれる
+// - chrome.storage.local に配列として保存
+//
+// パターンの書き方 (大文字小文字は区別しない。* は任意の文字列。ただしホスト名の中の * は "/" を越えない)
+// - "https://zoom.us/rec/*" のようにスキームを含むパターンは URL 全体と比較する
+// - "www.youtube.com/watch*" のようにスキームを省略すると http/https のどちらにも一致する
+// - "news.example.com" のようにホスト名だけのパターンはそのホストのすべてのページに一致する
+// - "*.example.com" は example.com 自体とそのサブドメインに一致する
+
+const URL_RULES_KEY = 'urlRules';
+
+// ルールで上書きできない設定項目 (タブの状態を表すもの)
+const NON_OVERRIDE_SETTING_KEYS = ['presetId', 'urlRuleId'];
+
+// 正規表現の特殊文字をエスケープし、* を wildcard に置き換える
+function compileUrlPatternPart(part, wildcard) {
+  return part
+    .split('*')
+    .map(piece => piece.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join(wildcard);
+}
+
+// パターンを正規表現に変換する (空のパターンはエラー)
+// スキーム・ホスト・パスに分けて変換し、* がその部分の外に一致しないようにする
+// (ホスト名だけのルールが、クエリー文字列にそのホストを含むほかのサイトの URL に一致しないように)
+// - スキームの * は http/https、ホストの * は "/" を含まない任意の文字列、パスの * は任意の文字列
+function compileUrlPattern(pattern) {
+  let source = typeof pattern === 'string' ? pattern.trim().toLowerCase() : '';
+  if (!source) {
+    throw new Error('Pattern must not be empty');
+  }
+  let scheme = '*';
+  const schemeEnd = source.indexOf('://');
+  if (schemeEnd !== -1) {
+    scheme = source.slice(0, schemeEnd);
+    source = source.slice(schemeEnd + 3);
+  } else if (!source.includes('/')) {
+    source += '/*';
+  }
+  const pathStart = source.indexOf('/');
+  const host = pathStart === -1 ? source : source.slice(0, pathStart);
+  const path = pathStart === -1 ? '' : source.slice(pathStart);
+  if (!host) {
+    throw new Error('Pattern must include a host');
+  }
+
+  const schemeRegex = scheme === '*' ? 'https?' : compileUrlPatternPart(scheme, '[^:/]*');
+  // "*." で始まるホスト名はサブドメインのないドメインにも一致させる
+  const hostRegex = host.startsWith('*.')
+    ? `(?:[^/]*\\.)?${compileUrlPatternPart(host.slice(2), '[^/]*')}`
+    : compileUrlPatternPart(host, '[^/]*');
+  return new RegExp(`^${schemeRegex}://${hostRegex}${compileUrlPatternPart(path, '.*')}$`);
+}
+
+// URL を比較用に正規化する ("https://example.com" -> "https://example.com/")
+function normalizeUrlForRules(url) {
+  try {
+    return new URL(url).href.toLowerCase();
+  } catch (error) {
+    return String(url).toLowerCase();
+  }
+}
+
+function matchesUrlPattern(pattern, url) {
+  try {
+    return compileUrlPattern(pattern).test(normalizeUrlForRules(url));
+  } catch (error) {
+    return false;
+  }
+}
+
+// URL に一致する有効なルールを上から順にすべて返す (先頭が選ばれるルール)
+function findMatchingUrlRules(rules, url) {
+  if (!url) return [];
+  return rules.filter(rule => rule.enabled && matchesUrlPattern(rule.pattern, url));
+}
+
+function findMatchingUrlRule(rules, url) {
+  return findMatchingUrlRules(rules, url)[0] || null;
+}
+
+// ルールを設定に適用する (プリセット -> 上書きする設定の順)。preset はルールのプリセット (なければ null)
+function applyUrlRuleToSettings(rule, preset, settings) {
+  const base = preset ? applyPresetToSettings(preset, settings) : settings;
+  return { ...base, ...rule.overrides, urlRuleId: rule.id };
+}
+
+// 上書きする設定を検証する。不明な項目や型の違う値はエラー
+function validateUrlRuleOverrides(overrides) {
+  if (overrides === undefined || overrides === null) {
+    return {};
+  }
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('Overrides must be an object of settings');
+  }
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (!(key in defaultSettings) || NON_OVERRIDE_SETTING_KEYS.includes(key)) {
+      throw new Error(`Unknown setting: ${key}`);
+    }
+    const expected = Array.isArray(defaultSettings[key]) ? 'array' : typeof defaultSettings[key];
+    const actual = Array.isArray(value) ? 'array' : typeof value;
+    // 既定値が null の項目はどの型でも受け付ける
+    if (defaultSettings[key] !== null && expected !== actual) {
+      throw new Error(`Setting ${key} must be a ${expected}`);
+    }
+  });
+  return { ...overrides };
+}
+
+// 保存する前にルールの一覧を検証・整形する。presets は選択できるプリセットの一覧
+function validateUrlRules(rules, presets) {
+  if (!Array.isArray(rules)) {
+    throw new Error('Rules must be an array');
+  }
+  return rules.map((rule, index) => {
+    const label = `Rule ${index + 1}`;
+    try {
+      compileUrlPattern(rule.pattern);
+      if (rule.presetId && !presets.some(preset => preset.id === rule.presetId)) {
+        throw new Error(`Preset not found: ${rule.presetId}`);
+      }
+      return {
+        id: rule.id || `rule:${crypto.randomUUID()}`,
+        name: typeof rule.name === 'string' ? rule.name.trim() : '',
+        pattern: rule.pattern.trim(),
+        enabled: rule.enabled !== false,
+        presetId: rule.presetId || null,
+        overrides: validateUrlRuleOverrides(rule.overrides),
+      };
+    } catch (error) {
+      throw new Error(`${label}: ${error.message}`);
+    }
+  });
+}
+
+// ルールの表示名 (名前がなければパターン)
+function getUrlRuleLabel(rule) {
+  return rule.name || rule.pattern;
+}
+
+// --- 保存 (chrome.storage.local) ---
+async function loadUrlRules() {
+  const items = await chrome.storage.local.get(URL_RULES_KEY);
+  return items[URL_RULES_KEY] ?? [];
+}
+
+function saveUrlRules(rules) {
+  return chrome.storage.local.set({ [URL_RULES_KEY]: rules });
+}
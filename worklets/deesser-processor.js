@@ -0,0 +1,213 @@
+// deesser-processor.js
+
+// スプリットバンドのディエッサーとポップノイズ (破裂音) の抑制 (AudioWorkletProcessor)
+// offscreen.js から audioWorklet.addModule で読み込み、コンプレッサーの後に置く (EQ とコンプレッサーで強調された歯擦音と破裂音を抑える)
+// - 歯擦音: 入力から帯域 (lowFrequency - highFrequency) を取り出し、帯域のレベルがしきい値を超えた分 (比 DEESS_RATIO) だけ帯域だけを下げる (最大 reductionDb)
+// - 破裂音: PLOSIVE_FREQUENCY 以下の低域を取り出し、低域がしきい値を超え、かつ音全体の大部分を占めるときだけ低域を下げる
+//   (声の母音や楽器の低音は中高域も含むので反応しにくい)
+// - 出力は 入力 + 帯域 × (ゲイン - 1)。ゲインが 1 のときは入力そのまま (帯域を分けても音は変わらない)。先読みしないので遅延はない
+//   取り出した帯域は IIR フィルターの位相のずれを含むので、実際に下がる量は帯域の端ほどゲインより少し小さくなる
+// - 全チャンネルに同じゲインをかける (定位が動かないように)
+// - port メッセージ:
+//   受信 { type: 'configure', deEsser: { enabled, lowFrequency, highFrequency, thresholdDb, reductionDb }, plosive: { enabled, thresholdDb, reductionDb } }
+//   送信 { type: 'status', sibilanceDb, deEsserDb, plosiveDb } (前回の送信からの歯擦音の帯域の最大レベルと、最も下げた量 (0 以下))
+
+const RENDER_QUANTUM = 128;
+// 歯擦音を下げる比 (しきい値を超えた量の 1 - 1/DEESS_RATIO を下げる)
+const DEESS_RATIO = 4;
+// 破裂音を見る低域の上限 (Hz)
+const PLOSIVE_FREQUENCY = 150;
+// 低域が音全体のエネルギーのこの割合を超えたときだけ破裂音とみなす
+const PLOSIVE_DOMINANCE = 0.6;
+// レベル検出の追従 (秒)
+const DETECTOR_ATTACK_SECONDS = 0.001;
+const DETECTOR_RELEASE_SECONDS = 0.04;
+// ゲインの追従 (秒)。下げるときは速く、戻すときは滑らかに
+const GAIN_ATTACK_SECONDS = 0.001;
+const GAIN_RELEASE_SECONDS = 0.06;
+// 状態を送る間隔 (秒)
+const STATUS_INTERVAL_SECONDS = 0.05;
+
+function sampleCoefficient(seconds) {
+  return 1 - Math.exp(-1 / (seconds * sampleRate));
+}
+
+function toDecibels(energy) {
+  return 10 * Math.log10(Math.max(energy, 1e-12));
+}
+
+// RBJ の 2 次 IIR フィルター (Direct Form I)
+class Biquad {
+  constructor(type, frequency) {
+    this.x1 = this.x2 = this.y1 = this.y2 = 0;
+    this.setFrequency(type, frequency);
+  }
+
+  setFrequency(type, frequency) {
+    const w0 = 2 * Math.PI * Math.min(frequency, sampleRate * 0.45) / sampleRate;
+    const alpha = Math.sin(w0) / (2 * Math.SQRT1_2);
+    const cos = Math.cos(w0);
+    const a0 = 1 + alpha;
+    const b0 = type === 'lowpass' ? (1 - cos) / 2 : (1 + cos) / 2;
+    this.b0 = b0 / a0;
+    this.b1 = (type === 'lowpass' ? 1 - cos : -(1 + cos)) / a0;
+    this.b2 = b0 / a0;
+    this.a1 = -2 * cos / a0;
+    this.a2 = (1 - alpha) / a0;
+  }
+
+  process(x) {
+    const y = this.b0 * x + this.b1 * this.x1 + this.b2 * this.x2 - this.a1 * this.y1 - this.a2 * this.y2;
+    this.x2 = this.x1;
+    this.x1 = x;
+    this.y2 = this.y1;
+    this.y1 = y;
+    return y;
+  }
+}
+
+// レベル (エネルギー) の追従
+class EnergyFollower {
+  constructor() {
+    this.value = 0;
+    this.attack = sampleCoefficient(DETECTOR_ATTACK_SECONDS);
+    this.release = sampleCoefficient(DETECTOR_RELEASE_SECONDS);
+  }
+
+  process(energy) {
+    this.value += (energy - this.value) * (energy > this.value ? this.attack : this.release);
+    return this.value;
+  }
+}
+
+class DeEsserProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.deEsser = { enabled: false, lowFrequency: 5000, highFrequency: 9000, thresholdDb: -30, reductionDb: 8 };
+    this.plosive = { enabled: false, thresholdDb: -20, reductionDb: 12 };
+
+    this.channels = []; // チャンネルごとのフィルター
+    this.sibilanceLevel = new EnergyFollower();
+    this.plosiveLevel = new EnergyFollower();
+    this.fullLevel = new EnergyFollower();
+    this.gainAttack = sampleCoefficient(GAIN_ATTACK_SECONDS);
+    this.gainRelease = sampleCoefficient(GAIN_RELEASE_SECONDS);
+    this.deEsserDb = 0; // 今かけているゲイン (dB, 0 以下)
+    this.plosiveDb = 0;
+
+    // 状態送信までの間の最大レベルと最も下げた量
+    this.maxSibilanceDb = -120;
+    this.minDeEsserDb = 0;
+    this.minPlosiveDb = 0;
+    this.samplesSinceStatus = 0;
+
+    this.port.onmessage = (event) => this.handleMessage(event.data);
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'configure':
+        Object.assign(this.deEsser, message.deEsser);
+        Object.assign(this.plosive, message.plosive);
+        this.channels.forEach(channel => this.tuneChannel(channel));
+        break;
+    }
+  }
+
+  tuneChannel(channel) {
+    channel.sibilanceHighpass.setFrequency('highpass', this.deEsser.lowFrequency);
+    channel.sibilanceLowpass.setFrequency('lowpass', this.deEsser.highFrequency);
+  }
+
+  createChannel() {
+    const channel = {
+      sibilanceHighpass: new Biquad('highpass', 0),
+      sibilanceLowpass: new Biquad('lowpass', 0),
+      plosiveLowpass: new Biquad('lowpass', PLOSIVE_FREQUENCY),
+      sibilance: new Float32Array(RENDER_QUANTUM),
+      plosive: new Float32Array(RENDER_QUANTUM),
+    };
+    this.tuneChannel(channel);
+    return channel;
+  }
+
+  // 検出したレベル (dB) から目標のゲイン (dB) を求めて追従させる
+  followGain(current, target) {
+    const next = current + (target - current) * (target < current ? this.gainAttack : this.gainRelease);
+    return Math.abs(next - target) < 1e-4 ? target : next; // 非正規化数を避ける
+  }
+
+  process(inputs, outputs) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const channelCount = output.length;
+    while (this.channels.length < channelCount) {
+      this.channels.push(this.createChannel());
+    }
+
+    for (let i = 0; i < RENDER_QUANTUM; i++) {
+      // 帯域を取り出し、全チャンネルで最も大きいエネルギーを検出に使う
+      let sibilanceEnergy = 0;
+      let plosiveEnergy = 0;
+      let fullEnergy = 0;
+      for (let c = 0; c < channelCount; c++) {
+        const source = input.length > 0 ? input[Math.min(c, input.length - 1)] : null;
+        const sample = source ? source[i] : 0;
+        const channel = this.channels[c];
+        const sibilance = channel.sibilanceLowpass.process(channel.sibilanceHighpass.process(sample));
+        const plosive = channel.plosiveLowpass.process(sample);
+        channel.sibilance[i] = sibilance;
+        channel.plosive[i] = plosive;
+        sibilanceEnergy = Math.max(sibilanceEnergy, sibilance * sibilance);
+        plosiveEnergy = Math.max(plosiveEnergy, plosive * plosive);
+        fullEnergy = Math.max(fullEnergy, sample * sample);
+      }
+      const sibilanceDb = toDecibels(this.sibilanceLevel.process(sibilanceEnergy));
+      const plosiveLevel = this.plosiveLevel.process(plosiveEnergy);
+      const fullLevel = this.fullLevel.process(fullEnergy);
+      this.maxSibilanceDb = Math.max(this.maxSibilanceDb, sibilanceDb);
+
+      // 歯擦音: しきい値を超えた量に比例して下げる
+      let deEsserTarget = 0;
+      if (this.deEsser.enabled && sibilanceDb > this.deEsser.thresholdDb) {
+        deEsserTarget = -Math.min(this.deEsser.reductionDb, (sibilanceDb - this.deEsser.thresholdDb) * (1 - 1 / DEESS_RATIO));
+      }
+      // 破裂音: 低域がしきい値を超え、音全体の大部分を占めるとき、超えた分を下げる
+      let plosiveTarget = 0;
+      const plosiveDb = toDecibels(plosiveLevel);
+      if (this.plosive.enabled && plosiveDb > this.plosive.thresholdDb && plosiveLevel > PLOSIVE_DOMINANCE * fullLevel) {
+        plosiveTarget = -Math.min(this.plosive.reductionDb, plosiveDb - this.plosive.thresholdDb);
+      }
+      this.deEsserDb = this.followGain(this.deEsserDb, deEsserTarget);
+      this.plosiveDb = this.followGain(this.plosiveDb, plosiveTarget);
+      this.minDeEsserDb = Math.min(this.minDeEsserDb, this.deEsserDb);
+      this.minPlosiveDb = Math.min(this.minPlosiveDb, this.plosiveDb);
+
+      // 入力 + 帯域 × (ゲイン - 1)
+      const sibilanceGain = Math.pow(10, this.deEsserDb / 20) - 1;
+      const plosiveGain = Math.pow(10, this.plosiveDb / 20) - 1;
+      for (let c = 0; c < channelCount; c++) {
+        const source = input.length > 0 ? input[Math.min(c, input.length - 1)] : null;
+        const channel = this.channels[c];
+        output[c][i] = source ? source[i] + channel.sibilance[i] * sibilanceGain + channel.plosive[i] * plosiveGain : 0;
+      }
+    }
+
+    this.samplesSinceStatus += RENDER_QUANTUM;
+    if (this.samplesSinceStatus >= STATUS_INTERVAL_SECONDS * sampleRate) {
+      this.port.postMessage({
+        type: 'status',
+        sibilanceDb: this.maxSibilanceDb,
+        deEsserDb: this.minDeEsserDb,
+        plosiveDb: this.minPlosiveDb
+      });
+      this.samplesSinceStatus = 0;
+      this.maxSibilanceDb = -120;
+      this.minDeEsserDb = 0;
+      this.minPlosiveDb = 0;
+    }
+    return true;
+  }
+}
+
+registerProcessor('deesser', DeEsserProcessor);
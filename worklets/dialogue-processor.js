@@ -0,0 +1,192 @@
+// dialogue-processor.js
+
+// 映画・ドラマ向けのダイアログ強調 (AudioWorkletProcessor)
+// offscreen.js から audioWorklet.addModule で読み込み、ノイズ抑制の後に置く
+// - ミッド (L+R)/2 とサイド (L-R)/2 に分け、ミッドから発話帯域 (約 200 Hz - 4 kHz) を取り出す
+// - 発話の検出 (VAD): 発話帯域がミッドの大部分を占め、発話帯域の背景レベルより十分大きいときに発話とみなす
+// - 発話中はミッドの発話帯域を持ち上げ、サイド (環境音や音楽の広がり) を下げる。どちらも発話の確からしさ (0 - 1) に合わせて滑らかにかける
+// - 無効時も同じ処理を通し、かける量を 0 dB に戻す (切り替えでクリックノイズが出ないように)。0 dB のときは入力そのまま
+// - 遅延はない (IIR フィルターとサンプルごとのゲインのみ)
+// - port メッセージ:
+//   受信 { type: 'configure', enabled, boostDb, duckDb }
+//   送信 { type: 'status', speech, activity, boostDb, duckDb } (boostDb / duckDb は今かけている量)
+
+const RENDER_QUANTUM = 128;
+// 発話帯域 (Hz)
+const SPEECH_LOW_FREQUENCY = 200;
+const SPEECH_HIGH_FREQUENCY = 4000;
+// 発話の検出のしきい値
+const SPEECH_BAND_RATIO = 0.5; // ミッドのエネルギーのうち発話帯域が占める割合
+const SPEECH_ABOVE_FLOOR_DB = 6; // 発話帯域の背景レベルからの上昇
+const SPEECH_MIN_LEVEL_DB = -60; // これより小さい音は無音として扱う
+// エネルギーの平滑化の時定数 (秒)
+const LEVEL_TIME_CONSTANT = 0.03;
+// 背景レベルの追従: 下がるときは速く、上がるときはゆっくり (発話の間の静かな部分に合わせる)
+const FLOOR_FALL_TIME_CONSTANT = 0.2;
+const FLOOR_RISE_TIME_CONSTANT = 3;
+// 発話の確からしさの追従 (秒)。語の間の短い途切れで戻らないよう、戻す前に保持する
+const ACTIVITY_ATTACK_SECONDS = 0.05;
+const ACTIVITY_RELEASE_SECONDS = 0.4;
+const ACTIVITY_HOLD_SECONDS = 0.25;
+// 状態を送る間隔 (秒)
+const STATUS_INTERVAL_SECONDS = 0.1;
+
+function decibelsToGain(db) {
+  return Math.pow(10, db / 20);
+}
+
+function gainToDecibels(gain) {
+  return 10 * Math.log10(Math.max(gain, 1e-12)); // エネルギー (二乗) の dB
+}
+
+// 時定数から 1 ブロックあたりの追従係数を求める
+function blockCoefficient(seconds) {
+  return 1 - Math.exp(-RENDER_QUANTUM / (seconds * sampleRate));
+}
+
+// RBJ の 2 次 IIR フィルター (Direct Form I)
+class Biquad {
+  constructor(type, frequency, q) {
+    const w0 = 2 * Math.PI * frequency / sampleRate;
+    const alpha = Math.sin(w0) / (2 * q);
+    const cos = Math.cos(w0);
+    const a0 = 1 + alpha;
+    const b1 = type === 'lowpass' ? 1 - cos : -(1 + cos);
+    const b0 = type === 'lowpass' ? (1 - cos) / 2 : (1 + cos) / 2;
+    this.b0 = b0 / a0;
+    this.b1 = b1 / a0;
+    this.b2 = b0 / a0;
+    this.a1 = -2 * cos / a0;
+    this.a2 = (1 - alpha) / a0;
+    this.x1 = this.x2 = this.y1 = this.y2 = 0;
+  }
+
+  process(x) {
+    const y = this.b0 * x + this.b1 * this.x1 + this.b2 * this.x2 - this.a1 * this.y1 - this.a2 * this.y2;
+    this.x2 = this.x1;
+    this.x1 = x;
+    this.y2 = this.y1;
+    this.y1 = y;
+    return y;
+  }
+}
+
+class DialogueProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.enabled = false;
+    this.boostDb = 0;
+    this.duckDb = 0;
+
+    // ミッドから発話帯域を取り出すフィルター (ハイパス -> ローパス)
+    this.highpass = new Biquad('highpass', SPEECH_LOW_FREQUENCY, Math.SQRT1_2);
+    this.lowpass = new Biquad('lowpass', SPEECH_HIGH_FREQUENCY, Math.SQRT1_2);
+
+    // 発話の検出の状態 (エネルギーはリニア値)
+    this.midLevel = 0;
+    this.speechLevel = 0;
+    this.floorLevel = 0;
+    this.activity = 0;
+    this.holdBlocks = 0;
+    this.levelCoefficient = blockCoefficient(LEVEL_TIME_CONSTANT);
+    this.floorFall = blockCoefficient(FLOOR_FALL_TIME_CONSTANT);
+    this.floorRise = blockCoefficient(FLOOR_RISE_TIME_CONSTANT);
+    this.activityAttack = blockCoefficient(ACTIVITY_ATTACK_SECONDS);
+    this.activityRelease = blockCoefficient(ACTIVITY_RELEASE_SECONDS);
+    this.holdLength = Math.round(ACTIVITY_HOLD_SECONDS * sampleRate / RENDER_QUANTUM);
+
+    // 前のブロックの最後にかけたゲイン (ブロック内で直線的に補間する)
+    this.boostGain = 1;
+    this.duckGain = 1;
+    this.bandBuffer = new Float32Array(RENDER_QUANTUM);
+    this.samplesSinceStatus = 0;
+
+    this.port.onmessage = (event) => this.handleMessage(event.data);
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'configure':
+        this.enabled = !!message.enabled;
+        if (Number.isFinite(message.boostDb)) this.boostDb = Math.max(0, message.boostDb);
+        if (Number.isFinite(message.duckDb)) this.duckDb = Math.max(0, message.duckDb);
+        break;
+    }
+  }
+
+  // ブロックのエネルギーから発話の確からしさを更新する
+  updateActivity(midEnergy, speechEnergy) {
+    this.midLevel += (midEnergy - this.midLevel) * this.levelCoefficient;
+    this.speechLevel += (speechEnergy - this.speechLevel) * this.levelCoefficient;
+    const floorCoefficient = this.speechLevel < this.floorLevel ? this.floorFall : this.floorRise;
+    this.floorLevel += (this.speechLevel - this.floorLevel) * floorCoefficient;
+
+    const speechDb = gainToDecibels(this.speechLevel);
+    const speech = speechDb > SPEECH_MIN_LEVEL_DB &&
+      this.speechLevel > SPEECH_BAND_RATIO * this.midLevel &&
+      speechDb > gainToDecibels(this.floorLevel) + SPEECH_ABOVE_FLOOR_DB;
+
+    if (speech) {
+      this.holdBlocks = this.holdLength;
+      this.activity += (1 - this.activity) * this.activityAttack;
+    } else if (this.holdBlocks > 0) {
+      this.holdBlocks--;
+    } else {
+      this.activity += (0 - this.activity) * this.activityRelease;
+    }
+  }
+
+  process(inputs, outputs) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const left = input.length > 0 ? input[0] : null;
+    const right = input.length > 1 ? input[1] : left;
+
+    // 発話帯域を取り出し、エネルギーを測る
+    let midEnergy = 0;
+    let speechEnergy = 0;
+    for (let i = 0; i < RENDER_QUANTUM; i++) {
+      const mid = left ? (left[i] + right[i]) / 2 : 0;
+      const band = this.lowpass.process(this.highpass.process(mid));
+      this.bandBuffer[i] = band;
+      midEnergy += mid * mid;
+      speechEnergy += band * band;
+    }
+    this.updateActivity(midEnergy / RENDER_QUANTUM, speechEnergy / RENDER_QUANTUM);
+
+    // 発話の確からしさに合わせたゲイン (無効時は 0 dB に戻す)
+    const amount = this.enabled ? this.activity : 0;
+    const boostGain = decibelsToGain(this.boostDb * amount);
+    const duckGain = decibelsToGain(-this.duckDb * amount);
+
+    for (let i = 0; i < RENDER_QUANTUM; i++) {
+      const t = (i + 1) / RENDER_QUANTUM;
+      const boost = this.boostGain + (boostGain - this.boostGain) * t;
+      const duck = this.duckGain + (duckGain - this.duckGain) * t;
+      const l = left ? left[i] : 0;
+      const r = right ? right[i] : 0;
+      // ミッドに発話帯域を足して持ち上げ、サイドを下げてから L/R に戻す
+      const mid = (l + r) / 2 + this.bandBuffer[i] * (boost - 1);
+      const side = (l - r) / 2 * duck;
+      output[0][i] = mid + side;
+      if (output.length > 1) output[1][i] = mid - side;
+    }
+    this.boostGain = boostGain;
+    this.duckGain = duckGain;
+
+    this.samplesSinceStatus += RENDER_QUANTUM;
+    if (this.samplesSinceStatus >= STATUS_INTERVAL_SECONDS * sampleRate) {
+      this.samplesSinceStatus = 0;
+      this.port.postMessage({
+        type: 'status',
+        speech: this.activity > 0.5,
+        activity: this.activity,
+        boostDb: 20 * Math.log10(this.boostGain),
+        duckDb: -20 * Math.log10(this.duckGain)
+      });
+    }
+    return true;
+  }
+}
+
+registerProcessor('dialogue-enhancer', DialogueProcessor);
@@ -0,0 +1,149 @@
+// gate-processor.js
+
+// ノイズゲート / ダウンワードエキスパンダー (AudioWorkletProcessor)
+// offscreen.js から audioWorklet.addModule で読み込み、コンプレッサーより前に置く (話の合間の小さなノイズをコンプレッサーが持ち上げないように)
+// - レベルがしきい値を下回ると、下回った量 × (ratio - 1) だけ下げる (最大で range まで)。ratio を大きくするとゲートになる
+// - しきい値を超えたら attack で開き、下回ってからも hold の間は開いたまま、その後 release で閉じる
+// - サイドチェーンのハイパス (sidechainHpf) を有効にすると、低域のランブルでは開かない (検出にだけ使い、音には影響しない)
+// - 全チャンネルに同じゲインをかける (定位が動かないように)。先読みしないので遅延はない
+// - 無効時は 0 dB に戻してから入力をそのまま出力する
+// - port メッセージ:
+//   受信 { type: 'configure', enabled, thresholdDb, rangeDb, ratio, attack, hold, release, sidechainHpf } (attack / hold / release は秒)
+//   送信 { type: 'status', open, reductionDb } (open: 前回の送信から一度でも開いたか, reductionDb: 今下げている量, 0 以下)
+
+const RENDER_QUANTUM = 128;
+// サイドチェーンのハイパスのカットオフ (Hz)。2 段重ねて 24 dB/oct にする (ランブルを十分に下げる)
+const SIDECHAIN_HPF_FREQUENCY = 150;
+const SIDECHAIN_HPF_STAGES = 2;
+// レベル検出の追従 (秒)。ピークにすぐ追従し、波形の谷でゲートが揺れないようにゆっくり下がる
+const DETECTOR_RELEASE_SECONDS = 0.02;
+// 状態を送る間隔 (秒)
+const STATUS_INTERVAL_SECONDS = 0.05;
+
+// サンプル単位の追従係数
+function sampleCoefficient(seconds) {
+  return 1 - Math.exp(-1 / (Math.max(seconds, 0.0001) * sampleRate));
+}
+
+// RBJ の 2 次ハイパス (Direct Form I)
+class Highpass {
+  constructor(frequency) {
+    const w0 = 2 * Math.PI * frequency / sampleRate;
+    const alpha = Math.sin(w0) / (2 * Math.SQRT1_2);
+    const cos = Math.cos(w0);
+    const a0 = 1 + alpha;
+    this.b0 = (1 + cos) / 2 / a0;
+    this.b1 = -(1 + cos) / a0;
+    this.b2 = this.b0;
+    this.a1 = -2 * cos / a0;
+    this.a2 = (1 - alpha) / a0;
+    this.x1 = this.x2 = this.y1 = this.y2 = 0;
+  }
+
+  process(x) {
+    const y = this.b0 * x + this.b1 * this.x1 + this.b2 * this.x2 - this.a1 * this.y1 - this.a2 * this.y2;
+    this.x2 = this.x1;
+    this.x1 = x;
+    this.y2 = this.y1;
+    this.y1 = y;
+    return y;
+  }
+}
+
+class GateProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.enabled = false;
+    this.thresholdDb = -50;
+    this.rangeDb = 30;
+    this.ratio = 4;
+    this.attack = sampleCoefficient(0.002);
+    this.holdSamples = Math.round(0.15 * sampleRate);
+    this.release = sampleCoefficient(0.25);
+    this.sidechainHpf = true;
+
+    this.detectorRelease = sampleCoefficient(DETECTOR_RELEASE_SECONDS);
+    this.highpasses = [];
+    this.level = 0; // 検出したレベル (リニア値)
+    this.holdCounter = 0;
+    this.gainDb = 0; // 今かけているゲイン (dB, 0 以下)
+    this.opened = false; // 状態送信までの間に開いたか
+    this.samplesSinceStatus = 0;
+
+    this.port.onmessage = (event) => this.handleMessage(event.data);
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'configure':
+        this.enabled = !!message.enabled;
+        if (Number.isFinite(message.thresholdDb)) this.thresholdDb = message.thresholdDb;
+        if (Number.isFinite(message.rangeDb)) this.rangeDb = Math.max(0, message.rangeDb);
+        if (Number.isFinite(message.ratio)) this.ratio = Math.max(1, message.ratio);
+        if (Number.isFinite(message.attack)) this.attack = sampleCoefficient(message.attack);
+        if (Number.isFinite(message.hold)) this.holdSamples = Math.round(Math.max(0, message.hold) * sampleRate);
+        if (Number.isFinite(message.release)) this.release = sampleCoefficient(message.release);
+        this.sidechainHpf = !!message.sidechainHpf;
+        break;
+    }
+  }
+
+  // レベルから目標のゲイン (dB) を求める。しきい値以上か hold の間は 0 dB
+  targetGainDb(levelDb) {
+    if (!this.enabled) {
+      return 0;
+    }
+    if (levelDb >= this.thresholdDb) {
+      this.holdCounter = this.holdSamples;
+      return 0;
+    }
+    if (this.holdCounter > 0) {
+      this.holdCounter--;
+      return 0;
+    }
+    return Math.max(-this.rangeDb, (levelDb - this.thresholdDb) * (this.ratio - 1));
+  }
+
+  process(inputs, outputs) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const channelCount = output.length;
+    while (this.highpasses.length < channelCount) {
+      this.highpasses.push(Array.from({ length: SIDECHAIN_HPF_STAGES }, () => new Highpass(SIDECHAIN_HPF_FREQUENCY)));
+    }
+
+    for (let i = 0; i < RENDER_QUANTUM; i++) {
+      // サイドチェーン: 全チャンネルのピーク (ハイパスは検出にだけかける)
+      let peak = 0;
+      for (let c = 0; c < channelCount; c++) {
+        const source = input.length > 0 ? input[Math.min(c, input.length - 1)] : null;
+        const sample = source ? source[i] : 0;
+        const detected = this.highpasses[c].reduce((x, highpass) => highpass.process(x), sample);
+        peak = Math.max(peak, Math.abs(this.sidechainHpf ? detected : sample));
+      }
+      this.level = peak > this.level ? peak : this.level + (peak - this.level) * this.detectorRelease;
+
+      const target = this.targetGainDb(20 * Math.log10(Math.max(this.level, 1e-9)));
+      // 開くときは attack、閉じるときは release で追従する
+      this.gainDb += (target - this.gainDb) * (target > this.gainDb ? this.attack : this.release);
+      if (Math.abs(target - this.gainDb) < 1e-4) this.gainDb = target; // 非正規化数を避ける
+      if (target === 0 && this.enabled) this.opened = true;
+
+      const gain = this.gainDb > -0.001 ? 1 : Math.pow(10, this.gainDb / 20);
+      for (let c = 0; c < channelCount; c++) {
+        const source = input.length > 0 ? input[Math.min(c, input.length - 1)] : null;
+        output[c][i] = source ? source[i] * gain : 0;
+      }
+    }
+
+    this.samplesSinceStatus += RENDER_QUANTUM;
+    if (this.samplesSinceStatus >= STATUS_INTERVAL_SECONDS * sampleRate) {
+      this.port.postMessage({ type: 'status', open: this.opened, reductionDb: Math.min(0, this.gainDb) });
+      this.samplesSinceStatus = 0;
+      this.opened = false;
+    }
+    return true;
+  }
+}
+
+registerProcessor('noise-gate', GateProcessor);
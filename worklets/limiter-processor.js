@@ -0,0 +1,110 @@
+// limiter-processor.js
+
+// 先読み型のブリックウォールリミッター (AudioWorkletProcessor)
+// offscreen.js から audioWorklet.addModule で読み込み、チェーンの最後に置く
+// - 入力を先読み時間だけ遅らせ、その間に来るピークが上限を超えないようにゲインを下げておく
+// - 全チャンネルに同じゲインをかける (定位が動かないように)
+// - port メッセージ:
+//   受信 { type: 'configure', enabled, ceilingDb, release }
+//   送信 { type: 'status', reductionDb } (前回の送信から最も下げた量, dB)
+
+const RENDER_QUANTUM = 128;
+// 先読み時間 (秒)。この分だけ出力が遅れる
+const LOOKAHEAD_SECONDS = 0.005;
+// 状態を送る間隔 (秒)
+const STATUS_INTERVAL_SECONDS = 0.05;
+
+class LimiterProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.enabled = false;
+    this.ceiling = Math.pow(10, -1 / 20);
+    this.lookahead = Math.max(1, Math.round(LOOKAHEAD_SECONDS * sampleRate));
+    this.attack = 1 - Math.exp(-5 / this.lookahead); // 先読み時間内にほぼ目標へ到達する
+    this.setRelease(0.1);
+
+    this.delayLines = [];
+    this.requiredGains = new Float32Array(this.lookahead).fill(1); // 先読み区間の各サンプルで必要なゲイン
+    this.delayIndex = 0;
+    this.gain = 1;
+    this.minGain = 1; // 状態送信までの間で最も下げたゲイン
+    this.samplesSinceStatus = 0;
+
+    this.port.onmessage = (event) => this.handleMessage(event.data);
+  }
+
+  setRelease(seconds) {
+    this.release = 1 - Math.exp(-1 / (Math.max(seconds, 0.001) * sampleRate));
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'configure':
+        this.enabled = !!message.enabled;
+        if (Number.isFinite(message.ceilingDb)) {
+          this.ceiling = Math.pow(10, Math.min(0, message.ceilingDb) / 20);
+        }
+        if (Number.isFinite(message.release)) {
+          this.setRelease(message.release);
+        }
+        break;
+    }
+  }
+
+  // 先読み区間内で必要なゲインの最小値
+  minimumRequiredGain() {
+    let minimum = 1;
+    for (let i = 0; i < this.requiredGains.length; i++) {
+      if (this.requiredGains[i] < minimum) minimum = this.requiredGains[i];
+    }
+    return minimum;
+  }
+
+  process(inputs, outputs) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const channelCount = output.length;
+    while (this.delayLines.length < channelCount) {
+      this.delayLines.push(new Float32Array(this.lookahead));
+    }
+
+    for (let i = 0; i < RENDER_QUANTUM; i++) {
+      // 全チャンネルのピークから必要なゲインを求める
+      let peak = 0;
+      for (let c = 0; c < channelCount; c++) {
+        const source = input.length > 0 ? input[Math.min(c, input.length - 1)] : null;
+        const sample = source ? source[i] : 0;
+        peak = Math.max(peak, Math.abs(sample));
+        const delayLine = this.delayLines[c];
+        output[c][i] = delayLine[this.delayIndex];
+        delayLine[this.delayIndex] = sample;
+      }
+      const required = this.enabled && peak > this.ceiling ? this.ceiling / peak : 1;
+      this.requiredGains[this.delayIndex] = required;
+      this.delayIndex = (this.delayIndex + 1) % this.lookahead;
+
+      // 先読み区間の最小値へ素早く下げ、release の時定数で戻す
+      const target = required < 1 || this.gain < 1 ? this.minimumRequiredGain() : 1;
+      this.gain += (target - this.gain) * (target < this.gain ? this.attack : this.release);
+      this.minGain = Math.min(this.minGain, this.gain);
+
+      if (this.enabled) {
+        // ゲインの追従で残るわずかな超過は上限でクリップする
+        for (let c = 0; c < channelCount; c++) {
+          const limited = output[c][i] * this.gain;
+          output[c][i] = Math.max(-this.ceiling, Math.min(this.ceiling, limited));
+        }
+      }
+    }
+
+    this.samplesSinceStatus += RENDER_QUANTUM;
+    if (this.samplesSinceStatus >= STATUS_INTERVAL_SECONDS * sampleRate) {
+      this.samplesSinceStatus = 0;
+      this.port.postMessage({ type: 'status', reductionDb: 20 * Math.log10(this.minGain) });
+      this.minGain = this.gain;
+    }
+    return true;
+  }
+}
+
+registerProcessor('brickwall-limiter', LimiterProcessor);
@@ -0,0 +1,372 @@
+// loudness-processor.js
+
+// ITU-R BS.1770 のラウドネスメーターと、目標ラウドネスに向けてゆっくり音量を合わせる AudioWorkletProcessor
+// offscreen.js から audioWorklet.addModule で読み込む
+// - 測定: K 特性フィルター -> 100 ms ごとの二乗平均
+//   モーメンタリー (400 ms), ショートターム (3 s), インテグレーテッド (ゲート付き、処理開始から)
+// - 自動ゲイン: 入力のショートタームラウドネスと目標 (LUFS) の差に向けて数秒かけて近づける
+// - トゥルーピーク上限: 4 倍オーバーサンプリングで推定したピークが上限を超えないよう、先読みして下げる
+// - port メッセージ:
+//   受信 { type: 'configure', enabled, targetLufs, ceilingDb }
+//   送信 { type: 'status', input: { momentary, shortTerm, integrated }, output: { ... }, gainDb, limiterDb, truePeakDb }
+
+const RENDER_QUANTUM = 128;
+// ラウドネスの無音 (-Infinity の代わりに送る値)
+const LOUDNESS_FLOOR = -70;
+// インテグレーテッドラウドネスのゲート
+const ABSOLUTE_GATE_LUFS = -70;
+const RELATIVE_GATE_LU = -10;
+// ヒストグラムで保持するブロックラウドネスの範囲と刻み (LUFS)
+const HISTOGRAM_MIN = ABSOLUTE_GATE_LUFS;
+const HISTOGRAM_MAX = 10;
+const HISTOGRAM_STEP = 0.1;
+// 自動ゲインの範囲 (dB) と追従の時定数 (秒)
+const MAX_BOOST_DB = 12;
+const MAX_CUT_DB = 24;
+const GAIN_TIME_CONSTANT = 3;
+// これより静かな区間ではゲインを変えない (無音で持ち上げ過ぎないため)
+const SILENCE_THRESHOLD_LUFS = -50;
+// トゥルーピーク上限の先読み時間 (秒) とリリースの時定数 (秒)
+const LOOKAHEAD_SECONDS = 0.005;
+const LIMITER_RELEASE = 0.1;
+// 状態を送る間隔 (秒)
+const STATUS_INTERVAL_SECONDS = 0.1;
+
+// トゥルーピーク推定用の 4 倍オーバーサンプリング FIR (ITU-R BS.1770-4 Annex 2, 4 相 x 12 タップ)
+const TRUE_PEAK_PHASES = [
+  [0.0017089843750, 0.0109863281250, -0.0196533203125, 0.0332031250000, -0.0594482421875, 0.1373291015625,
+    0.9721679687500, -0.1022949218750, 0.0476074218750, -0.0266113281250, 0.0148925781250, -0.0083007812500],
+  [-0.0291748046875, 0.0292968750000, -0.0517578125000, 0.0891113281250, -0.1665039062500, 0.4650878906250,
+    0.7797851562500, -0.2003173828125, 0.1015625000000, -0.0582275390625, 0.0330810546875, -0.0189208984375],
+  [-0.0189208984375, 0.0330810546875, -0.0582275390625, 0.1015625000000, -0.2003173828125, 0.7797851562500,
+    0.4650878906250, -0.1665039062500, 0.0891113281250, -0.0517578125000, 0.0292968750000, -0.0291748046875],
+  [-0.0083007812500, 0.0148925781250, -0.0266113281250, 0.0476074218750, -0.1022949218750, 0.9721679687500,
+    0.1373291015625, -0.0594482421875, 0.0332031250000, -0.0196533203125, 0.0109863281250, 0.0017089843750],
+];
+const TRUE_PEAK_TAPS = TRUE_PEAK_PHASES[0].length;
+
+function decibelsToGain(db) {
+  return Math.pow(10, db / 20);
+}
+
+function gainToDecibels(gain) {
+  return 20 * Math.log10(Math.max(gain, 1e-10));
+}
+
+// 二乗平均 (全チャンネルの和) をラウドネス (LUFS) に変換する
+function energyToLoudness(energy) {
+  return energy > 0 ? -0.691 + 10 * Math.log10(energy) : -Infinity;
+}
+
+function loudnessToEnergy(loudness) {
+  return Math.pow(10, (loudness + 0.691) / 10);
+}
+
+// 双二次フィルター (Direct Form I)
+class Biquad {
+  constructor(b0, b1, b2, a1, a2) {
+    Object.assign(this, { b0, b1, b2, a1, a2 });
+    this.x1 = this.x2 = this.y1 = this.y2 = 0;
+  }
+
+  process(x) {
+    const y = this.b0 * x + this.b1 * this.x1 + this.b2 * this.x2 - this.a1 * this.y1 - this.a2 * this.y2;
+    this.x2 = this.x1;
+    this.x1 = x;
+    this.y2 = this.y1;
+    this.y1 = y;
+    return y;
+  }
+}
+
+// K 特性フィルター (高域シェルフ + RLB ハイパス) をサンプルレートに合わせて作る
+// 係数の式は BS.1770 の 48 kHz の係数を任意のサンプルレートに一般化したもの
+function createKWeighting(rate) {
+  const shelfK = Math.tan(Math.PI * 1681.974450955533 / rate);
+  const shelfQ = 0.7071752369554196;
+  const vh = Math.pow(10, 3.999843853973347 / 20);
+  const vb = Math.pow(vh, 0.4996667741545416);
+  const shelfA0 = 1 + shelfK / shelfQ + shelfK * shelfK;
+  const shelf = new Biquad(
+    (vh + vb * shelfK / shelfQ + shelfK * shelfK) / shelfA0,
+    2 * (shelfK * shelfK - vh) / shelfA0,
+    (vh - vb * shelfK / shelfQ + shelfK * shelfK) / shelfA0,
+    2 * (shelfK * shelfK - 1) / shelfA0,
+    (1 - shelfK / shelfQ + shelfK * shelfK) / shelfA0
+  );
+
+  const highpassK = Math.tan(Math.PI * 38.13547087602444 / rate);
+  const highpassQ = 0.5003270373238773;
+  const highpassA0 = 1 + highpassK / highpassQ + highpassK * highpassK;
+  const highpass = new Biquad(
+    1, -2, 1,
+    2 * (highpassK * highpassK - 1) / highpassA0,
+    (1 - highpassK / highpassQ + highpassK * highpassK) / highpassA0
+  );
+  return [shelf, highpass];
+}
+
+// BS.1770 のラウドネスメーター (L/R の重みは 1)
+class LoudnessMeter {
+  constructor(channelCount) {
+    this.filters = Array.from({ length: channelCount }, () => createKWeighting(sampleRate));
+    this.blockSamples = Math.round(sampleRate * 0.1); // 100 ms
+    this.blockSum = 0;
+    this.blockCount = 0;
+    this.blocks = new Float64Array(30); // 直近 3 秒分の 100 ms ブロックの二乗平均 (リングバッファ)
+    this.blockIndex = 0;
+    this.filledBlocks = 0;
+    // インテグレーテッド用: 400 ms ブロックのラウドネスのヒストグラム (ブロック数と二乗平均の和)
+    const bins = Math.ceil((HISTOGRAM_MAX - HISTOGRAM_MIN) / HISTOGRAM_STEP);
+    this.histogramCounts = new Uint32Array(bins);
+    this.histogramEnergy = new Float64Array(bins);
+  }
+
+  // チャンネルごとの 1 サンプルを K 特性に通し、二乗の和を積算する
+  addSample(samples) {
+    let sum = 0;
+    for (let c = 0; c < this.filters.length; c++) {
+      const [shelf, highpass] = this.filters[c];
+      const weighted = highpass.process(shelf.process(samples[c]));
+      sum += weighted * weighted;
+    }
+    this.blockSum += sum;
+    this.blockCount++;
+    if (this.blockCount >= this.blockSamples) {
+      this.finishBlock();
+    }
+  }
+
+  finishBlock() {
+    this.blocks[this.blockIndex] = this.blockSum / this.blockCount;
+    this.blockIndex = (this.blockIndex + 1) % this.blocks.length;
+    this.filledBlocks = Math.min(this.filledBlocks + 1, this.blocks.length);
+    this.blockSum = 0;
+    this.blockCount = 0;
+
+    // 400 ms ブロック (75% オーバーラップ) をインテグレーテッド用に記録する
+    if (this.filledBlocks >= 4) {
+      const loudness = energyToLoudness(this.averageEnergy(4));
+      if (loudness > ABSOLUTE_GATE_LUFS) {
+        const bin = Math.min(this.histogramCounts.length - 1, Math.floor((loudness - HISTOGRAM_MIN) / HISTOGRAM_STEP));
+        this.histogramCounts[bin]++;
+        this.histogramEnergy[bin] += loudnessToEnergy(loudness);
+      }
+    }
+  }
+
+  // 直近 count 個の 100 ms ブロックの二乗平均
+  averageEnergy(count) {
+    const available = Math.min(count, this.filledBlocks);
+    if (available === 0) return 0;
+    let sum = 0;
+    for (let i = 1; i <= available; i++) {
+      sum += this.blocks[(this.blockIndex - i + this.blocks.length) % this.blocks.length];
+    }
+    return sum / available;
+  }
+
+  get momentary() {
+    return energyToLoudness(this.averageEnergy(4));
+  }
+
+  get shortTerm() {
+    return energyToLoudness(this.averageEnergy(30));
+  }
+
+  // 絶対ゲート (-70 LUFS) と相対ゲート (-10 LU) を通ったブロックの平均
+  get integrated() {
+    const gatedMean = (minBin) => {
+      let count = 0;
+      let energy = 0;
+      for (let bin = minBin; bin < this.histogramCounts.length; bin++) {
+        count += this.histogramCounts[bin];
+        energy += this.histogramEnergy[bin];
+      }
+      return count > 0 ? energy / count : 0;
+    };
+    const absoluteGated = gatedMean(0);
+    if (absoluteGated === 0) return -Infinity;
+    const relativeGate = energyToLoudness(absoluteGated) + RELATIVE_GATE_LU;
+    const relativeBin = Math.max(0, Math.floor((relativeGate - HISTOGRAM_MIN) / HISTOGRAM_STEP));
+    return energyToLoudness(gatedMean(relativeBin));
+  }
+
+  // ポップアップに送る値 (無音は LOUDNESS_FLOOR にする)
+  snapshot() {
+    const round = (value) => Math.round(Math.max(value, LOUDNESS_FLOOR) * 10) / 10;
+    return {
+      momentary: round(this.momentary),
+      shortTerm: round(this.shortTerm),
+      integrated: round(this.integrated)
+    };
+  }
+}
+
+// 4 倍オーバーサンプリングによるトゥルーピークの推定 (1 チャンネル分)
+class TruePeakDetector {
+  constructor() {
+    this.history = new Float32Array(TRUE_PEAK_TAPS); // 直近の入力 (新しい順)
+  }
+
+  // 1 サンプル入力し、その区間の補間値を含めたピーク (絶対値) を返す
+  process(sample) {
+    const history = this.history;
+    history.copyWithin(1, 0);
+    history[0] = sample;
+    let peak = 0;
+    for (const phase of TRUE_PEAK_PHASES) {
+      let value = 0;
+      for (let i = 0; i < TRUE_PEAK_TAPS; i++) {
+        value += phase[i] * history[i];
+      }
+      peak = Math.max(peak, Math.abs(value));
+    }
+    return peak;
+  }
+}
+
+class LoudnessProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.enabled = false;
+    this.targetLufs = -16;
+    this.ceilingGain = decibelsToGain(-1);
+
+    this.inputMeter = null;
+    this.outputMeter = null;
+    this.truePeakDetectors = [];
+    this.gainDb = 0; // 自動ゲインの現在値
+    this.maxTruePeak = 0; // 出力のトゥルーピークの最大値 (推定)
+
+    // 先読み用の遅延バッファとリミッターの状態
+    this.lookahead = Math.max(1, Math.round(LOOKAHEAD_SECONDS * sampleRate));
+    this.delayLines = [];
+    this.delayIndex = 0;
+    this.requiredGains = new Float32Array(this.lookahead); // 先読み区間の各サンプルで必要なゲイン
+    this.truePeaks = new Float32Array(this.lookahead); // 先読み区間の各サンプルのトゥルーピーク
+    this.limiterGain = 1;
+    this.limiterAttack = 1 - Math.exp(-5 / this.lookahead); // 先読み時間内にほぼ目標へ到達する
+    this.limiterRelease = 1 - Math.exp(-1 / (LIMITER_RELEASE * sampleRate));
+    this.minLimiterGain = 1; // 状態送信までの間で最も下げたゲイン
+
+    this.samplesSinceStatus = 0;
+    this.port.onmessage = (event) => this.handleMessage(event.data);
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'configure':
+        this.enabled = !!message.enabled;
+        if (Number.isFinite(message.targetLufs)) {
+          this.targetLufs = message.targetLufs;
+        }
+        if (Number.isFinite(message.ceilingDb)) {
+          this.ceilingGain = decibelsToGain(Math.min(0, message.ceilingDb));
+        }
+        break;
+    }
+  }
+
+  // チャンネル数に合わせて状態を用意する
+  ensureChannels(channelCount) {
+    if (this.delayLines.length === channelCount) return;
+    this.inputMeter = new LoudnessMeter(channelCount);
+    this.outputMeter = new LoudnessMeter(channelCount);
+    this.truePeakDetectors = Array.from({ length: channelCount }, () => new TruePeakDetector());
+    this.delayLines = Array.from({ length: channelCount }, () => new Float32Array(this.lookahead));
+    // 1 サンプル分の全チャンネルの値 (音声スレッドで毎回確保しないように使い回す)
+    this.frame = new Float32Array(channelCount);
+    this.outputFrame = new Float32Array(channelCount);
+  }
+
+  // 入力のショートタームラウドネスから自動ゲインを更新する (レンダー量子ごと)
+  updateAutoGain() {
+    let targetDb = 0;
+    if (this.enabled) {
+      const shortTerm = this.inputMeter.shortTerm;
+      if (shortTerm < SILENCE_THRESHOLD_LUFS) {
+        return; // 静かな区間では今のゲインを保つ
+      }
+      targetDb = Math.min(MAX_BOOST_DB, Math.max(-MAX_CUT_DB, this.targetLufs - shortTerm));
+    }
+    const coefficient = 1 - Math.exp(-RENDER_QUANTUM / (GAIN_TIME_CONSTANT * sampleRate));
+    this.gainDb += (targetDb - this.gainDb) * coefficient;
+  }
+
+  // 先読み区間内で必要なゲインの最小値
+  minimumRequiredGain() {
+    let minimum = 1;
+    for (let i = 0; i < this.requiredGains.length; i++) {
+      if (this.requiredGains[i] < minimum) minimum = this.requiredGains[i];
+    }
+    return minimum;
+  }
+
+  process(inputs, outputs) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const channelCount = output.length;
+    this.ensureChannels(channelCount);
+    this.updateAutoGain();
+
+    const autoGain = decibelsToGain(this.gainDb);
+    const { frame, outputFrame } = this;
+    for (let i = 0; i < RENDER_QUANTUM; i++) {
+      // 入力を測定し、トゥルーピークから上限を守るのに必要なゲインを求める
+      let truePeak = 0;
+      for (let c = 0; c < channelCount; c++) {
+        const source = input.length > 0 ? input[Math.min(c, input.length - 1)] : null;
+        frame[c] = source ? source[i] : 0;
+        truePeak = Math.max(truePeak, this.truePeakDetectors[c].process(frame[c]));
+      }
+      this.inputMeter.addSample(frame);
+
+      const peakAfterGain = truePeak * autoGain;
+      const required = this.enabled && peakAfterGain > this.ceilingGain ? this.ceilingGain / peakAfterGain : 1;
+      this.requiredGains[this.delayIndex] = required;
+      const delayedTruePeak = this.truePeaks[this.delayIndex];
+      this.truePeaks[this.delayIndex] = truePeak;
+
+      // リミッターのゲイン: 先読み区間の最小値へ素早く下げ、ゆっくり戻す
+      const targetGain = required < 1 || this.limiterGain < 1 ? this.minimumRequiredGain() : 1;
+      const coefficient = targetGain < this.limiterGain ? this.limiterAttack : this.limiterRelease;
+      this.limiterGain += (targetGain - this.limiterGain) * coefficient;
+      this.minLimiterGain = Math.min(this.minLimiterGain, this.limiterGain);
+
+      // 先読み分だけ遅らせた信号にゲインをかけて出力する
+      const gain = autoGain * this.limiterGain;
+      for (let c = 0; c < channelCount; c++) {
+        const delayLine = this.delayLines[c];
+        const delayed = delayLine[this.delayIndex];
+        delayLine[this.delayIndex] = frame[c];
+        outputFrame[c] = delayed * gain;
+        output[c][i] = outputFrame[c];
+      }
+      this.maxTruePeak = Math.max(this.maxTruePeak, delayedTruePeak * gain);
+      this.outputMeter.addSample(outputFrame);
+      this.delayIndex = (this.delayIndex + 1) % this.lookahead;
+    }
+
+    this.samplesSinceStatus += RENDER_QUANTUM;
+    if (this.samplesSinceStatus >= STATUS_INTERVAL_SECONDS * sampleRate) {
+      this.samplesSinceStatus = 0;
+      this.postStatus();
+    }
+    return true;
+  }
+
+  postStatus() {
+    this.port.postMessage({
+      type: 'status',
+      input: this.inputMeter.snapshot(),
+      output: this.outputMeter.snapshot(),
+      gainDb: Math.round(this.gainDb * 10) / 10,
+      limiterDb: Math.round(gainToDecibels(this.minLimiterGain) * 10) / 10,
+      truePeakDb: Math.round(gainToDecibels(this.maxTruePeak) * 10) / 10
+    });
+    this.minLimiterGain = this.limiterGain;
+  }
+}
+
+registerProcessor('loudness-normalizer', LoudnessProcessor);
@@ -0,0 +1,315 @@
+// noise-suppressor-processor.js
+
+// スペクトル減算 (Wiener フィルター型のゲイン) によるノイズ抑制を行う AudioWorkletProcessor
+// offscreen.js から audioWorklet.addModule で読み込む
+// - STFT: FFT サイズ 1024, ホップ 256 (75% オーバーラップ), Hann 窓で分析・合成
+// - ノイズの推定: 学習したノイズプロファイル、なければ最小値追従による自動推定
+// - port メッセージ:
+//   受信 { type: 'configure', enabled, reductionDb } / { type: 'learn', seconds } / { type: 'clear-profile' }
+//   送信 { type: 'status', learning, progress, hasProfile, reductionDb }
+
+const FFT_SIZE = 1024;
+const HOP_SIZE = 256;
+const BIN_COUNT = FFT_SIZE / 2 + 1;
+const RENDER_QUANTUM = 128;
+// 入力から出力までの遅延 (サンプル)。dry 信号と揃えるときに使う
+const LATENCY_SAMPLES = FFT_SIZE - RENDER_QUANTUM;
+// Hann 窓で分析・合成し 75% オーバーラップしたときの窓の二乗和 (出力の正規化に使う)
+const WINDOW_POWER_SUM = 1.5;
+// ノイズの引き過ぎ係数 (大きいほど強く抑制するが音声が痩せる)
+const OVER_SUBTRACTION = 2.0;
+// ゲインの時間方向の平滑化 (ミュージカルノイズ対策)
+const GAIN_SMOOTHING = 0.6;
+// 自動推定: パワーの時間平滑化の係数
+const POWER_SMOOTHING = 0.85;
+// 自動推定: 最小値を探す区間 (SUBWINDOW_FRAMES フレームの区間を SUBWINDOW_COUNT 個、約 1.3 秒)
+const SUBWINDOW_FRAMES = 24;
+const SUBWINDOW_COUNT = 10;
+// 最小値は平均より低く見積もられるので補正する
+const NOISE_BIAS_COMPENSATION = 1.5;
+// 状態を送る間隔 (秒)
+const STATUS_INTERVAL_SECONDS = 0.1;
+
+// 周期的な Hann 窓
+const HANN_WINDOW = new Float32Array(FFT_SIZE);
+for (let i = 0; i < FFT_SIZE; i++) {
+  HANN_WINDOW[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / FFT_SIZE);
+}
+
+// 基数 2 の FFT (その場で計算)。inverse が true なら逆変換 (1/N のスケーリングも行う)
+function fft(re, im, inverse) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (inverse ? 2 : -2) * Math.PI / size;
+    const stepRe = Math.cos(angle);
+    const stepIm = Math.sin(angle);
+    for (let start = 0; start < n; start += size) {
+      let wRe = 1;
+      let wIm = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nextWRe = wRe * stepRe - wIm * stepIm;
+        wIm = wRe * stepIm + wIm * stepRe;
+        wRe = nextWRe;
+      }
+    }
+  }
+  if (inverse) {
+    for (let i = 0; i < n; i++) {
+      re[i] /= n;
+      im[i] /= n;
+    }
+  }
+}
+
+// チャンネルごとの STFT の状態
+class ChannelState {
+  constructor() {
+    this.input = new Float32Array(FFT_SIZE); // 直近 FFT_SIZE サンプルの入力 (古い順)
+    this.overlap = new Float32Array(FFT_SIZE); // overlap-add の途中結果
+    this.queue = new Float32Array(FFT_SIZE); // 出力待ちのサンプル
+    this.queueLength = 0;
+    this.gains = new Float32Array(BIN_COUNT).fill(1);
+    this.smoothedPower = null; // 時間平滑化したパワー
+    this.noiseEstimate = null; // 自動推定したノイズのパワー (区間内の最小値)
+    this.currentMinimum = null; // 現在の区間の最小値
+    this.subwindowMinima = []; // 過去の区間の最小値 (新しい順)
+    this.subwindowFrames = 0;
+  }
+}
+
+class NoiseSuppressorProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.enabled = false;
+    this.gainFloor = Math.pow(10, -12 / 20);
+    this.reductionDb = 12;
+    this.channels = [];
+    this.samplesSinceHop = 0;
+    this.re = new Float32Array(FFT_SIZE);
+    this.im = new Float32Array(FFT_SIZE);
+    this.power = new Float32Array(BIN_COUNT); // フレームごとのパワー (音声スレッドで毎回確保しないように使い回す)
+
+    this.profile = null; // 学習したノイズのパワー (ビンごと)
+    this.learning = null; // 学習中: { sum: Float32Array, frames, targetFrames }
+    this.appliedReduction = 0; // 直近のフレームで実際に下げた量 (dB, 状態表示用)
+    this.samplesSinceStatus = 0;
+
+    this.port.onmessage = (event) => this.handleMessage(event.data);
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'configure':
+        this.enabled = !!message.enabled;
+        this.reductionDb = Math.max(0, Number(message.reductionDb) || 0);
+        this.gainFloor = Math.pow(10, -this.reductionDb / 20);
+        break;
+      case 'learn': {
+        const seconds = Math.max(0.5, Number(message.seconds) || 3);
+        this.learning = {
+          sum: new Float32Array(BIN_COUNT),
+          frames: 0,
+          targetFrames: Math.ceil(seconds * sampleRate / HOP_SIZE)
+        };
+        this.postStatus();
+        break;
+      }
+      case 'clear-profile':
+        this.profile = null;
+        this.learning = null;
+        this.postStatus();
+        break;
+    }
+  }
+
+  postStatus() {
+    this.port.postMessage({
+      type: 'status',
+      learning: !!this.learning,
+      progress: this.learning ? this.learning.frames / this.learning.targetFrames : 0,
+      hasProfile: !!this.profile,
+      reductionDb: this.appliedReduction
+    });
+  }
+
+  // ノイズプロファイルの学習 (全チャンネルの平均パワーを積算する)
+  accumulateProfile(power, channelCount) {
+    const learning = this.learning;
+    for (let k = 0; k < BIN_COUNT; k++) {
+      learning.sum[k] += power[k] / channelCount;
+    }
+  }
+
+  finishLearningFrame() {
+    const learning = this.learning;
+    learning.frames++;
+    if (learning.frames >= learning.targetFrames) {
+      this.profile = learning.sum.map(value => value / learning.frames);
+      this.learning = null;
+      this.postStatus();
+    }
+  }
+
+  // 平滑化したパワーを更新し、区間ごとの最小値からノイズの推定値を求める
+  updateNoiseEstimate(state, power) {
+    for (let k = 0; k < BIN_COUNT; k++) {
+      const smoothed = POWER_SMOOTHING * state.smoothedPower[k] + (1 - POWER_SMOOTHING) * power[k];
+      state.smoothedPower[k] = smoothed;
+      if (smoothed < state.currentMinimum[k]) {
+        state.currentMinimum[k] = smoothed;
+      }
+      // 区間の途中でもノイズが下がったときはすぐ反映する
+      if (smoothed < state.noiseEstimate[k]) {
+        state.noiseEstimate[k] = smoothed;
+      }
+    }
+
+    state.subwindowFrames++;
+    if (state.subwindowFrames < SUBWINDOW_FRAMES) return;
+
+    // 区間が終わったら最小値を記録し、過去の区間も含めた最小値を推定値にする
+    state.subwindowFrames = 0;
+    state.subwindowMinima.unshift(state.currentMinimum);
+    if (state.subwindowMinima.length > SUBWINDOW_COUNT) {
+      state.subwindowMinima.pop();
+    }
+    state.currentMinimum = state.smoothedPower.slice();
+    for (let k = 0; k < BIN_COUNT; k++) {
+      let minimum = Infinity;
+      for (const minima of state.subwindowMinima) {
+        if (minima[k] < minimum) minimum = minima[k];
+      }
+      state.noiseEstimate[k] = minimum;
+    }
+  }
+
+  // 1 フレーム分の STFT 処理 (分析 -> ゲイン計算 -> 合成)
+  processFrame(state, channelCount) {
+    const { re, im, power } = this;
+    for (let i = 0; i < FFT_SIZE; i++) {
+      re[i] = state.input[i] * HANN_WINDOW[i];
+      im[i] = 0;
+    }
+    fft(re, im, false);
+
+    for (let k = 0; k < BIN_COUNT; k++) {
+      power[k] = re[k] * re[k] + im[k] * im[k];
+    }
+    if (this.learning) {
+      this.accumulateProfile(power, channelCount);
+    }
+
+    // 自動推定: 平滑化したパワーの一定区間内の最小値をノイズとみなす (最小統計法)
+    if (!state.noiseEstimate) {
+      state.smoothedPower = power.slice();
+      state.noiseEstimate = power.slice();
+      state.currentMinimum = power.slice();
+    }
+    this.updateNoiseEstimate(state, power);
+
+    let reductionSum = 0;
+    for (let k = 0; k < BIN_COUNT; k++) {
+      const noise = this.profile ? this.profile[k] : state.noiseEstimate[k] * NOISE_BIAS_COMPENSATION;
+
+      let target = 1;
+      if (this.enabled) {
+        const ratio = 1 - OVER_SUBTRACTION * noise / Math.max(power[k], 1e-12);
+        target = Math.max(this.gainFloor, Math.sqrt(Math.max(ratio, 0)));
+      }
+      const gain = GAIN_SMOOTHING * state.gains[k] + (1 - GAIN_SMOOTHING) * target;
+      state.gains[k] = gain;
+      reductionSum += gain;
+
+      re[k] *= gain;
+      im[k] *= gain;
+      // 実信号なので負の周波数側は共役対称にする
+      if (k > 0 && k < FFT_SIZE / 2) {
+        re[FFT_SIZE - k] = re[k];
+        im[FFT_SIZE - k] = -im[k];
+      }
+    }
+    this.appliedReduction = -20 * Math.log10(Math.max(reductionSum / BIN_COUNT, 1e-6));
+
+    fft(re, im, true);
+    for (let i = 0; i < FFT_SIZE; i++) {
+      state.overlap[i] += re[i] * HANN_WINDOW[i] / WINDOW_POWER_SUM;
+    }
+
+    // 先頭の HOP_SIZE サンプルは完成しているので出力キューへ移す
+    state.queue.set(state.overlap.subarray(0, HOP_SIZE), state.queueLength);
+    state.queueLength += HOP_SIZE;
+    state.overlap.copyWithin(0, HOP_SIZE);
+    state.overlap.fill(0, FFT_SIZE - HOP_SIZE);
+  }
+
+  process(inputs, outputs) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const channelCount = output.length;
+
+    while (this.channels.length < channelCount) {
+      this.channels.push(new ChannelState());
+    }
+
+    this.samplesSinceHop += RENDER_QUANTUM;
+    const hopReady = this.samplesSinceHop >= HOP_SIZE;
+    if (hopReady) {
+      this.samplesSinceHop -= HOP_SIZE;
+    }
+
+    for (let c = 0; c < channelCount; c++) {
+      const state = this.channels[c];
+      // モノラル入力はすべての出力チャンネルに使う。入力がない場合は無音として扱う
+      const source = input.length > 0 ? input[Math.min(c, input.length - 1)] : null;
+
+      state.input.copyWithin(0, RENDER_QUANTUM);
+      if (source) {
+        state.input.set(source, FFT_SIZE - RENDER_QUANTUM);
+      } else {
+        state.input.fill(0, FFT_SIZE - RENDER_QUANTUM);
+      }
+
+      if (hopReady) {
+        this.processFrame(state, channelCount);
+      }
+
+      if (state.queueLength >= RENDER_QUANTUM) {
+        output[c].set(state.queue.subarray(0, RENDER_QUANTUM));
+        state.queue.copyWithin(0, RENDER_QUANTUM, state.queueLength);
+        state.queueLength -= RENDER_QUANTUM;
+      }
+    }
+
+    if (hopReady && this.learning) {
+      this.finishLearningFrame();
+    }
+
+    this.samplesSinceStatus += RENDER_QUANTUM;
+    if (this.samplesSinceStatus >= STATUS_INTERVAL_SECONDS * sampleRate) {
+      this.samplesSinceStatus = 0;
+      this.postStatus();
+    }
+    return true;
+  }
+}
+
+registerProcessor('noise-suppressor', NoiseSuppressorProcessor);
@@ -0,0 +1,58 @@
+// pcm-recorder-processor.js
+
+// 入力をそのまま PCM (Float32) のチャンクとしてメインスレッドへ送る AudioWorkletProcessor
+// offscreen.html の recording.js が WAV 録音に使う。出力を持たないので destination につながなくても動作する
+// - port メッセージ:
+//   受信 { type: 'flush' } (バッファに残っている分を送る)
+//   送信 { type: 'chunk', channels: [Float32Array, ...] } / { type: 'flushed' }
+
+const RENDER_QUANTUM = 128;
+// 1 チャンクのフレーム数 (メッセージの回数を抑えるため、ある程度まとめて送る)
+const CHUNK_FRAMES = 4096;
+
+class PcmRecorderProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    this.channelCount = options.processorOptions?.channelCount || 2;
+    this.allocate();
+    this.port.onmessage = (event) => {
+      if (event.data.type === 'flush') {
+        this.flush();
+        this.port.postMessage({ type: 'flushed' });
+      }
+    };
+  }
+
+  allocate() {
+    this.buffers = Array.from({ length: this.channelCount }, () => new Float32Array(CHUNK_FRAMES));
+    this.frames = 0;
+  }
+
+  // たまった分をチャンクとして送る (バッファの所有権ごと渡す)
+  flush() {
+    if (this.frames === 0) return;
+    const channels = this.buffers.map(buffer => buffer.slice(0, this.frames));
+    this.port.postMessage({ type: 'chunk', channels }, channels.map(channel => channel.buffer));
+    this.allocate();
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    for (let c = 0; c < this.channelCount; c++) {
+      // モノラル入力は全チャンネルに使い、入力がなければ無音にする
+      const source = input.length > 0 ? input[Math.min(c, input.length - 1)] : null;
+      if (source) {
+        this.buffers[c].set(source, this.frames);
+      } else {
+        this.buffers[c].fill(0, this.frames, this.frames + RENDER_QUANTUM);
+      }
+    }
+    this.frames += RENDER_QUANTUM;
+    if (this.frames >= CHUNK_FRAMES) {
+      this.flush();
+    }
+    return true;
+  }
+}
+
+registerProcessor('pcm-recorder', PcmRecorderProcessor);
@@ -0,0 +1,66 @@
+// sidechain-detector-processor.js
+
+// オートダッキングのサイドチェーン検出 (AudioWorkletProcessor)
+// offscreen.js が各タブのミキサーのミュート/ソロの後 (聞こえる音) につなぐ。primary のタブの検出結果でほかのタブを下げる
+// - 入力のレベル (チャンネルごとの RMS の最大) がしきい値を超えたら「音あり」。語の間の短い途切れで戻らないよう保持してから「音なし」に戻す
+// - 出力を持たないので destination につながなくても動作する。音には影響しない
+// - port メッセージ:
+//   送信 { type: 'activity', active } (状態が変わったときだけ)
+
+const RENDER_QUANTUM = 128;
+// 音ありとみなすレベル (dBFS)
+const THRESHOLD_DB = -45;
+// レベルの追従 (秒)。上がるときは速く、下がるときはゆっくり
+const LEVEL_ATTACK_SECONDS = 0.01;
+const LEVEL_RELEASE_SECONDS = 0.1;
+// しきい値を下回ってから「音なし」にするまでの時間 (秒)
+const HOLD_SECONDS = 0.3;
+
+// 時定数から 1 ブロックあたりの追従係数を求める
+function blockCoefficient(seconds) {
+  return 1 - Math.exp(-RENDER_QUANTUM / (seconds * sampleRate));
+}
+
+class SidechainDetectorProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.level = 0; // RMS (リニア値)
+    this.active = false;
+    this.holdBlocks = 0;
+    this.threshold = Math.pow(10, THRESHOLD_DB / 20);
+    this.attack = blockCoefficient(LEVEL_ATTACK_SECONDS);
+    this.release = blockCoefficient(LEVEL_RELEASE_SECONDS);
+    this.holdLength = Math.round(HOLD_SECONDS * sampleRate / RENDER_QUANTUM);
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    let rms = 0;
+    for (let c = 0; c < input.length; c++) {
+      const channel = input[c];
+      let sum = 0;
+      for (let i = 0; i < channel.length; i++) {
+        sum += channel[i] * channel[i];
+      }
+      rms = Math.max(rms, Math.sqrt(sum / channel.length));
+    }
+    this.level += (rms - this.level) * (rms > this.level ? this.attack : this.release);
+
+    let active = this.active;
+    if (this.level > this.threshold) {
+      active = true;
+      this.holdBlocks = this.holdLength;
+    } else if (this.holdBlocks > 0) {
+      this.holdBlocks--;
+    } else {
+      active = false;
+    }
+    if (active !== this.active) {
+      this.active = active;
+      this.port.postMessage({ type: 'activity', active: active });
+    }
+    return true;
+  }
+}
+
+registerProcessor('sidechain-detector', SidechainDetectorProcessor);